@@ -7,24 +7,183 @@ module.exports = {
 
   // ── Safety Thresholds ─────────────────────────────────────────────────────
   SAFETY: {
-    COLLISION_DISTANCE_METERS: 2.0,      // Alert if devices < 2m apart
-    WARNING_DISTANCE_METERS: 5.0,        // Warn if devices < 5m apart
-    MAX_SPEED_MS: 15,                    // Alert if speed > 15 m/s (~54 km/h)
+    COLLISION_CLEARANCE_M: 1.4,          // Collision distance = both footprint radii + this gap
+    REACTION_TIME_SEC: 0.75,             // Warning distance adds the faster class's max speed × this
+    DEFAULT_DEVICE_CLASS: 'pedestrian',  // Class of devices that never declared one (4 m/s limit; see README)
     SENSOR_CONFIDENCE_THRESHOLD: 0.6,   // Below this, fall back to GPS
+    TCA_HORIZON_SEC: 10,                 // Look this far ahead for closest approach
+    DANGER_TCA_SEC: 5,                   // Predicted collision sooner than this = DANGER
+    CRITICAL_TCA_SEC: 2,                 // Predicted collision sooner than this = CRITICAL
+    EXTRAPOLATE_MAX_SEC: 2,              // Max age a position is projected forward to "now"
+    PROXIMITY_GRID_CELL_M: 20,           // Cell size of the proximity spatial index
+  },
+
+  // ── Device Classes ────────────────────────────────────────────────────────
+  // Pair thresholds come from both classes (see deviceClass.service); two
+  // pedestrians get the old 2m collision / 5m warning distances
+  DEVICE_CLASSES: {
+    pedestrian: { MAX_SPEED_MS: 4,   FOOTPRINT_RADIUS_M: 0.3 },
+    wheelchair: { MAX_SPEED_MS: 2.5, FOOTPRINT_RADIUS_M: 0.6 },
+    robot:      { MAX_SPEED_MS: 1.5, FOOTPRINT_RADIUS_M: 0.5 },
+    cart:       { MAX_SPEED_MS: 2.5, FOOTPRINT_RADIUS_M: 0.8 },
+    vehicle:    { MAX_SPEED_MS: 8,   FOOTPRINT_RADIUS_M: 1.5 },  // forklifts, tuggers
   },
 
   // ── Sensor Fusion ─────────────────────────────────────────────────────────
   FUSION: {
-    SMOOTHING_WINDOW: 5,                 // Moving average window size
+    EKF_ACCEL_NOISE: 0.5,                // Process noise on speed (m/s² std)
+    EKF_YAW_RATE_NOISE: 0.35,            // Process noise on heading (rad/s std)
+    EKF_INITIAL_POSITION_VAR: 1e6,       // Position variance before the first fix (m²)
+    GYRO_YAW_RATE_NOISE: 0.03,           // Heading process noise with gyro integration (rad/s std)
+    MAG_HEADING_NOISE_DEG: 15,           // Std of a single magnetometer heading reading
+    MAG_FIELD_RANGE_UT: [20, 70],        // Plausible geomagnetic field magnitudes (µT)
+    MAG_ANOMALY_TOLERANCE: 0.1,          // Field deviation (fraction of reference) that doubles mag noise
+    MAG_ANOMALY_REJECT: 0.35,            // Beyond this deviation magnetometer heading is ignored
+    MAG_REFERENCE_TIME_CONSTANT_SEC: 60, // How fast the reference field magnitude adapts
+    MAG_CALIBRATION_MIN_SAMPLES: 60,     // Samples needed before fitting
+    MAG_CALIBRATION_MAX_SAMPLES: 1000,   // Session gives up with the best fit beyond this
+    MAG_CALIBRATION_MIN_COVERAGE: 0.75,  // Fraction of orientation octants the samples must cover
+    MAG_CALIBRATION_GOOD_RESIDUAL_PCT: 3, // Field magnitude RMS error rated 'good'
+    MAG_CALIBRATION_MAX_RESIDUAL_PCT: 8, // Worse fits are rated 'poor' and not applied
+    GPS_NOISE_M: 5,                      // Std of a GPS fix that reports no accuracy
+    GPS_MIN_NOISE_M: 1.5,                // Floor on the std derived from reported accuracy
+    GPS_MAX_ACCURACY_M: 50,              // Fixes reporting worse accuracy are ignored
+    GPS_MAX_JUMP_SPEED_MPS: 50,          // Fixes implying a faster jump are rejected
+    GPS_RESYNC_AFTER_REJECTS: 5,         // Consecutive jump rejections before trusting GPS again
+    BEACON_NOISE_M: 0.5,                 // Floor on the std of a beacon multilateration fix
+    CONFIDENCE_SIGMA_M: 10,              // Position std at which confidence drops to 0.5
+    MAX_PREDICT_DT_SEC: 2,               // Cap on a single predict step across packet gaps
+    GRAVITY_TIME_CONSTANT_SEC: 0.5,      // Low-pass time constant of the gravity estimate
+    ZUPT_ACCEL_TOLERANCE: 0.3,           // Max |accel| deviation from gravity while still (m/s²)
+    ZUPT_GYRO_TOLERANCE: 0.1,            // Max rotation rate while still (rad/s)
+    ZUPT_MIN_DURATION_SEC: 0.5,          // Stillness needed before velocity is zeroed
+    ZUPT_NOISE_MPS: 0.05,                // Std of the zero-velocity pseudo-measurement
     DEAD_RECKONING_MAX_DRIFT_SEC: 30,    // Max time before forcing GPS sync
     ACCEL_NOISE_THRESHOLD: 0.05,        // Ignore accelerometer noise below this (m/s²)
   },
 
+  // ── Pedestrian Dead Reckoning ─────────────────────────────────────────────
+  PDR: {
+    DEFAULT_USER_HEIGHT_M: 1.70,         // Used until the device registers a height
+    MIN_USER_HEIGHT_M: 0.8,
+    MAX_USER_HEIGHT_M: 2.5,
+    STEP_LENGTH_HEIGHT_RATIO: 0.415,     // Step length ≈ 0.415 × height
+    STEP_LENGTH_NOISE_M: 0.15,           // Std of a single step length
+    STEP_PEAK_THRESHOLD: 1.5,            // Accel magnitude above gravity that counts as a step (m/s²)
+    STEP_RESET_THRESHOLD: 0.3,           // Magnitude must fall below this before the next step
+    MIN_STEP_INTERVAL_MS: 300,           // Faster than ~3.3 steps/s is treated as bounce
+    MAX_STEP_INTERVAL_MS: 2000,          // Slower than this, cadence no longer implies speed
+    CADENCE_SPEED_NOISE_MPS: 0.3,        // Std of the speed implied by step cadence
+  },
+
   // ── Indoor Positioning ────────────────────────────────────────────────────
   INDOOR: {
     RSSI_PATH_LOSS_EXPONENT: 2.0,        // Free space path loss (2.0–4.0)
     RSSI_MEASURED_AT_1M: -40,           // Expected RSSI at 1 meter (dBm)
-    MIN_BASE_STATIONS: 3,               // Minimum stations for trilateration
+    MIN_BASE_STATIONS: 3,               // Minimum stations for multilateration
+    RSSI_SHADOWING_STD_DB: 4,           // Std of RSSI around the path loss model (dBm)
+    MIN_RANGE_SIGMA_M: 0.5,             // Floor on a single range's std
+    OUTLIER_RESIDUAL_SIGMA: 3,          // Reject beacons whose residual exceeds this many std
+    MULTILATERATION_MAX_ITER: 20,       // Gauss-Newton iteration cap
+
+    // Per-station path loss calibration
+    CALIBRATION_MIN_SAMPLES: 5,         // Samples needed before fitting
+    CALIBRATION_MAX_SAMPLES: 200,       // Oldest samples are dropped beyond this
+    CALIBRATION_MIN_DISTANCE_M: 0.3,    // Closer readings are near-field noise
+    CALIBRATION_MIN_SPREAD_DB: 1.5,     // Std of -10·log10(d) across samples (≈ 1.4× distance spread)
+    CALIBRATION_EXPONENT_RANGE: [1.2, 6.0], // Plausible fitted path-loss exponents
+    CALIBRATION_MIN_SHADOWING_DB: 1.5,  // Floor on the fitted RSSI residual std
+
+    // Particle filter positioning mode (per building)
+    PARTICLE_COUNT: 300,                // Particles per device
+    PARTICLE_MIN_SPREAD_M: 1.0,         // Minimum scatter when (re)initialising
+    PARTICLE_DISTANCE_NOISE_FRAC: 0.2,  // Step distance std as a fraction of the distance
+    PARTICLE_DISTANCE_NOISE_M: 0.05,    // Plus this much absolute distance std per update
+    PARTICLE_HEADING_NOISE_DEG: 10,     // Used when the fused heading carries no uncertainty
+  },
+
+  // ── Floor Detection ───────────────────────────────────────────────────────
+  FLOORS: {
+    FLOOR_HEIGHT_M: 3.5,                 // Typical floor-to-floor height
+    PRESSURE_TIME_CONSTANT_SEC: 2,       // Low-pass on barometer readings
+    BEACON_MIN_SHARE: 0.6,               // Fraction of beacon power needed to name a floor
+    BARO_HYSTERESIS_FLOORS: 0.15,        // Barometer must pass the midpoint by this much
+    BARO_CONFIRM_MS: 1000,               // A barometer floor change must persist this long
+    BEACON_CONFIRM_MS: 3000,             // A beacon-only floor change must persist this long
+    BARO_DRIFT_TIME_CONSTANT_SEC: 300,   // How fast beacons pull the barometer reference along
+  },
+
+  // ── Indoor/Outdoor Handover ───────────────────────────────────────────────
+  HANDOVER: {
+    GPS_GOOD_ACCURACY_M: 15,             // GPS fixes at least this accurate count as "good"
+    ENTER_CONFIRM_MS: 2000,              // Indoor fixes must persist this long to switch indoors...
+    ENTER_WITH_GOOD_GPS_MS: 10000,       // ...or this long while GPS is still good (doorways)
+    BEACON_LOSS_MS: 5000,                // No indoor fix for this long = beacons lost
+    EXIT_CONFIRM_MS: 3000,               // Good GPS must persist this long to switch outdoors
+  },
+
+  // ── Packet Timing ─────────────────────────────────────────────────────────
+  TIMING: {
+    REORDER_WINDOW_MS: 100,              // Hold packets this long so late ones can be slotted in
+    CLOCK_OFFSET_WINDOW_MS: 60000,       // Offset = min(receive - device time) over this window
+    CLOCK_JUMP_MS: 5000,                 // A packet this far behind means the device clock was reset
+  },
+
+  // ── Geofencing ────────────────────────────────────────────────────────────
+  ZONES: {
+    EXIT_CONFIRM_MS: 2000,               // A device must stay outside this long before it has left
+  },
+
+  // ── Indoor Routing ────────────────────────────────────────────────────────
+  ROUTING: {
+    WALK_SPEED_MPS: 1.2,                 // ETA speed (capped at the device class speed limit)
+    STAIRS_SPEED_MPS: 0.5,               // Along the stair run
+    STAIRS_M_PER_FLOOR: 7,               // Stair run per floor when an edge has no lengthM
+    ELEVATOR_WAIT_SEC: 30,               // Expected wait for an elevator...
+    ELEVATOR_SEC_PER_FLOOR: 3,           // ...plus travel per floor
+    STEP_FREE_CLASSES: ['wheelchair', 'cart', 'robot'],  // Routed around stairs by default
+  },
+
+  // ── Turn-by-turn Guidance ─────────────────────────────────────────────────
+  GUIDANCE: {
+    OFF_ROUTE_TOLERANCE_M: 4,            // Corridor half-width: further from the route is off route...
+    OFF_ROUTE_CONFIRM_MS: 3000,          // ...once it has lasted this long (then reroute)
+    WAYPOINT_REACHED_M: 2,               // A waypoint (or the destination) this close is reached
+    ANNOUNCE_DISTANCES_M: [50, 20, 10, 5],  // Repeat the next instruction as these distances are passed
+    STRAIGHT_MAX_DEG: 20,                // Direction changes below this are not announced
+    SLIGHT_MAX_DEG: 45,                  // Up to this is a slight turn
+    U_TURN_MIN_DEG: 150,                 // From this on it is a turn around
+  },
+
+  // ── Hazards ───────────────────────────────────────────────────────────────
+  HAZARDS: {
+    DEFAULT_TTL_SEC: 3600,               // Expiry of a reported hazard when none is given
+    MAX_RADIUS_M: 100,                   // Largest hazard radius accepted
+    SWEEP_INTERVAL_MS: 5000,             // How often expired hazards are removed
+  },
+
+  // ── Alert Lifecycle ───────────────────────────────────────────────────────
+  ALERTS: {
+    AUTO_RESOLVE_MS: 5000,               // Resolve once the condition is unreported this long
+    SWEEP_INTERVAL_MS: 1000,             // How often stale alerts are checked
+    HISTORY_LIMIT: 1000,                 // Resolved alerts kept for the history endpoints
+
+    // Risk state machine (see riskState.service)
+    EXIT_DISTANCE_FACTOR: 1.25,          // A risk level is left only beyond its distances × this
+    SPEED_EXIT_FACTOR: 0.9,              // Speeding ends below the class limit × this
+    CLEAR_CONFIRM_MS: 1500,              // Risk must stay gone this long before it is cleared
+    MONITOR_ESCALATION_SEC: 10,          // A collision state lasting this long is escalated to monitors
+  },
+
+  // ── Outbound Webhooks ─────────────────────────────────────────────────────
+  WEBHOOKS: {
+    MAX_ATTEMPTS: 6,                     // Deliveries still failing after this many go to the dead-letter list
+    INITIAL_BACKOFF_MS: 1000,            // Wait before the first retry...
+    BACKOFF_MULTIPLIER: 2,               // ...growing by this factor per attempt...
+    MAX_BACKOFF_MS: 60000,               // ...up to this
+    TIMEOUT_MS: 5000,                    // A request taking longer counts as failed
+    HISTORY_LIMIT: 500,                  // Finished deliveries kept for the status API
+    DEAD_LETTER_LIMIT: 500,              // Dead letters kept for inspection / manual retry
   },
 
   // ── Device TTL ────────────────────────────────────────────────────────────
@@ -0,0 +1,207 @@
+/**
+ * models/alertStore.js
+ *
+ * In-memory alert lifecycle store. Each distinct condition (a device pair
+ * being too close, a device speeding, a device inside a zone) maps to at most
+ * one unresolved alert; repeated reports of the same condition refresh it
+ * instead of creating new ones.
+ *
+ * Each alert entry shape:
+ * {
+ *   alertId: string,
+ *   conditionKey: string,                   // e.g. 'proximity:a:b', 'speed:a'
+ *   type, severity, message,                // from the latest report
+ *   deviceIds: string[],
+ *   status: 'open' | 'acknowledged' | 'resolved',
+ *   payload: object,                        // latest alert payload as emitted
+ *   occurrences: number,                    // reports of the condition so far
+ *   autoResolveMs: number | null,           // resolve once unreported this long; null = only explicitly
+ *   createdAt, lastSeenAt, updatedAt,
+ *   acknowledgedAt, acknowledgedBy,
+ *   resolvedAt, resolvedBy,                 // resolvedBy 'auto' when the condition cleared
+ *   resolutionNote
+ * }
+ *
+ * Emits 'change' (alert, change) with change one of 'created' | 'escalated' |
+ * 'acknowledged' | 'resolved'.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const { ALERTS } = config;
+
+const SEVERITY_RANK = { info: 0, warning: 1, collision: 2 };
+// Proximity alerts also carry a riskLevel (0..3) that orders alerts of one severity
+const level = payload => (SEVERITY_RANK[payload.severity] ?? 0) * 4 + (payload.riskLevel ?? 0);
+
+class AlertStore extends EventEmitter {
+  constructor() {
+    super();
+    this.alerts = new Map();      // alertId => alert (insertion order = creation order)
+    this.unresolved = new Map();  // conditionKey => alertId
+
+    // Resolve alerts whose condition stopped being reported
+    setInterval(() => this.sweep(), ALERTS.SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Report a condition. Creates an alert, or refreshes the unresolved one for
+   * the same condition; a higher severity reopens an acknowledged alert.
+   * @param {string} conditionKey
+   * @param {object} payload - alert payload ({ type, severity, message, riskLevel?, ... })
+   * @param {object} opts
+   * @param {string[]} opts.deviceIds
+   * @param {number|null} [opts.autoResolveMs]
+   * @param {number} [now]
+   * @returns {{ alert: object, change: 'created' | 'escalated' | 'refreshed' }}
+   */
+  raise(conditionKey, payload, { deviceIds, autoResolveMs = ALERTS.AUTO_RESOLVE_MS }, now = Date.now()) {
+    const existing = this.alerts.get(this.unresolved.get(conditionKey));
+    if (existing) {
+      const escalated = level(payload) > level(existing.payload);
+      Object.assign(existing, {
+        type:        payload.type,
+        severity:    payload.severity,
+        message:     payload.message,
+        payload,
+        occurrences: existing.occurrences + 1,
+        lastSeenAt:  now,
+      });
+      if (!escalated) return { alert: existing, change: 'refreshed' };
+
+      Object.assign(existing, { status: 'open', updatedAt: now });
+      this.emit('change', existing, 'escalated');
+      return { alert: existing, change: 'escalated' };
+    }
+
+    const alert = {
+      alertId:        crypto.randomUUID(),
+      conditionKey,
+      type:           payload.type,
+      severity:       payload.severity,
+      message:        payload.message,
+      deviceIds,
+      status:         'open',
+      payload,
+      occurrences:    1,
+      autoResolveMs,
+      createdAt:      now,
+      lastSeenAt:     now,
+      updatedAt:      now,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt:     null,
+      resolvedBy:     null,
+      resolutionNote: null,
+    };
+    this.alerts.set(alert.alertId, alert);
+    this.unresolved.set(conditionKey, alert.alertId);
+    this._trimHistory();
+    this.emit('change', alert, 'created');
+    return { alert, change: 'created' };
+  }
+
+  get(alertId) {
+    return this.alerts.get(alertId) || null;
+  }
+
+  /** Unresolved alert for a condition, or null */
+  getByCondition(conditionKey) {
+    return this.get(this.unresolved.get(conditionKey));
+  }
+
+  /**
+   * Alerts matching every given filter, newest first.
+   * @param {object} [filters] - { status, type, severity, deviceId, since (ms), limit }
+   * @returns {Array}
+   */
+  list({ status, type, severity, deviceId, since, limit } = {}) {
+    const matches = [];
+    for (const alert of Array.from(this.alerts.values()).reverse()) {
+      if (status && alert.status !== status) continue;
+      if (type && alert.type !== type) continue;
+      if (severity && alert.severity !== severity) continue;
+      if (deviceId && !alert.deviceIds.includes(deviceId)) continue;
+      if (since && alert.updatedAt < since) continue;
+      matches.push(alert);
+      if (limit && matches.length >= limit) break;
+    }
+    return matches;
+  }
+
+  /**
+   * Mark an open alert as seen by an operator.
+   * @param {string} alertId
+   * @param {string} [by]
+   * @returns {object|null} the alert, or null if unknown
+   * @throws {Error} if the alert is already resolved
+   */
+  acknowledge(alertId, by = null, now = Date.now()) {
+    const alert = this.get(alertId);
+    if (!alert) return null;
+    if (alert.status === 'resolved') throw new Error('alert is already resolved');
+    if (alert.status === 'acknowledged') return alert;
+
+    Object.assign(alert, { status: 'acknowledged', acknowledgedAt: now, acknowledgedBy: by, updatedAt: now });
+    this.emit('change', alert, 'acknowledged');
+    return alert;
+  }
+
+  /**
+   * Close an alert. A later report of the same condition opens a new one.
+   * @param {string} alertId
+   * @param {string} [by] - operator, or 'auto' when the condition cleared
+   * @param {string} [note]
+   * @returns {object|null} the alert, or null if unknown
+   */
+  resolve(alertId, by = null, note = null, now = Date.now()) {
+    const alert = this.get(alertId);
+    if (!alert) return null;
+    if (alert.status === 'resolved') return alert;
+
+    Object.assign(alert, { status: 'resolved', resolvedAt: now, resolvedBy: by, resolutionNote: note, updatedAt: now });
+    this.unresolved.delete(alert.conditionKey);
+    this.emit('change', alert, 'resolved');
+    return alert;
+  }
+
+  /**
+   * Auto-resolve alerts whose condition has not been reported for their autoResolveMs.
+   * @param {number} [now]
+   * @returns {number} alerts resolved
+   */
+  sweep(now = Date.now()) {
+    let resolved = 0;
+    for (const alertId of Array.from(this.unresolved.values())) {
+      const alert = this.alerts.get(alertId);
+      if (alert.autoResolveMs !== null && now - alert.lastSeenAt >= alert.autoResolveMs) {
+        this.resolve(alertId, 'auto', 'condition cleared', now);
+        resolved += 1;
+      }
+    }
+    return resolved;
+  }
+
+  /** Counts by status */
+  getSummary() {
+    const counts = { open: 0, acknowledged: 0, resolved: 0 };
+    for (const alert of this.alerts.values()) counts[alert.status] += 1;
+    return counts;
+  }
+
+  /** Drop the oldest resolved alerts beyond ALERTS.HISTORY_LIMIT */
+  _trimHistory() {
+    let excess = this.alerts.size - ALERTS.HISTORY_LIMIT;
+    for (const [alertId, alert] of this.alerts) {
+      if (excess <= 0) break;
+      if (alert.status !== 'resolved') continue;
+      this.alerts.delete(alertId);
+      excess -= 1;
+    }
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new AlertStore();
@@ -0,0 +1,96 @@
+/**
+ * models/buildingStore.js
+ *
+ * In-memory registry of buildings used by indoor positioning.
+ *
+ * Each building entry shape:
+ * {
+ *   buildingId: string,
+ *   name: string,
+ *   positioningMode: 'multilateration' | 'particle',
+ *   anchor: { lat, lng, rotationDeg, scale } | null,  // georeference, see utils/geo.js
+ *   walls: [{ x1, y1, x2, y2, floor }],                // parsed from the GeoJSON floor plan
+ *   updatedAt: timestamp
+ * }
+ */
+
+const { parseFloorPlan } = require('../utils/floorPlan');
+
+const POSITIONING_MODES = ['multilateration', 'particle'];
+
+/**
+ * Validate a building georeference. null clears it.
+ * @param {object|null} anchor - { lat, lng, rotationDeg?, scale? }
+ * @returns {object|null}
+ * @throws {Error} if out of range
+ */
+function parseAnchor(anchor) {
+  if (anchor === null) return null;
+  const { lat, lng, rotationDeg = 0, scale = 1 } = anchor || {};
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lng) <= 180)) {
+    throw new Error('anchor requires lat in [-90, 90] and lng in [-180, 180]');
+  }
+  if (!Number.isFinite(rotationDeg)) throw new Error('anchor rotationDeg must be a number');
+  if (!(scale > 0)) throw new Error('anchor scale must be positive');
+  return { lat, lng, rotationDeg, scale };
+}
+
+class BuildingStore {
+  constructor() {
+    this.buildings = new Map();  // buildingId => building
+  }
+
+  /**
+   * Create or update a building. Only the fields present in `data` change.
+   * @param {string} buildingId
+   * @param {object} data - { name?, positioningMode?, floorPlan? (GeoJSON) }
+   * @returns {object} the stored building
+   * @throws {Error} on an unknown positioning mode or malformed floor plan
+   */
+  upsert(buildingId, data = {}) {
+    const existing = this.buildings.get(buildingId) || {
+      buildingId,
+      name: buildingId,
+      positioningMode: 'multilateration',
+      anchor: null,
+      walls: [],
+    };
+
+    if (data.positioningMode !== undefined && !POSITIONING_MODES.includes(data.positioningMode)) {
+      throw new Error(`positioningMode must be one of: ${POSITIONING_MODES.join(', ')}`);
+    }
+
+    const updated = {
+      ...existing,
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.positioningMode !== undefined && { positioningMode: data.positioningMode }),
+      ...(data.floorPlan !== undefined && { walls: parseFloorPlan(data.floorPlan) }),
+      ...(data.anchor !== undefined && { anchor: parseAnchor(data.anchor) }),
+      buildingId,
+      updatedAt: Date.now(),
+    };
+    this.buildings.set(buildingId, updated);
+    return updated;
+  }
+
+  get(buildingId) {
+    return this.buildings.get(buildingId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.buildings.values());
+  }
+
+  remove(buildingId) {
+    return this.buildings.delete(buildingId);
+  }
+
+  /** Summary without the wall geometry (for listings) */
+  describe(building) {
+    const { walls, ...rest } = building;
+    return { ...rest, wallSegments: walls.length };
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new BuildingStore();
@@ -17,17 +17,22 @@
  *   lastUpdated: timestamp,
  *   alerts: []                              // recent alerts for this device
  * }
+ *
+ * Emits 'expired' (deviceId) when a stale device is pruned.
  */
 
+const EventEmitter = require('events');
 const config = require('../config/config');
+const spatialIndex = require('./spatialIndex');
 const fs = require('fs');
 const path = require('path');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const INFO_PATH = path.join(DATA_DIR, 'info.json');
 
-class DeviceStore {
+class DeviceStore extends EventEmitter {
   constructor() {
+    super();
     this.devices = new Map();  // deviceId => deviceState
 
     // Ensure data directory exists
@@ -57,6 +62,7 @@ class DeviceStore {
       lastUpdated: Date.now()
     };
     this.devices.set(deviceId, updated);
+    spatialIndex.update(updated);
     this._saveToDisk();
     return updated;
   }
@@ -83,15 +89,20 @@ class DeviceStore {
 
   remove(deviceId) {
     this.devices.delete(deviceId);
+    spatialIndex.remove(deviceId);
     this._saveToDisk();
   }
 
   _pruneStaleDevices() {
     const cutoff = Date.now() - config.DEVICE_TTL_MS;
     for (const [id, device] of this.devices.entries()) {
+      // Registered base stations are fixed anchors, not live devices
+      if (device.isBaseStation && device.position) continue;
       if (device.lastUpdated < cutoff) {
         console.log(`🧹 Removing stale device: ${id}`);
         this.devices.delete(id);
+        spatialIndex.remove(id);
+        this.emit('expired', id);
       }
     }
   }
@@ -133,6 +144,7 @@ class DeviceStore {
           // Refresh lastUpdated to now to avoid immediate pruning on startup
           const restored = { ...d, lastUpdated: Date.now() };
           this.devices.set(restored.deviceId, restored);
+          spatialIndex.update(restored);
         }
         // Persist refreshed timestamps back to disk so subsequent restarts keep them fresh
         this._saveToDisk();
@@ -0,0 +1,140 @@
+/**
+ * models/hazardStore.js
+ *
+ * In-memory registry of temporary hazards and static obstacles (spills,
+ * blocked corridors, construction areas) reported by operators or devices.
+ * A hazard is a circle on one floor and lasts until it expires or an
+ * operator clears it.
+ *
+ * Each hazard entry shape:
+ * {
+ *   hazardId: string,
+ *   type: 'spill' | 'blocked_corridor' | 'construction' | 'obstacle' | 'other',
+ *   description: string | null,
+ *   frame: 'geo' | 'building',
+ *   position: { lat, lng } | { x, y },  // building meters for building hazards
+ *   buildingId: string | null,          // required for building hazards
+ *   floor: number | null,               // null = every floor (or outdoors)
+ *   radiusM: number,
+ *   reportedBy: string | null,
+ *   reportedAt, expiresAt: timestamp,
+ *   clearedAt, clearedBy                // set once an operator clears it
+ * }
+ *
+ * Emits 'change' (hazard, change) with change one of 'reported' | 'cleared' | 'expired'.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const { HAZARDS } = config;
+
+const HAZARD_TYPES = ['spill', 'blocked_corridor', 'construction', 'obstacle', 'other'];
+
+/**
+ * Validate a hazard position and work out its frame.
+ * @param {object} position - { lat, lng } or { x, y }
+ * @param {string|null} buildingId
+ * @returns {{ frame, position }}
+ * @throws {Error}
+ */
+function parsePosition(position, buildingId) {
+  const { lat, lng, x, y } = position || {};
+  if (lat !== undefined || lng !== undefined) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('position requires lat in [-90, 90] and lng in [-180, 180]');
+    }
+    return { frame: 'geo', position: { lat, lng } };
+  }
+  if (!Number.isFinite(x) || !Number.isFinite(y)) throw new Error('position must be { lat, lng } or { x, y }');
+  if (!buildingId) throw new Error('building positions { x, y } require a buildingId');
+  return { frame: 'building', position: { x, y } };
+}
+
+class HazardStore extends EventEmitter {
+  constructor() {
+    super();
+    this.hazards = new Map();  // hazardId => hazard
+
+    setInterval(() => this.sweep(), HAZARDS.SWEEP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Report a new hazard.
+   * @param {object} data - { type, description?, position, buildingId?, floor?, radiusM,
+   *   ttlSec? | expiresAt?, reportedBy? }; expiry defaults to HAZARDS.DEFAULT_TTL_SEC
+   * @param {number} [now]
+   * @returns {object} the stored hazard
+   * @throws {Error} on invalid fields
+   */
+  report(data = {}, now = Date.now()) {
+    const { type, description = null, buildingId = null, floor = null, radiusM, ttlSec, expiresAt, reportedBy = null } = data;
+
+    if (!HAZARD_TYPES.includes(type)) throw new Error(`type must be one of: ${HAZARD_TYPES.join(', ')}`);
+    if (!(radiusM > 0) || radiusM > HAZARDS.MAX_RADIUS_M) {
+      throw new Error(`radiusM must be positive and at most ${HAZARDS.MAX_RADIUS_M}`);
+    }
+    if (floor !== null && !Number.isInteger(floor)) throw new Error('floor must be an integer or null');
+    if (ttlSec !== undefined && !(ttlSec > 0)) throw new Error('ttlSec must be positive');
+    if (expiresAt !== undefined && !(expiresAt > now)) throw new Error('expiresAt must be a future timestamp (ms)');
+
+    const hazard = {
+      hazardId:    crypto.randomUUID(),
+      type,
+      description,
+      ...parsePosition(data.position, buildingId),
+      buildingId,
+      floor,
+      radiusM,
+      reportedBy,
+      reportedAt:  now,
+      expiresAt:   expiresAt ?? now + (ttlSec ?? HAZARDS.DEFAULT_TTL_SEC) * 1000,
+    };
+    if (hazard.frame === 'geo') hazard.buildingId = null;
+
+    this.hazards.set(hazard.hazardId, hazard);
+    this.emit('change', hazard, 'reported');
+    return hazard;
+  }
+
+  get(hazardId) {
+    return this.hazards.get(hazardId) || null;
+  }
+
+  /** Hazards that have not expired yet */
+  getAll(now = Date.now()) {
+    return Array.from(this.hazards.values()).filter(h => h.expiresAt > now);
+  }
+
+  /**
+   * Remove a hazard an operator has dealt with.
+   * @param {string} hazardId
+   * @param {string|null} [by]
+   * @param {number} [now]
+   * @returns {object|null} the cleared hazard, or null if unknown
+   */
+  clear(hazardId, by = null, now = Date.now()) {
+    const hazard = this.hazards.get(hazardId);
+    if (!hazard) return null;
+    this.hazards.delete(hazardId);
+    Object.assign(hazard, { clearedAt: now, clearedBy: by });
+    this.emit('change', hazard, 'cleared');
+    return hazard;
+  }
+
+  /** Remove expired hazards; returns how many */
+  sweep(now = Date.now()) {
+    let expired = 0;
+    for (const hazard of Array.from(this.hazards.values())) {
+      if (hazard.expiresAt > now) continue;
+      this.hazards.delete(hazard.hazardId);
+      this.emit('change', hazard, 'expired');
+      expired += 1;
+    }
+    return expired;
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new HazardStore();
@@ -0,0 +1,78 @@
+/**
+ * models/navGraphStore.js
+ *
+ * In-memory registry of building navigation graphs (see utils/navGraph.js),
+ * one per building covering all of its floors.
+ *
+ * Each graph entry shape:
+ * {
+ *   buildingId: string,
+ *   nodes: [{ id, x, y, floor, type, name }],
+ *   edges: [{ from, to, type, lengthM, oneWay }],
+ *   updatedAt: timestamp
+ * }
+ */
+
+const { parseNavGraph, adjacency } = require('../utils/navGraph');
+
+class NavGraphStore {
+  constructor() {
+    this.graphs = new Map();     // buildingId => graph
+    this.adjacency = new Map();  // buildingId => Map(nodeId => [{ to, edge }])
+    this.nodeIndex = new Map();  // buildingId => Map(nodeId => node)
+  }
+
+  /**
+   * Replace a building's navigation graph.
+   * @param {string} buildingId
+   * @param {object} json - { nodes, edges }
+   * @returns {object} the stored graph
+   * @throws {Error} on a malformed graph
+   */
+  set(buildingId, json) {
+    const graph = { buildingId, ...parseNavGraph(json), updatedAt: Date.now() };
+    this.graphs.set(buildingId, graph);
+    this.adjacency.set(buildingId, adjacency(graph));
+    this.nodeIndex.set(buildingId, new Map(graph.nodes.map(n => [n.id, n])));
+    return graph;
+  }
+
+  get(buildingId) {
+    return this.graphs.get(buildingId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.graphs.values());
+  }
+
+  /** Node by id, or null */
+  node(buildingId, nodeId) {
+    return this.nodeIndex.get(buildingId)?.get(nodeId) || null;
+  }
+
+  /** Outgoing edges of a node: [{ to, edge }] */
+  neighbours(buildingId, nodeId) {
+    return this.adjacency.get(buildingId)?.get(nodeId) || [];
+  }
+
+  remove(buildingId) {
+    this.adjacency.delete(buildingId);
+    this.nodeIndex.delete(buildingId);
+    return this.graphs.delete(buildingId);
+  }
+
+  /** Summary without the geometry (for listings) */
+  describe(graph) {
+    return {
+      buildingId: graph.buildingId,
+      floors:     [...new Set(graph.nodes.map(n => n.floor))].sort((a, b) => a - b),
+      nodes:      graph.nodes.length,
+      edges:      graph.edges.length,
+      pois:       graph.nodes.filter(n => n.type === 'poi').map(({ id, name, floor }) => ({ id, name, floor })),
+      updatedAt:  graph.updatedAt,
+    };
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new NavGraphStore();
@@ -0,0 +1,112 @@
+/**
+ * models/spatialIndex.js
+ *
+ * Spatial index of mobile device positions used by the proximity scan.
+ * Each device is placed in a space where distances mean something:
+ *
+ *   'geo'                   - outdoor devices, and indoor devices in a georeferenced
+ *                             building (indoor position converted to lat/lng),
+ *                             projected onto a plane around the first indexed device
+ *   'building:<buildingId>' - indoor devices in a building without a georeference,
+ *                             in building coordinates (meters)
+ *
+ * Devices in different spaces are never compared. Within a space positions are
+ * bucketed in a uniform grid, one layer per floor; devices indoors with no known
+ * floor (and devices outdoors) go in a shared layer that is searched from every
+ * floor (and they search every floor), since they cannot be ruled out.
+ *
+ * deviceStore keeps it current: every update moves the device's entry and
+ * removal or pruning drops it.
+ */
+
+const config = require('../config/config');
+const buildingStore = require('./buildingStore');
+const { SpatialGrid } = require('../utils/spatialGrid');
+const { geoToLocal, buildingToGeo } = require('../utils/geo');
+
+const ANY_FLOOR = '?';
+const layerOf = ({ space, floor }) => `${space}|${Number.isInteger(floor) ? floor : ANY_FLOOR}`;
+
+class SpatialIndex {
+  constructor() {
+    this.grid = new SpatialGrid({ cellSize: config.SAFETY.PROXIMITY_GRID_CELL_M });
+    this.origin = null;  // { lat, lng } projection origin of the 'geo' space
+  }
+
+  /**
+   * Where a device is for proximity purposes. Indoor positions in a
+   * georeferenced building are converted to lat/lng so they share the 'geo'
+   * space with outdoor devices.
+   * @param {object} device - DeviceState
+   * @returns {{ space, floor, x, y, lat?, lng? }|null} null for base stations and devices
+   *   without a usable position; floor is null outdoors or when unknown; x/y are meters
+   *   (around the index origin in the 'geo' space)
+   */
+  placement(device) {
+    if (!device || device.isBaseStation) return null;
+    const ip = device.indoorPosition;
+    const indoors = device.trackingMode === 'indoor' || !!ip;
+    const floorTag = ip?.floor ?? device.floor;
+    const floor = indoors && Number.isInteger(floorTag) ? floorTag : null;
+
+    if (indoors && device.buildingId && ip && Number.isFinite(ip.x) && Number.isFinite(ip.y)) {
+      const anchor = buildingStore.get(device.buildingId)?.anchor;
+      if (!anchor) return { space: `building:${device.buildingId}`, floor, x: ip.x, y: ip.y };
+      return this._geoPlacement(buildingToGeo(anchor, ip.x, ip.y), floor);
+    }
+
+    // Set by positioning.service; devices written directly (seeds, tests) count when they have lat/lng
+    if (device.hasGeoPosition === false) return null;
+    if (!Number.isFinite(device.lat) || !Number.isFinite(device.lng)) return null;
+    return this._geoPlacement(device, floor);
+  }
+
+  _geoPlacement({ lat, lng }, floor) {
+    if (!this.origin) this.origin = { lat, lng };
+    return { space: 'geo', floor, lat, lng, ...geoToLocal(this.origin, lat, lng) };
+  }
+
+  /**
+   * Index (or move) a device. Devices without a placement are left out.
+   * @param {object} device - DeviceState
+   */
+  update(device) {
+    const place = this.placement(device);
+    if (!place) {
+      this.grid.remove(device.deviceId);
+      return;
+    }
+    this.grid.upsert(device.deviceId, place.x, place.y, layerOf(place));
+  }
+
+  remove(deviceId) {
+    this.grid.remove(deviceId);
+  }
+
+  /**
+   * Device IDs within radius of a device that share its space and could share its floor.
+   * @param {object} device - DeviceState (need not be indexed)
+   * @param {number} radiusM
+   * @returns {string[]} excluding the device itself
+   */
+  nearby(device, radiusM) {
+    const place = this.placement(device);
+    if (!place) return [];
+    const layers = Number.isInteger(place.floor)
+      ? [layerOf(place), layerOf({ space: place.space, floor: null })]
+      : [...this.grid.layers.keys()].filter(l => l.startsWith(`${place.space}|`));
+    return this.grid.query(place.x, place.y, radiusM, layers).filter(id => id !== device.deviceId);
+  }
+
+  has(deviceId) {
+    return this.grid.has(deviceId);
+  }
+
+  /** IDs of every indexed device */
+  deviceIds() {
+    return this.grid.ids();
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new SpatialIndex();
@@ -0,0 +1,131 @@
+/**
+ * models/webhookStore.js
+ *
+ * In-memory registry of outbound webhook subscriptions.
+ *
+ * Each subscription entry shape:
+ * {
+ *   webhookId: string,
+ *   url: string,                         // http(s) endpoint
+ *   events: string[],                    // lifecycle events, e.g. 'alert.created'
+ *   alertTypes: string[] | null,         // e.g. ['COLLISION_WARNING']; null = every type
+ *   secret: string,                      // HMAC key, never returned after creation
+ *   active: boolean,
+ *   createdAt, updatedAt: timestamp
+ * }
+ */
+
+const crypto = require('crypto');
+const { parseAlertFilter } = require('../services/alert.service');
+
+const WEBHOOK_EVENTS = ['alert.created', 'alert.escalated', 'alert.acknowledged', 'alert.resolved'];
+const DEFAULT_EVENTS = ['alert.created', 'alert.escalated'];
+
+/**
+ * Validate a webhook URL.
+ * @param {string} url
+ * @returns {string}
+ * @throws {Error} if it is not an absolute http(s) URL
+ */
+function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error('url must be an absolute URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('url must use http or https');
+  return parsed.toString();
+}
+
+function parseEvents(events) {
+  if (!Array.isArray(events) || !events.length || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+    throw new Error(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return events;
+}
+
+function parseSecret(secret) {
+  if (typeof secret !== 'string' || secret.length < 16) throw new Error('secret must be a string of at least 16 characters');
+  return secret;
+}
+
+class WebhookStore {
+  constructor() {
+    this.webhooks = new Map();  // webhookId => subscription
+  }
+
+  /**
+   * Register a subscription. Without a secret one is generated; either way it
+   * is only returned here.
+   * @param {object} data - { url, events?, alertTypes?, secret?, active? }
+   * @returns {object} the stored subscription, including the secret
+   * @throws {Error} on invalid fields
+   */
+  create(data = {}) {
+    const now = Date.now();
+    const webhook = {
+      webhookId:  crypto.randomUUID(),
+      url:        parseUrl(data.url),
+      events:     data.events !== undefined ? parseEvents(data.events) : DEFAULT_EVENTS,
+      alertTypes: parseAlertFilter({ types: data.alertTypes }).types,
+      secret:     data.secret !== undefined ? parseSecret(data.secret) : crypto.randomBytes(24).toString('hex'),
+      active:     data.active !== undefined ? !!data.active : true,
+      createdAt:  now,
+      updatedAt:  now,
+    };
+    this.webhooks.set(webhook.webhookId, webhook);
+    return webhook;
+  }
+
+  /**
+   * Change a subscription. Only the fields present in `data` change.
+   * @param {string} webhookId
+   * @param {object} data - { url?, events?, alertTypes?, secret?, active? }
+   * @returns {object|null} the stored subscription, or null if unknown
+   * @throws {Error} on invalid fields
+   */
+  update(webhookId, data = {}) {
+    const existing = this.webhooks.get(webhookId);
+    if (!existing) return null;
+
+    const updated = {
+      ...existing,
+      ...(data.url !== undefined && { url: parseUrl(data.url) }),
+      ...(data.events !== undefined && { events: parseEvents(data.events) }),
+      ...(data.alertTypes !== undefined && { alertTypes: parseAlertFilter({ types: data.alertTypes }).types }),
+      ...(data.secret !== undefined && { secret: parseSecret(data.secret) }),
+      ...(data.active !== undefined && { active: !!data.active }),
+      updatedAt: Date.now(),
+    };
+    this.webhooks.set(webhookId, updated);
+    return updated;
+  }
+
+  get(webhookId) {
+    return this.webhooks.get(webhookId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.webhooks.values());
+  }
+
+  remove(webhookId) {
+    return this.webhooks.delete(webhookId);
+  }
+
+  /** Active subscriptions that want this event for this alert type */
+  subscribersFor(event, alertType) {
+    return this.getAll().filter(w =>
+      w.active && w.events.includes(event) && (!w.alertTypes || w.alertTypes.includes(alertType)));
+  }
+
+  /** Subscription without its secret (for listings) */
+  describe(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new WebhookStore();
@@ -0,0 +1,119 @@
+/**
+ * models/zoneStore.js
+ *
+ * In-memory registry of geofencing zones.
+ *
+ * Each zone entry shape:
+ * {
+ *   zoneId: string,
+ *   name: string,
+ *   type: 'restricted' | 'loading_dock' | 'pedestrian_only' | 'general',
+ *   frame: 'geo' | 'building',
+ *   buildingId: string | null,       // required for building zones
+ *   floor: number | null,            // building zones only; null = every floor
+ *   polygon: [[x, y], ...],          // building meters, or [lng, lat] (GeoJSON order) for geo zones
+ *   maxDwellSec: number | null,      // dwell alert once a device stays longer; null = never
+ *   updatedAt: timestamp
+ * }
+ */
+
+const ZONE_TYPES = ['restricted', 'loading_dock', 'pedestrian_only', 'general'];
+const FRAMES = ['geo', 'building'];
+
+/**
+ * Validate a polygon ring.
+ * @param {Array} polygon
+ * @param {string} frame
+ * @returns {Array<[number, number]>} copy without a repeated closing vertex
+ * @throws {Error}
+ */
+function parsePolygon(polygon, frame) {
+  if (!Array.isArray(polygon) || polygon.some(p => !Array.isArray(p) || !p.slice(0, 2).every(Number.isFinite))) {
+    throw new Error('polygon must be an array of [x, y] points');
+  }
+  const ring = polygon.map(([x, y]) => [x, y]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+  if (ring.length < 3) throw new Error('polygon needs at least 3 distinct points');
+  if (frame === 'geo' && ring.some(([lng, lat]) => Math.abs(lng) > 180 || Math.abs(lat) > 90)) {
+    throw new Error('geo polygon points must be [lng, lat]');
+  }
+  return ring;
+}
+
+class ZoneStore {
+  constructor() {
+    this.zones = new Map();  // zoneId => zone
+  }
+
+  /**
+   * Create or update a zone. Only the fields present in `data` change; a new
+   * zone needs a polygon (and a buildingId when frame is 'building').
+   * @param {string} zoneId
+   * @param {object} data - { name?, type?, frame?, buildingId?, floor?, polygon?, maxDwellSec? }
+   * @returns {object} the stored zone
+   * @throws {Error} on invalid fields
+   */
+  upsert(zoneId, data = {}) {
+    const existing = this.zones.get(zoneId) || {
+      zoneId,
+      name: zoneId,
+      type: 'general',
+      frame: 'geo',
+      buildingId: null,
+      floor: null,
+      polygon: null,
+      maxDwellSec: null,
+    };
+
+    if (data.type !== undefined && !ZONE_TYPES.includes(data.type)) {
+      throw new Error(`type must be one of: ${ZONE_TYPES.join(', ')}`);
+    }
+    if (data.frame !== undefined && !FRAMES.includes(data.frame)) {
+      throw new Error(`frame must be one of: ${FRAMES.join(', ')}`);
+    }
+    if (data.floor !== undefined && data.floor !== null && !Number.isInteger(data.floor)) {
+      throw new Error('floor must be an integer or null');
+    }
+    if (data.maxDwellSec !== undefined && data.maxDwellSec !== null && !(data.maxDwellSec > 0)) {
+      throw new Error('maxDwellSec must be positive or null');
+    }
+
+    const frame = data.frame ?? existing.frame;
+    const updated = {
+      ...existing,
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.type !== undefined && { type: data.type }),
+      ...(data.buildingId !== undefined && { buildingId: data.buildingId }),
+      ...(data.floor !== undefined && { floor: data.floor }),
+      ...(data.maxDwellSec !== undefined && { maxDwellSec: data.maxDwellSec }),
+      frame,
+      polygon: data.polygon !== undefined || frame !== existing.frame
+        ? parsePolygon(data.polygon ?? existing.polygon, frame)
+        : existing.polygon,
+      zoneId,
+      updatedAt: Date.now(),
+    };
+    if (!updated.polygon) throw new Error('polygon is required');
+    if (frame === 'building' && !updated.buildingId) throw new Error('building zones require a buildingId');
+    if (frame === 'geo') Object.assign(updated, { buildingId: null, floor: null });
+
+    this.zones.set(zoneId, updated);
+    return updated;
+  }
+
+  get(zoneId) {
+    return this.zones.get(zoneId) || null;
+  }
+
+  getAll() {
+    return Array.from(this.zones.values());
+  }
+
+  remove(zoneId) {
+    return this.zones.delete(zoneId);
+  }
+}
+
+// Singleton instance shared across the entire app
+module.exports = new ZoneStore();
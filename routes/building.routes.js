@@ -0,0 +1,74 @@
+/**
+ * building.routes.js
+ * REST endpoints for the building registry: floor plans, georeference,
+ * the indoor positioning mode used inside each building and its navigation
+ * graph for route planning.
+ */
+
+const router = require('express').Router();
+const buildingStore = require('../models/buildingStore');
+const navGraphStore = require('../models/navGraphStore');
+
+// GET /navigation/buildings — all buildings (wall geometry summarised)
+router.get('/', (req, res) => {
+  res.json(buildingStore.getAll().map(b => buildingStore.describe(b)));
+});
+
+// GET /navigation/buildings/:buildingId — one building including wall segments
+router.get('/:buildingId', (req, res) => {
+  const building = buildingStore.get(req.params.buildingId);
+  if (!building) return res.status(404).json({ error: 'building not found' });
+  res.json(building);
+});
+
+// PUT /navigation/buildings/:buildingId — create or update a building
+// Body: { name?, positioningMode?: 'multilateration' | 'particle', floorPlan?: GeoJSON,
+//         anchor?: { lat, lng, rotationDeg?, scale? } | null }
+router.put('/:buildingId', (req, res) => {
+  try {
+    const building = buildingStore.upsert(req.params.buildingId, req.body || {});
+    res.json(buildingStore.describe(building));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /navigation/buildings/:buildingId — remove a building
+router.delete('/:buildingId', (req, res) => {
+  const removed = buildingStore.remove(req.params.buildingId);
+  if (!removed) return res.status(404).json({ error: 'building not found' });
+  res.json({ removed: true, buildingId: req.params.buildingId });
+});
+
+// GET /navigation/buildings/:buildingId/graph — navigation graph, optionally one floor
+// Query: ?floor=
+router.get('/:buildingId/graph', (req, res) => {
+  const graph = navGraphStore.get(req.params.buildingId);
+  if (!graph) return res.status(404).json({ error: 'navigation graph not found' });
+  if (req.query.floor === undefined) return res.json(graph);
+
+  const floor = Number(req.query.floor);
+  if (!Number.isInteger(floor)) return res.status(400).json({ error: 'floor must be an integer' });
+  const nodes = graph.nodes.filter(n => n.floor === floor);
+  const ids = new Set(nodes.map(n => n.id));
+  // Stairs and elevator edges leaving the floor are kept so connections show
+  res.json({ ...graph, nodes, edges: graph.edges.filter(e => ids.has(e.from) || ids.has(e.to)) });
+});
+
+// PUT /navigation/buildings/:buildingId/graph — replace the navigation graph
+// Body: { nodes: [{ id, x, y, floor, type?, name? }], edges: [{ from, to, type?, lengthM?, oneWay? }] }
+router.put('/:buildingId/graph', (req, res) => {
+  try {
+    res.json(navGraphStore.describe(navGraphStore.set(req.params.buildingId, req.body || {})));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /navigation/buildings/:buildingId/graph — remove the navigation graph
+router.delete('/:buildingId/graph', (req, res) => {
+  if (!navGraphStore.remove(req.params.buildingId)) return res.status(404).json({ error: 'navigation graph not found' });
+  res.json({ removed: true, buildingId: req.params.buildingId });
+});
+
+module.exports = router;
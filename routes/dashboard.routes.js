@@ -1,16 +1,25 @@
 /**
  * dashboard.routes.js
- * Provides aggregated system statistics for an admin / monitoring dashboard.
+ * Provides aggregated system statistics for an admin / monitoring dashboard,
+ * and the alert history with acknowledgement / resolution.
  */
 
 const router = require('express').Router();
 const { getActiveDevices } = require('../services/positioning.service');
 const { scanProximity }    = require('../services/proximity.service');
+const { scanHazards }      = require('../services/hazard.service');
+const { listRiskStates }   = require('../services/riskState.service');
+const alertStore           = require('../models/alertStore');
+const hazardStore          = require('../models/hazardStore');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
 
 // GET /dashboard — full system snapshot
 router.get('/', (req, res) => {
   const devices  = getActiveDevices();
   const proxEvents = scanProximity();
+  const hazardEvents = scanHazards();
+  const hazards = hazardStore.getAll();
 
   const collisions = proxEvents.filter(e => e.severity === 'collision');
   const warnings   = proxEvents.filter(e => e.severity === 'warning');
@@ -21,9 +30,14 @@ router.get('/', (req, res) => {
       baseStations:       devices.filter(d => d.isBaseStation).length,
       collisionAlerts:    collisions.length,
       proximityWarnings:  warnings.length,
+      activeHazards:      hazards.length,
+      hazardWarnings:     hazardEvents.length,
+      alerts:             alertStore.getSummary(),
     },
     devices,
     activeAlerts: proxEvents,
+    hazards,
+    hazardAlerts: hazardEvents,
     timestamp: new Date().toISOString(),
   });
 });
@@ -33,9 +47,51 @@ router.get('/devices', (req, res) => {
   res.json(getActiveDevices());
 });
 
-// GET /dashboard/alerts — current proximity/collision events
+// GET /dashboard/risks — live risk states behind proximity and speed alerts
+router.get('/risks', (req, res) => {
+  res.json(listRiskStates());
+});
+
+// GET /dashboard/alerts — alert history, newest first
+// Query: ?status=open|acknowledged|resolved&type=&severity=&deviceId=&since=<ms>&limit=
 router.get('/alerts', (req, res) => {
-  res.json(scanProximity());
+  const { status, type, severity, deviceId } = req.query;
+  if (status && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+  }
+  const since = req.query.since !== undefined ? Number(req.query.since) : undefined;
+  const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+  if ((since !== undefined && !Number.isFinite(since)) || (limit !== undefined && !(limit > 0))) {
+    return res.status(400).json({ error: 'since must be a timestamp (ms) and limit a positive number' });
+  }
+  res.json(alertStore.list({ status, type, severity, deviceId, since, limit }));
+});
+
+// GET /dashboard/alerts/:alertId — one alert
+router.get('/alerts/:alertId', (req, res) => {
+  const alert = alertStore.get(req.params.alertId);
+  if (!alert) return res.status(404).json({ error: 'alert not found' });
+  res.json(alert);
+});
+
+// POST /dashboard/alerts/:alertId/acknowledge — operator has seen the alert
+// Body: { by? }
+router.post('/alerts/:alertId/acknowledge', (req, res) => {
+  try {
+    const alert = alertStore.acknowledge(req.params.alertId, req.body?.by ?? null);
+    if (!alert) return res.status(404).json({ error: 'alert not found' });
+    res.json(alert);
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// POST /dashboard/alerts/:alertId/resolve — close the alert
+// Body: { by?, note? }
+router.post('/alerts/:alertId/resolve', (req, res) => {
+  const alert = alertStore.resolve(req.params.alertId, req.body?.by ?? null, req.body?.note ?? null);
+  if (!alert) return res.status(404).json({ error: 'alert not found' });
+  res.json(alert);
 });
 
 module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * hazard.routes.js
+ * REST endpoints for reported hazards and static obstacles. Devices can also
+ * report hazards over the socket ('hazard:report').
+ */
+
+const router = require('express').Router();
+const hazardStore = require('../models/hazardStore');
+const { scanHazards } = require('../services/hazard.service');
+
+// GET /navigation/hazards — active hazards
+// Query: ?buildingId=&floor=
+router.get('/', (req, res) => {
+  const { buildingId } = req.query;
+  const floor = req.query.floor !== undefined ? Number(req.query.floor) : undefined;
+  if (floor !== undefined && !Number.isInteger(floor)) return res.status(400).json({ error: 'floor must be an integer' });
+
+  res.json(hazardStore.getAll().filter(h =>
+    (!buildingId || h.buildingId === buildingId) && (floor === undefined || h.floor === null || h.floor === floor)));
+});
+
+// GET /navigation/hazards/:hazardId — one hazard and the devices currently at risk from it
+router.get('/:hazardId', (req, res) => {
+  const hazard = hazardStore.get(req.params.hazardId);
+  if (!hazard) return res.status(404).json({ error: 'hazard not found' });
+  res.json({ ...hazard, devicesAtRisk: scanHazards().filter(e => e.hazardId === hazard.hazardId) });
+});
+
+// POST /navigation/hazards — report a hazard
+// Body: { type: 'spill' | 'blocked_corridor' | 'construction' | 'obstacle' | 'other',
+//         position: { lat, lng } | { x, y }, buildingId? (with x/y), floor?, radiusM,
+//         ttlSec? | expiresAt? (ms), description?, reportedBy? }
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(hazardStore.report(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /navigation/hazards/:hazardId — clear a hazard that has been dealt with
+// Query: ?by=
+router.delete('/:hazardId', (req, res) => {
+  const hazard = hazardStore.clear(req.params.hazardId, req.query.by ?? null);
+  if (!hazard) return res.status(404).json({ error: 'hazard not found' });
+  res.json(hazard);
+});
+
+module.exports = router;
@@ -5,10 +5,29 @@
  */
 
 const router = require('express').Router();
-const { getActiveDevices, updateDevicePosition, getDevice, removeDevice } = require('../services/positioning.service');
+const { getActiveDevices, updateDevicePosition, getDevice } = require('../services/positioning.service');
+const { removeDevice } = require('../services/deviceCleanup.service');
 const { scanProximity, scanProximityForDevice } = require('../services/proximity.service');
+const { setUserHeight, getWalkStats } = require('../services/pdr.service');
+const { getSequencerStats } = require('../services/packetSequencer.service');
+const { parseDeviceClass, getDeviceClass, listDeviceClasses } = require('../services/deviceClass.service');
+const { planRoute } = require('../services/routing.service');
+const { listGuidance, describe: describeGuidance } = require('../services/guidance.service');
+const {
+  listCalibrations,
+  describe: describeCalibration,
+  addSamples: addCalibrationSamples,
+  resetCalibration,
+} = require('../services/rssiCalibration.service');
+const {
+  listMagCalibrations,
+  describe: describeMagCalibration,
+  resetMagCalibration,
+} = require('../services/magCalibration.service');
 const deviceStore = require('../models/deviceStore');
-const { SAFETY_DISTANCE_METERS, WARNING_DISTANCE_METERS } = require('../config/app.config');
+const hazardStore = require('../models/hazardStore');
+const navGraphStore = require('../models/navGraphStore');
+const config = require('../config/config');
 
 // GET /navigation/external — outdoor navigation context
 router.get('/external', (req, res) => {
@@ -17,7 +36,12 @@ router.get('/external', (req, res) => {
     mode: 'outdoor',
     activeDevices: devices.length,
     devices,
-    thresholds: { safety: SAFETY_DISTANCE_METERS, warning: WARNING_DISTANCE_METERS },
+    hazards: hazardStore.getAll().filter(h => h.frame === 'geo'),
+    thresholds: {
+      deviceClasses:      listDeviceClasses(),
+      defaultDeviceClass: config.SAFETY.DEFAULT_DEVICE_CLASS,
+      tcaHorizon:         config.SAFETY.TCA_HORIZON_SEC,
+    },
   });
 });
 
@@ -27,27 +51,51 @@ router.get('/internal', (req, res) => {
   const baseStations = all.filter(d => d.isBaseStation);
   const mobileDevices = all.filter(d => !d.isBaseStation);
 
+  const devicesByFloor = {};
+  for (const d of mobileDevices) {
+    if (d.floor === null || d.floor === undefined) continue;
+    devicesByFloor[d.floor] = (devicesByFloor[d.floor] || 0) + 1;
+  }
+
   res.json({
     mode: 'indoor',
     baseStations,
     mobileDevices,
-    trilaterationReady: baseStations.length >= 3,
+    devicesByFloor,
+    hazards: hazardStore.getAll().filter(h => h.frame === 'building'),
+    navigationGraphs: navGraphStore.getAll().map(g => navGraphStore.describe(g)),
+    trilaterationReady: baseStations.filter(d => d.position).length >= config.INDOOR.MIN_BASE_STATIONS,
   });
 });
 
 // POST /navigation/register — register a device or base station
+// Body: { deviceId, isBaseStation?, knownPosition?, buildingId?, heightM?,
+//         deviceClass?: 'pedestrian' | 'wheelchair' | 'robot' | 'cart' | 'vehicle' }
 router.post('/register', (req, res) => {
-  const { deviceId, isBaseStation = false, knownPosition } = req.body;
+  const { deviceId, isBaseStation = false, knownPosition, buildingId, heightM, deviceClass } = req.body;
   if (!deviceId) return res.status(400).json({ error: 'deviceId is required' });
+  if (deviceClass !== undefined) {
+    try {
+      parseDeviceClass(deviceClass);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
 
   const state = {
     deviceId,
     isBaseStation,
     position: knownPosition || null,
   };
+  if (buildingId !== undefined) state.buildingId = buildingId;
+  if (deviceClass !== undefined) state.deviceClass = deviceClass;
+  if (heightM !== undefined) {
+    setUserHeight(deviceId, heightM);
+    state.heightM = getWalkStats(deviceId).heightM;
+  }
 
   deviceStore.update(deviceId, state);
-  return res.json({ registered: true, deviceId });
+  return res.json({ registered: true, deviceId, deviceClass: getDeviceClass(deviceStore.get(deviceId)).name });
 });
 
 // POST /navigation/external/update — accept sensor payload and update device state
@@ -68,16 +116,16 @@ router.post('/external/update', (req, res) => {
   return res.json({ received: true, device: updated });
 });
 
-// GET /navigation/device/:id — get a single device
+// GET /navigation/device/:id — get a single device (with packet/clock statistics)
 router.get('/device/:id', (req, res) => {
   const d = getDevice(req.params.id);
   if (!d) return res.status(404).json({ error: 'device not found' });
-  res.json(d);
+  res.json({ ...d, packets: getSequencerStats(req.params.id) });
 });
 
-// DELETE /navigation/device/:id — remove a device
+// DELETE /navigation/device/:id — remove a device with all its tracking state (resolving its open zone alerts and ending its guidance)
 router.delete('/device/:id', (req, res) => {
-  removeDevice(req.params.id);
+  removeDevice(req.params.id, 'device removed');
   res.json({ removed: true, deviceId: req.params.id });
 });
 
@@ -91,6 +139,82 @@ router.get('/proximity/:id', (req, res) => {
   res.json(scanProximityForDevice(req.params.id));
 });
 
+// POST /navigation/route — indoor route to a node or point of interest
+// Body: { deviceId? | from?: { buildingId, x, y, floor } | { buildingId, nodeId },
+//         to: nodeId | POI name, accessible? }
+router.post('/route', (req, res) => {
+  try {
+    const route = planRoute(req.body || {});
+    if (!route) return res.status(404).json({ error: 'no route to the destination' });
+    res.json(route);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /navigation/guidance — turn-by-turn guidance sessions (started over the socket)
+// Query: ?status=active|arrived
+router.get('/guidance', (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !['active', 'arrived'].includes(status)) {
+    return res.status(400).json({ error: 'status must be active or arrived' });
+  }
+  res.json(listGuidance(status));
+});
+
+// GET /navigation/guidance/:deviceId — a device's guidance session
+router.get('/guidance/:deviceId', (req, res) => {
+  const session = describeGuidance(req.params.deviceId);
+  if (!session) return res.status(404).json({ error: 'no guidance session for this device' });
+  res.json(session);
+});
+
+// GET /navigation/calibration/rssi — path loss calibration of every base station
+router.get('/calibration/rssi', (req, res) => {
+  res.json(listCalibrations());
+});
+
+// GET /navigation/calibration/rssi/:stationId — calibration of one base station
+router.get('/calibration/rssi/:stationId', (req, res) => {
+  const cal = describeCalibration(req.params.stationId);
+  if (!cal) return res.status(404).json({ error: 'base station not found' });
+  res.json(cal);
+});
+
+// POST /navigation/calibration/rssi/:stationId/samples — add survey samples and refit
+// Body: { samples: [{ rssi, distanceM } | { rssi, position: { x, y } }] }
+router.post('/calibration/rssi/:stationId/samples', (req, res) => {
+  const { samples } = req.body || {};
+  if (!Array.isArray(samples)) return res.status(400).json({ error: 'samples array is required' });
+
+  const result = addCalibrationSamples(req.params.stationId, samples);
+  if (result.error) return res.status(404).json({ error: result.error });
+  res.json(result);
+});
+
+// DELETE /navigation/calibration/rssi/:stationId — revert to the global path loss model
+router.delete('/calibration/rssi/:stationId', (req, res) => {
+  const cal = resetCalibration(req.params.stationId);
+  if (!cal) return res.status(404).json({ error: 'base station not found' });
+  res.json(cal);
+});
+
+// GET /navigation/calibration/magnetometer — magnetometer calibration of every device that has one
+router.get('/calibration/magnetometer', (req, res) => {
+  res.json(listMagCalibrations());
+});
+
+// GET /navigation/calibration/magnetometer/:deviceId — calibration quality of one device
+router.get('/calibration/magnetometer/:deviceId', (req, res) => {
+  res.json(describeMagCalibration(req.params.deviceId));
+});
+
+// DELETE /navigation/calibration/magnetometer/:deviceId — drop a device's calibration
+router.delete('/calibration/magnetometer/:deviceId', (req, res) => {
+  if (!resetMagCalibration(req.params.deviceId)) return res.status(404).json({ error: 'no calibration for device' });
+  res.json(describeMagCalibration(req.params.deviceId));
+});
+
 // POST /navigation/external — receive a one-shot sensor update via REST (non-WS fallback)
 router.post('/external/update', (req, res) => {
   // Minimal REST fallback — real-time updates should use WebSocket
@@ -0,0 +1,82 @@
+/**
+ * webhook.routes.js
+ * REST endpoints for outbound webhook subscriptions and their delivery status.
+ */
+
+const router = require('express').Router();
+const webhookStore = require('../models/webhookStore');
+const {
+  sendTestEvent,
+  listDeliveries,
+  listDeadLetters,
+  retryDeadLetter,
+} = require('../services/webhook.service');
+
+// GET /dashboard/webhooks — all subscriptions (secrets omitted)
+router.get('/', (req, res) => {
+  res.json(webhookStore.getAll().map(w => webhookStore.describe(w)));
+});
+
+// POST /dashboard/webhooks — register a subscription
+// Body: { url, events?: ['alert.created' | 'alert.escalated' | 'alert.acknowledged' | 'alert.resolved'],
+//         alertTypes?: ['COLLISION_WARNING', ...], secret?, active? }
+// The response is the only place the secret is returned.
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(webhookStore.create(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /dashboard/webhooks/dead-letters — deliveries that exhausted their retries
+router.get('/dead-letters', (req, res) => {
+  res.json(listDeadLetters());
+});
+
+// POST /dashboard/webhooks/dead-letters/:deliveryId/retry — queue a dead letter again
+router.post('/dead-letters/:deliveryId/retry', (req, res) => {
+  const delivery = retryDeadLetter(req.params.deliveryId);
+  if (!delivery) return res.status(404).json({ error: 'dead letter not found' });
+  res.status(202).json(delivery);
+});
+
+// GET /dashboard/webhooks/:webhookId — one subscription
+router.get('/:webhookId', (req, res) => {
+  const webhook = webhookStore.get(req.params.webhookId);
+  if (!webhook) return res.status(404).json({ error: 'webhook not found' });
+  res.json(webhookStore.describe(webhook));
+});
+
+// PATCH /dashboard/webhooks/:webhookId — change url, events, alertTypes, secret or active
+router.patch('/:webhookId', (req, res) => {
+  try {
+    const webhook = webhookStore.update(req.params.webhookId, req.body || {});
+    if (!webhook) return res.status(404).json({ error: 'webhook not found' });
+    res.json(webhookStore.describe(webhook));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /dashboard/webhooks/:webhookId — remove a subscription (pending deliveries are cancelled)
+router.delete('/:webhookId', (req, res) => {
+  const removed = webhookStore.remove(req.params.webhookId);
+  if (!removed) return res.status(404).json({ error: 'webhook not found' });
+  res.json({ removed: true, webhookId: req.params.webhookId });
+});
+
+// GET /dashboard/webhooks/:webhookId/deliveries — pending and recent deliveries
+router.get('/:webhookId/deliveries', (req, res) => {
+  if (!webhookStore.get(req.params.webhookId)) return res.status(404).json({ error: 'webhook not found' });
+  res.json(listDeliveries(req.params.webhookId));
+});
+
+// POST /dashboard/webhooks/:webhookId/test — send a signed 'ping' event
+router.post('/:webhookId/test', (req, res) => {
+  const webhook = webhookStore.get(req.params.webhookId);
+  if (!webhook) return res.status(404).json({ error: 'webhook not found' });
+  res.status(202).json({ deliveryId: sendTestEvent(webhook).deliveryId });
+});
+
+module.exports = router;
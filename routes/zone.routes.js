@@ -0,0 +1,43 @@
+/**
+ * zone.routes.js
+ * REST endpoints for the geofencing zone registry.
+ */
+
+const router = require('express').Router();
+const zoneStore = require('../models/zoneStore');
+const { getZoneOccupants } = require('../services/geofence.service');
+const { resolveZoneAlerts } = require('../services/alert.service');
+
+// GET /navigation/zones — all zones
+router.get('/', (req, res) => {
+  res.json(zoneStore.getAll());
+});
+
+// GET /navigation/zones/:zoneId — one zone and the devices currently inside it
+router.get('/:zoneId', (req, res) => {
+  const zone = zoneStore.get(req.params.zoneId);
+  if (!zone) return res.status(404).json({ error: 'zone not found' });
+  res.json({ ...zone, occupants: getZoneOccupants(zone.zoneId) });
+});
+
+// PUT /navigation/zones/:zoneId — create or update a zone
+// Body: { name?, type?: 'restricted' | 'loading_dock' | 'pedestrian_only' | 'general',
+//         frame?: 'geo' | 'building', buildingId?, floor?, polygon?: [[x, y] | [lng, lat], ...],
+//         maxDwellSec? }
+router.put('/:zoneId', (req, res) => {
+  try {
+    res.json(zoneStore.upsert(req.params.zoneId, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE /navigation/zones/:zoneId — remove a zone (and resolve its open alerts)
+router.delete('/:zoneId', (req, res) => {
+  const removed = zoneStore.remove(req.params.zoneId);
+  if (!removed) return res.status(404).json({ error: 'zone not found' });
+  resolveZoneAlerts({ zoneId: req.params.zoneId }, 'zone deleted');
+  res.json({ removed: true, zoneId: req.params.zoneId });
+});
+
+module.exports = router;
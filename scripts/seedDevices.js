@@ -14,6 +14,7 @@ function toDeviceState(entry) {
   const base = {
     deviceId: p.deviceId || `device_${Math.random().toString(36).slice(2,8)}`,
     isBaseStation: p.isBaseStation || false,
+    deviceClass: p.deviceClass,
     position: p.knownPosition || (p.gps ? { lat: p.gps.lat, lng: p.gps.lng, alt: p.gps.alt } : null),
     velocity: { speed: p.speed || 0 },
     heading: p.heading || 0,
@@ -50,6 +51,7 @@ function main() {
       sensorConfidence: state.sensorConfidence,
       lastRawSensor: state.lastRawSensor,
       isBaseStation: state.isBaseStation,
+      deviceClass: state.deviceClass,
       rssi: state.rssi,
     });
 
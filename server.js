@@ -12,7 +12,12 @@ const { PORT, CORS_ORIGIN } = require('./config/app.config');
 const landingRoutes = require('./routes/landing.routes');
 const navigationRoutes = require('./routes/navigation.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
+const buildingRoutes = require('./routes/building.routes');
+const zoneRoutes = require('./routes/zone.routes');
+const hazardRoutes = require('./routes/hazard.routes');
+const webhookRoutes = require('./routes/webhook.routes');
 const initRealtimeSocket = require('./sockets/realtime.socket');
+const { startWebhookDispatch } = require('./services/webhook.service');
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -27,13 +32,20 @@ app.use(express.json());
 
 // ── REST Routes ───────────────────────────────────────────────────────────────
 app.use('/landing', landingRoutes);
+app.use('/navigation/buildings', buildingRoutes);
+app.use('/navigation/zones', zoneRoutes);
+app.use('/navigation/hazards', hazardRoutes);
 app.use('/navigation', navigationRoutes);
+app.use('/dashboard/webhooks', webhookRoutes);
 app.use('/dashboard', dashboardRoutes);
 app.get('/health', (req, res) => res.json({ status: 'ok', uptime: process.uptime() }));
 
 // ── WebSocket ─────────────────────────────────────────────────────────────────
 initRealtimeSocket(io);
 
+// ── Outbound Webhooks ─────────────────────────────────────────────────────────
+startWebhookDispatch();
+
 // ── Start ─────────────────────────────────────────────────────────────────────
 if (process.env.NODE_ENV !== 'test') {
   httpServer.listen(PORT, () => {
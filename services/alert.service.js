@@ -1,87 +1,367 @@
 /**
  * alert.service.js
- * Generates and emits alert events based on proximity and speed checks.
- * Maintains a short-term deduplication window to avoid alert spam.
+ * Generates alert events from proximity, hazard, speed and geofence checks.
+ * Proximity and speed alerts follow the risk state machines in
+ * riskState.service: an alert is sent when a risk is raised or escalates,
+ * once more when it clears, and never just because it is still there.
+ * Every alert is tracked in the alert store (one alert per ongoing condition,
+ * see models/alertStore.js).
  */
 
-const { MAX_SAFE_SPEED_MPS } = require('../config/app.config');
+const alertStore = require('../models/alertStore');
+const deviceStore = require('../models/deviceStore');
+const { updatePairRisks, updateSpeedRisk, sweepRiskStates } = require('./riskState.service');
+const { RISK, RISK_LABELS } = require('./proximity.service');
 
-// Alert deduplication: key -> last emitted timestamp
-const recentAlerts = new Map();
-const DEDUP_WINDOW_MS = 3000; // don't re-emit same alert within 3 seconds
+/**
+ * Record a condition in the alert store and stamp the payload with its alert.
+ * New alerts are also added to each involved device's recent alerts.
+ * @param {string} conditionKey
+ * @param {object} payload
+ * @param {string[]} deviceIds
+ * @param {number|null} [autoResolveMs] - null = resolved explicitly (see alertStore.raise)
+ * @returns {object} payload with alertId and status
+ */
+function track(conditionKey, payload, deviceIds, autoResolveMs) {
+  const { alert, change } = alertStore.raise(conditionKey, payload, { deviceIds, autoResolveMs });
+  if (change === 'created') {
+    for (const deviceId of deviceIds) {
+      deviceStore.addAlert(deviceId, {
+        alertId:   alert.alertId,
+        type:      alert.type,
+        severity:  alert.severity,
+        timestamp: payload.timestamp,
+      });
+    }
+  }
+  return { alertId: alert.alertId, status: alert.status, ...payload };
+}
+
+/**
+ * Resolve the stored alerts of a condition that has cleared.
+ * @param {string[]} conditionKeys
+ * @param {string} note
+ * @returns {string[]} ids of the alerts resolved
+ */
+function resolveConditions(conditionKeys, note) {
+  const resolved = [];
+  for (const key of conditionKeys) {
+    const open = alertStore.getByCondition(key);
+    if (open) resolved.push(alertStore.resolve(open.alertId, 'auto', note).alertId);
+  }
+  return resolved;
+}
+
+const durationSec = (from, now) => Math.round((now - from) / 100) / 10;
+
+/** Alert payload for one pair transition from riskState.updatePairRisks */
+function pairTransitionAlert({ kind, key, previousLevel, state }, now) {
+  const [deviceA, deviceB] = state.deviceIds;
+  const conditionKey = `proximity:${key.replace('|', ':')}`;
+  const timestamp = new Date(now).toISOString();
+
+  if (kind === 'cleared') {
+    return {
+      type:              'RISK_CLEARED',
+      severity:          'info',
+      condition:         'proximity',
+      deviceA,
+      deviceB,
+      previousRiskLabel: RISK_LABELS[previousLevel],
+      durationSec:       durationSec(state.raisedAt, now),
+      resolvedAlertIds:  resolveConditions([conditionKey, `${conditionKey}:persistent`], 'risk cleared'),
+      message:           `✅ Devices ${deviceA} and ${deviceB} are clear (was ${RISK_LABELS[previousLevel]})`,
+      timestamp,
+    };
+  }
+
+  if (kind === 'persistent') {
+    const seconds = durationSec(state.criticalSince, now);
+    return track(`${conditionKey}:persistent`, {
+      type:        'COLLISION_PERSISTENT',
+      severity:    'collision',
+      audience:    'monitors',
+      deviceA,
+      deviceB,
+      durationSec: seconds,
+      distanceM:   state.event.distanceM,
+      message:     `🚨 Devices ${deviceA} and ${deviceB} have been at collision risk for ${seconds}s`,
+      timestamp,
+    }, state.deviceIds, null);
+  }
+
+  const { event } = state;
+  return track(conditionKey, {
+    type:              state.level === RISK.CRITICAL ? 'COLLISION_WARNING' : 'PROXIMITY_WARNING',
+    severity:          state.level === RISK.CRITICAL ? 'collision' : 'warning',
+    change:            kind,
+    riskLevel:         state.level,
+    riskLabel:         RISK_LABELS[state.level],
+    previousRiskLabel: kind === 'escalated' ? RISK_LABELS[previousLevel] : null,
+    deviceA,
+    deviceB,
+    distanceM:         event.distanceM,
+    tca:               event.tca,
+    closestApproachM:  event.closestApproachM,
+    message:           proximityMessage(event),
+    timestamp,
+  }, state.deviceIds, null);
+}
+
+/**
+ * Build alert objects from a device's proximity scan.
+ * @param {string} deviceId - the device the scan was for
+ * @param {Array} proximityEvents - output of proximity.service.scanProximityForDevice()
+ * @param {number} [now]
+ * @returns {Array} alert payloads to send (raised, escalated, persistent or cleared risks only)
+ */
+function buildProximityAlerts(deviceId, proximityEvents, now = Date.now()) {
+  return updatePairRisks(deviceId, proximityEvents, now).map(t => pairTransitionAlert(t, now));
+}
+
+/** Human-readable text for a proximity event */
+function proximityMessage(event) {
+  const pair = `${event.deviceA} and ${event.deviceB}`;
+  if (event.tca > 0 && event.closestApproachM < event.distanceM) {
+    return `${event.riskLabel === 'CRITICAL' ? '⚠️' : '⚡'} ${event.riskLabel}: Devices ${pair} ` +
+      `on course to pass within ${event.closestApproachM}m in ${event.tca}s (now ${event.distanceM}m apart)`;
+  }
+  return event.severity === 'collision'
+    ? `⚠️ COLLISION RISK: Devices ${pair} are ${event.distanceM}m apart!`
+    : `⚡ WARNING: Devices ${pair} are within ${event.distanceM}m`;
+}
+
+/**
+ * Build alert objects from a device's hazard scan. The alert for a device and
+ * hazard stays open while scans keep reporting it and resolves itself once
+ * they stop (see alertStore.sweep); it is only sent when it opens or its
+ * risk level rises above the highest level already sent (peakRiskLevel), so
+ * a device wavering between two levels is not re-alerted on every rise.
+ * @param {string} deviceId
+ * @param {Array} hazardEvents - output of hazard.service.scanHazardsForDevice()
+ * @returns {Array} alert payloads to send
+ */
+function buildHazardAlerts(deviceId, hazardEvents) {
+  const alerts = [];
+  for (const event of hazardEvents) {
+    const conditionKey = `hazard:${event.hazardId}:${deviceId}`;
+    const peak = alertStore.getByCondition(conditionKey)?.payload.peakRiskLevel ?? null;
+    const alert = track(conditionKey, {
+      type:          'HAZARD_PROXIMITY',
+      ...event,
+      peakRiskLevel: Math.max(peak ?? event.riskLevel, event.riskLevel),
+      message:       hazardMessage(event),
+      timestamp:     new Date().toISOString(),
+    }, [deviceId]);
+    if (peak === null || event.riskLevel > peak) alerts.push(alert);
+  }
+  return alerts;
+}
+
+/** Human-readable text for a hazard event */
+function hazardMessage(event) {
+  const hazard = event.hazardType.replaceAll('_', ' ');
+  if (event.clearanceM === 0) return `⚠️ Device ${event.deviceId} is inside a ${hazard} hazard area`;
+  if (event.tca > 0 && event.closestApproachM < event.distanceM) {
+    return `${event.riskLabel === 'CRITICAL' ? '⚠️' : '⚡'} ${event.riskLabel}: Device ${event.deviceId} ` +
+      `heading into a ${hazard} hazard in ${event.tca}s (${event.clearanceM}m from its edge)`;
+  }
+  return `⚡ WARNING: Device ${event.deviceId} is ${event.clearanceM}m from a ${hazard} hazard`;
+}
 
 /**
- * Deduplicate an alert key.
- * @param {string} key - unique alert identifier
- * @returns {boolean} true if alert should be emitted
+ * Resolve the alerts of a hazard that was cleared or expired.
+ * @param {string} hazardId
+ * @param {string} note
+ * @returns {string[]} ids of the alerts resolved
  */
-function shouldEmit(key) {
-  const last = recentAlerts.get(key);
-  const now = Date.now();
-  if (!last || now - last > DEDUP_WINDOW_MS) {
-    recentAlerts.set(key, now);
-    return true;
+function resolveHazardAlerts(hazardId, note) {
+  const keys = alertStore.list({ type: 'HAZARD_PROXIMITY' })
+    .filter(a => a.status !== 'resolved' && a.payload.hazardId === hazardId)
+    .map(a => a.conditionKey);
+  return resolveConditions(keys, note);
+}
+
+/** Alert payload for one speeding transition from riskState.updateSpeedRisk */
+function speedTransitionAlert({ kind, key: deviceId, state }, now) {
+  const timestamp = new Date(now).toISOString();
+  if (kind === 'cleared') {
+    return {
+      type:             'RISK_CLEARED',
+      severity:         'info',
+      condition:        'speed',
+      deviceId,
+      durationSec:      durationSec(state.raisedAt, now),
+      resolvedAlertIds: resolveConditions([`speed:${deviceId}`], 'speed back under the limit'),
+      message:          `✅ Device ${deviceId} is back under its speed limit`,
+      timestamp,
+    };
   }
-  return false;
+
+  return track(`speed:${deviceId}`, {
+    type:        'SPEED_EXCEEDED',
+    severity:    'warning',
+    deviceId,
+    deviceClass: state.deviceClass,
+    speedMps:    Math.round(state.speedMps * 100) / 100,
+    limitMps:    state.limitMps,
+    message:     `🚨 Device ${deviceId} (${state.deviceClass}) exceeded safe speed: ` +
+      `${state.speedMps.toFixed(1)} m/s (limit ${state.limitMps} m/s)`,
+    timestamp,
+  }, [deviceId], null);
+}
+
+/**
+ * Check a device's speed against its class limit.
+ * @param {object} deviceState - from positioning service
+ * @param {number} [now]
+ * @returns {object|null} alert payload when speeding starts or ends, else null
+ */
+function buildSpeedAlert(deviceState, now = Date.now()) {
+  const transition = updateSpeedRisk(deviceState, now);
+  return transition && speedTransitionAlert(transition, now);
+}
+
+/**
+ * Clear risks whose devices stopped reporting.
+ * @param {number} [now]
+ * @returns {Array} 'RISK_CLEARED' alert payloads
+ */
+function sweepStaleRisks(now = Date.now()) {
+  const { pairs, speed } = sweepRiskStates(now);
+  return [
+    ...pairs.map(t => pairTransitionAlert(t, now)),
+    ...speed.map(t => speedTransitionAlert(t, now)),
+  ];
 }
 
+const ZONE_ALERT_TYPES = { enter: 'ZONE_ENTERED', exit: 'ZONE_EXITED', dwell: 'ZONE_DWELL_EXCEEDED' };
+
 /**
- * Build alert objects from proximity scan results.
- * @param {Array} proximityEvents - output of proximity.service.scanProximity()
+ * Build alert objects from geofence events. A restricted-zone entry or a
+ * dwell overrun is tracked as an alert until the device leaves the zone.
+ * @param {Array} zoneEvents - output of geofence.service.evaluateZones()
  * @returns {Array} alert payloads to broadcast
  */
-function buildProximityAlerts(proximityEvents) {
+function buildZoneAlerts(zoneEvents) {
   const alerts = [];
 
-  for (const event of proximityEvents) {
-    const key = `proximity:${[event.deviceA, event.deviceB].sort().join(':')}`;
-    if (!shouldEmit(key)) continue;
-
-    alerts.push({
-      type:      event.severity === 'collision' ? 'COLLISION_WARNING' : 'PROXIMITY_WARNING',
-      severity:  event.severity,
-      deviceA:   event.deviceA,
-      deviceB:   event.deviceB,
-      distanceM: event.distanceM,
-      message:
-        event.severity === 'collision'
-          ? `⚠️ COLLISION RISK: Devices ${event.deviceA} and ${event.deviceB} are ${event.distanceM}m apart!`
-          : `⚡ WARNING: Devices ${event.deviceA} and ${event.deviceB} are within ${event.distanceM}m`,
-      timestamp: new Date().toISOString(),
-    });
+  for (const { event, deviceId, zone, dwellSec } of zoneEvents) {
+    const conditionKey = `zone:${zone.zoneId}:${deviceId}`;
+    // Entering a restricted area or outstaying a zone needs attention; the rest is informational
+    const attention = event === 'dwell' || (event === 'enter' && zone.type === 'restricted');
+    let alert = {
+      type:        ZONE_ALERT_TYPES[event],
+      severity:    attention ? 'warning' : 'info',
+      deviceId,
+      zoneId:      zone.zoneId,
+      zoneName:    zone.name,
+      zoneType:    zone.type,
+      dwellSec,
+      maxDwellSec: zone.maxDwellSec,
+      message:     zoneMessage(event, deviceId, zone, dwellSec),
+      timestamp:   new Date().toISOString(),
+    };
+
+    if (attention) {
+      alert = track(conditionKey, alert, [deviceId], null);
+    } else if (event === 'exit') {
+      const open = alertStore.getByCondition(conditionKey);
+      if (open) alertStore.resolve(open.alertId, 'auto', 'device left the zone');
+    }
+    alerts.push(alert);
   }
 
   return alerts;
 }
 
 /**
- * Check if a device's speed exceeds the safe threshold.
- * @param {object} deviceState - from positioning service
- * @returns {object|null} alert payload or null
+ * Resolve the zone alerts of a device that was removed or a zone that was
+ * deleted — neither ever sends the exit that would resolve them.
+ * @param {{ deviceId?: string, zoneId?: string }} scope - omitted = any
+ * @param {string} note
+ * @returns {string[]} ids of the alerts resolved
  */
-function buildSpeedAlert(deviceState) {
-  if (deviceState.speedMps <= MAX_SAFE_SPEED_MPS) return null;
+function resolveZoneAlerts({ deviceId, zoneId } = {}, note) {
+  const keys = alertStore.list({ deviceId })
+    .filter(a => a.status !== 'resolved' && a.conditionKey?.startsWith('zone:'))
+    .filter(a => !zoneId || a.payload.zoneId === zoneId)
+    .map(a => a.conditionKey);
+  return resolveConditions(keys, note);
+}
+
+/** Human-readable text for a geofence event */
+function zoneMessage(event, deviceId, zone, dwellSec) {
+  if (event === 'dwell') return `⏱️ Device ${deviceId} has been in ${zone.name} for ${dwellSec}s (limit ${zone.maxDwellSec}s)`;
+  if (event === 'exit') return `Device ${deviceId} left ${zone.name} after ${dwellSec}s`;
+  return zone.type === 'restricted'
+    ? `⛔ Device ${deviceId} entered restricted zone ${zone.name}`
+    : `Device ${deviceId} entered ${zone.name}`;
+}
+
+// ── Delivery ─────────────────────────────────────────────────────────────────
 
-  const key = `speed:${deviceState.deviceId}`;
-  if (!shouldEmit(key)) return null;
+const ALERT_TYPES = [
+  'COLLISION_WARNING',
+  'PROXIMITY_WARNING',
+  'COLLISION_PERSISTENT',
+  'HAZARD_PROXIMITY',
+  'SPEED_EXCEEDED',
+  'RISK_CLEARED',
+  ...Object.values(ZONE_ALERT_TYPES),
+];
+const ALERT_SEVERITIES = ['info', 'warning', 'collision'];
 
+/**
+ * Validate a monitor's alert subscription.
+ * @param {object} [filter] - { types?: string[], severities?: string[] }; omitted = everything
+ * @returns {{ types: string[]|null, severities: string[]|null }}
+ * @throws {Error} on unknown types or severities
+ */
+function parseAlertFilter({ types, severities } = {}) {
+  const parseList = (list, known, name) => {
+    if (list === undefined || list === null) return null;
+    if (!Array.isArray(list) || list.some(v => !known.includes(v))) {
+      throw new Error(`${name} must be an array of: ${known.join(', ')}`);
+    }
+    return list;
+  };
   return {
-    type:      'SPEED_EXCEEDED',
-    severity:  'warning',
-    deviceId:  deviceState.deviceId,
-    speedMps:  Math.round(deviceState.speedMps * 100) / 100,
-    limitMps:  MAX_SAFE_SPEED_MPS,
-    message:   `🚨 Device ${deviceState.deviceId} exceeded safe speed: ${deviceState.speedMps.toFixed(1)} m/s`,
-    timestamp: new Date().toISOString(),
+    types:      parseList(types, ALERT_TYPES, 'types'),
+    severities: parseList(severities, ALERT_SEVERITIES, 'severities'),
   };
 }
 
-/** Periodically clean up old dedup entries */
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, ts] of recentAlerts) {
-    if (now - ts > DEDUP_WINDOW_MS * 2) recentAlerts.delete(key);
-  }
-}, 10000);
+/** Does an alert pass a monitor's subscription (see parseAlertFilter)? */
+function alertMatchesFilter(filter, alert) {
+  if (filter?.types && !filter.types.includes(alert.type)) return false;
+  if (filter?.severities && !filter.severities.includes(alert.severity)) return false;
+  return true;
+}
+
+/**
+ * Devices an alert concerns — the only devices it is delivered to. Alerts for
+ * monitors only (escalations) go to no device.
+ * @param {object} alert - broadcast payload or stored alert
+ * @returns {string[]}
+ */
+function alertDeviceIds(alert) {
+  if ((alert.payload || alert).audience === 'monitors') return [];
+  if (alert.deviceIds) return alert.deviceIds;
+  return [alert.deviceA, alert.deviceB, alert.deviceId].filter(Boolean);
+}
 
-module.exports = { buildProximityAlerts, buildSpeedAlert };
+module.exports = {
+  buildProximityAlerts,
+  buildHazardAlerts,
+  resolveHazardAlerts,
+  buildSpeedAlert,
+  buildZoneAlerts,
+  resolveZoneAlerts,
+  sweepStaleRisks,
+  ALERT_TYPES,
+  ALERT_SEVERITIES,
+  parseAlertFilter,
+  alertMatchesFilter,
+  alertDeviceIds,
+};
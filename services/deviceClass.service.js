@@ -0,0 +1,82 @@
+/**
+ * deviceClass.service.js
+ * Device classes (pedestrian, wheelchair, robot, cart, vehicle) and the
+ * safety thresholds derived from them. Each class has a speed limit and a
+ * footprint radius; for a pair of devices
+ *
+ *   collision distance = footprint A + footprint B + COLLISION_CLEARANCE_M
+ *   warning distance   = collision distance + REACTION_TIME_SEC × faster speed limit
+ *
+ * so a forklift gets a wider berth than two people passing in a corridor.
+ */
+
+const config = require('../config/config');
+
+const { SAFETY, DEVICE_CLASSES } = config;
+
+const CLASS_NAMES = Object.keys(DEVICE_CLASSES);
+
+/**
+ * Validate a class name.
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} if it is not a known class
+ */
+function parseDeviceClass(name) {
+  if (!CLASS_NAMES.includes(name)) throw new Error(`deviceClass must be one of: ${CLASS_NAMES.join(', ')}`);
+  return name;
+}
+
+/**
+ * Class definition for a device (the default class if it never declared one).
+ * @param {object} device - DeviceState
+ * @returns {{ name, maxSpeedMps, footprintRadiusM }}
+ */
+function getDeviceClass(device) {
+  const name = DEVICE_CLASSES[device?.deviceClass] ? device.deviceClass : SAFETY.DEFAULT_DEVICE_CLASS;
+  const def = DEVICE_CLASSES[name];
+  return { name, maxSpeedMps: def.MAX_SPEED_MS, footprintRadiusM: def.FOOTPRINT_RADIUS_M };
+}
+
+/**
+ * Collision and warning distances for a pair of devices.
+ * @param {object} a - DeviceState
+ * @param {object} b - DeviceState
+ * @returns {{ collisionM, warningM }}
+ */
+function pairThresholds(a, b) {
+  const ca = getDeviceClass(a);
+  const cb = getDeviceClass(b);
+  const collisionM = ca.footprintRadiusM + cb.footprintRadiusM + SAFETY.COLLISION_CLEARANCE_M;
+  return {
+    collisionM,
+    warningM: collisionM + SAFETY.REACTION_TIME_SEC * Math.max(ca.maxSpeedMps, cb.maxSpeedMps),
+  };
+}
+
+/**
+ * Largest warning distance a device can have with any other device.
+ * @param {object} device - DeviceState
+ * @returns {number} meters
+ */
+function maxWarningDistance(device) {
+  return Math.max(...CLASS_NAMES.map(name => pairThresholds(device, { deviceClass: name }).warningM));
+}
+
+/** Fastest speed limit of any class (m/s) */
+const MAX_CLASS_SPEED_MPS = Math.max(...CLASS_NAMES.map(name => DEVICE_CLASSES[name].MAX_SPEED_MS));
+
+/** Every class with its limits, for clients */
+function listDeviceClasses() {
+  return CLASS_NAMES.map(name => getDeviceClass({ deviceClass: name }));
+}
+
+module.exports = {
+  CLASS_NAMES,
+  MAX_CLASS_SPEED_MPS,
+  parseDeviceClass,
+  getDeviceClass,
+  pairThresholds,
+  maxWarningDistance,
+  listDeviceClasses,
+};
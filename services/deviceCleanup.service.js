@@ -0,0 +1,35 @@
+/**
+ * deviceCleanup.service.js
+ * Forgets a device that has gone away — its socket disconnected, it was
+ * deleted over REST, or it stopped reporting and expired from the device
+ * store. Every path goes through removeDevice so no per-device state is left
+ * behind in one of them.
+ */
+
+const deviceStore = require('../models/deviceStore');
+const { removeDevice: removePositioningState } = require('./positioning.service');
+const { clearDevice: clearFusion } = require('./sensorFusion.service');
+const { clearDevice: clearSequencer } = require('./packetSequencer.service');
+const { stopGuidance } = require('./guidance.service');
+const { resolveZoneAlerts } = require('./alert.service');
+
+/**
+ * Drop a device and everything kept about it: the store entry, positioning
+ * state (particle filter, floor, handover, GPS quality, zone membership),
+ * the fusion filter and step detection, buffered packets and its guidance
+ * session. Its open zone alerts are resolved.
+ * @param {string} deviceId
+ * @param {string} note - resolution note for the zone alerts, e.g. 'device removed'
+ */
+function removeDevice(deviceId, note) {
+  removePositioningState(deviceId);
+  clearFusion(deviceId);
+  clearSequencer(deviceId);
+  stopGuidance(deviceId);
+  resolveZoneAlerts({ deviceId }, note);
+}
+
+// Devices that stopped reporting (e.g. over REST) never disconnect a socket
+deviceStore.on('expired', deviceId => removeDevice(deviceId, 'device expired'));
+
+module.exports = { removeDevice };
@@ -0,0 +1,160 @@
+/**
+ * floor.service.js
+ * Per-device floor detection. Beacon floor tags give the absolute floor;
+ * barometric pressure (optional) gives fast relative height changes on stairs
+ * and in elevators. Both go through hysteresis so a floor change is only
+ * reported once it has persisted.
+ */
+
+const config = require('../config/config');
+
+const { FLOORS } = config;
+
+// deviceId -> {
+//   floor, source, pressureHpa (smoothed), lastPressureAt,
+//   baroRef: { altitudeM, floor } | null,   // pressure altitude observed on a known floor
+//   pending: { floor, source, since } | null
+// }
+const trackers = {};
+
+function getTracker(deviceId) {
+  if (!trackers[deviceId]) {
+    trackers[deviceId] = {
+      floor: null,
+      source: null,
+      pressureHpa: null,
+      lastPressureAt: null,
+      baroRef: null,
+      pending: null,
+    };
+  }
+  return trackers[deviceId];
+}
+
+/** Barometric altitude (m) for a pressure in hPa, standard atmosphere */
+function pressureAltitude(pressureHpa) {
+  return 44330 * (1 - Math.pow(pressureHpa / 1013.25, 0.1903));
+}
+
+/**
+ * Floor most of the received beacon power comes from.
+ * @param {Array<{ floor, rssi }>} beacons - readings from stations with a floor tag
+ * @returns {{ floor, share } | null} share is that floor's fraction of total power
+ */
+function voteBeaconFloor(beacons) {
+  const power = {};
+  let total = 0;
+  for (const b of beacons) {
+    if (!Number.isInteger(b.floor)) continue;
+    const p = Math.pow(10, b.rssi / 10);  // dBm → mW
+    power[b.floor] = (power[b.floor] || 0) + p;
+    total += p;
+  }
+  if (!total) return null;
+
+  const best = Object.keys(power).sort((a, b) => power[b] - power[a])[0];
+  return { floor: Number(best), share: power[best] / total };
+}
+
+/**
+ * Feed one packet's floor evidence.
+ * @param {string} deviceId
+ * @param {object} evidence
+ * @param {Array<{ floor, rssi }>} [evidence.beacons] - readings from floor-tagged stations
+ * @param {number} [evidence.pressureHpa] - barometer reading
+ * @param {number} now - packet time (ms)
+ * @returns {{ floor, floorSource, relativeAltitudeM }} floor is null until first determined
+ */
+function updateFloor(deviceId, { beacons = [], pressureHpa } = {}, now) {
+  const t = getTracker(deviceId);
+
+  // 1. Low-pass the pressure — single readings jitter by a meter or more
+  let dtSec = 0;
+  if (Number.isFinite(pressureHpa) && pressureHpa > 0) {
+    if (t.pressureHpa === null) {
+      t.pressureHpa = pressureHpa;
+    } else {
+      dtSec = Math.max(0, (now - t.lastPressureAt) / 1000);
+      const alpha = dtSec / (FLOORS.PRESSURE_TIME_CONSTANT_SEC + dtSec);
+      t.pressureHpa += alpha * (pressureHpa - t.pressureHpa);
+    }
+    t.lastPressureAt = now;
+  }
+  const altitudeM = t.pressureHpa === null ? null : pressureAltitude(t.pressureHpa);
+
+  const vote = voteBeaconFloor(beacons);
+  const beaconFloor = vote && vote.share >= FLOORS.BEACON_MIN_SHARE ? vote.floor : null;
+
+  // 2. Anchor the barometer to the absolute floor the beacons report
+  if (altitudeM !== null && beaconFloor !== null && !t.baroRef) {
+    t.baroRef = { altitudeM, floor: beaconFloor };
+  }
+
+  // Weather and HVAC move the pressure slowly; while the beacons confirm the
+  // current floor, pull the reference along with a long time constant (a
+  // stair climb or elevator ride is far too quick to be absorbed)
+  if (t.baroRef && altitudeM !== null && beaconFloor !== null && beaconFloor === t.floor && dtSec > 0) {
+    const target = altitudeM - (t.floor - t.baroRef.floor) * FLOORS.FLOOR_HEIGHT_M;
+    t.baroRef.altitudeM += (dtSec / (FLOORS.BARO_DRIFT_TIME_CONSTANT_SEC + dtSec)) * (target - t.baroRef.altitudeM);
+  }
+
+  const relativeAltitudeM = t.baroRef && altitudeM !== null ? altitudeM - t.baroRef.altitudeM : null;
+  const baroFloat = relativeAltitudeM !== null
+    ? t.baroRef.floor + relativeAltitudeM / FLOORS.FLOOR_HEIGHT_M
+    : null;
+
+  // 3. Candidate floor: barometer when anchored (it reacts first), else beacons.
+  //    The barometer only proposes a new floor once it is clearly past the midpoint.
+  let candidate = t.floor;
+  let source = t.source;
+  if (baroFloat !== null && t.floor !== null) {
+    if (Math.abs(baroFloat - t.floor) > 0.5 + FLOORS.BARO_HYSTERESIS_FLOORS) {
+      candidate = Math.round(baroFloat);
+      source = 'barometer';
+    }
+    // Beacons persistently disagreeing with a barometer that sits on a floor
+    // means the reference drifted (weather, HVAC) — let them correct it
+    if (beaconFloor !== null && beaconFloor !== t.floor && candidate === t.floor) {
+      candidate = beaconFloor;
+      source = 'beacon';
+    }
+  } else if (beaconFloor !== null) {
+    candidate = beaconFloor;
+    source = 'beacon';
+  }
+
+  // 4. Hysteresis in time: a change must persist before it is accepted
+  if (candidate !== null && t.floor === null) {
+    t.floor = candidate;
+    t.source = source;
+    t.pending = null;
+  } else if (candidate !== null && candidate !== t.floor) {
+    if (!t.pending || t.pending.floor !== candidate) {
+      t.pending = { floor: candidate, source, since: now };
+    }
+    const confirmMs = source === 'barometer' ? FLOORS.BARO_CONFIRM_MS : FLOORS.BEACON_CONFIRM_MS;
+    if (now - t.pending.since >= confirmMs) {
+      t.floor = candidate;
+      t.source = source;
+      t.pending = null;
+      if (source === 'beacon' && altitudeM !== null) {
+        t.baroRef = { altitudeM, floor: candidate };
+      }
+    }
+  } else {
+    t.pending = null;
+  }
+
+  return {
+    floor:             t.floor,
+    floorSource:       t.source,
+    relativeAltitudeM: relativeAltitudeM === null ? null : Math.round(relativeAltitudeM * 100) / 100,
+  };
+}
+
+/** Drop floor tracking for a device (call on disconnect) */
+function clearDevice(deviceId) {
+  delete trackers[deviceId];
+}
+
+module.exports = { updateFloor, voteBeaconFloor, pressureAltitude, clearDevice };
@@ -0,0 +1,105 @@
+/**
+ * geofence.service.js
+ * Tracks which zones each device is in and turns changes into events:
+ * 'enter' as soon as a position falls inside a zone, 'exit' once it has been
+ * outside for ZONES.EXIT_CONFIRM_MS (so jitter on the boundary does not flap),
+ * and 'dwell' once per visit when a device outstays the zone's maxDwellSec.
+ *
+ * Geo zones are tested against lat/lng, building zones against the indoor
+ * position in that building and on the zone's floor.
+ */
+
+const config = require('../config/config');
+const zoneStore = require('../models/zoneStore');
+const { pointInPolygon } = require('../utils/floorPlan');
+
+const { ZONES } = config;
+
+// deviceId -> Map(zoneId -> { enteredAt, outsideSince, dwellReported })
+const presence = new Map();
+
+/**
+ * Is the device inside the zone right now?
+ * @param {object} zone
+ * @param {object} device - DeviceState
+ * @returns {boolean}
+ */
+function isInside(zone, device) {
+  if (zone.frame === 'geo') {
+    if (!Number.isFinite(device.lat) || !Number.isFinite(device.lng)) return false;
+    return pointInPolygon(zone.polygon, { x: device.lng, y: device.lat });
+  }
+
+  if (device.buildingId !== zone.buildingId || !device.indoorPosition) return false;
+  if (Number.isInteger(zone.floor) && device.floor !== zone.floor) return false;
+  return pointInPolygon(zone.polygon, device.indoorPosition);
+}
+
+/**
+ * Evaluate every zone against a device's latest state.
+ * @param {object} device - DeviceState
+ * @param {number} [now]
+ * @returns {Array<{ event: 'enter' | 'exit' | 'dwell', deviceId, zone, dwellSec }>}
+ */
+function evaluateZones(device, now = Date.now()) {
+  if (device.isBaseStation) return [];
+  if (!presence.has(device.deviceId)) presence.set(device.deviceId, new Map());
+  const inZones = presence.get(device.deviceId);
+  const events = [];
+  const emit = (event, zone, since) => events.push({
+    event,
+    deviceId: device.deviceId,
+    zone,
+    dwellSec: since === null ? 0 : Math.round((now - since) / 100) / 10,
+  });
+
+  for (const zone of zoneStore.getAll()) {
+    const state = inZones.get(zone.zoneId);
+
+    if (isInside(zone, device)) {
+      if (!state) {
+        inZones.set(zone.zoneId, { enteredAt: now, outsideSince: null, dwellReported: false });
+        emit('enter', zone, null);
+        continue;
+      }
+      state.outsideSince = null;
+      if (zone.maxDwellSec && !state.dwellReported && now - state.enteredAt >= zone.maxDwellSec * 1000) {
+        state.dwellReported = true;
+        emit('dwell', zone, state.enteredAt);
+      }
+    } else if (state) {
+      if (state.outsideSince === null) state.outsideSince = now;
+      if (now - state.outsideSince >= ZONES.EXIT_CONFIRM_MS) {
+        inZones.delete(zone.zoneId);
+        emit('exit', zone, state.enteredAt);
+      }
+    }
+  }
+
+  // Zones deleted since the last update are forgotten without an event
+  for (const zoneId of inZones.keys()) {
+    if (!zoneStore.get(zoneId)) inZones.delete(zoneId);
+  }
+  return events;
+}
+
+/**
+ * Devices currently inside a zone.
+ * @param {string} zoneId
+ * @returns {Array<{ deviceId, enteredAt }>}
+ */
+function getZoneOccupants(zoneId) {
+  const occupants = [];
+  for (const [deviceId, inZones] of presence) {
+    const state = inZones.get(zoneId);
+    if (state) occupants.push({ deviceId, enteredAt: state.enteredAt });
+  }
+  return occupants;
+}
+
+/** Drop zone presence for a device (call on disconnect) */
+function clearDevice(deviceId) {
+  presence.delete(deviceId);
+}
+
+module.exports = { evaluateZones, getZoneOccupants, isInside, clearDevice };
@@ -0,0 +1,63 @@
+/**
+ * gpsQuality.service.js
+ * Screens GPS fixes before they reach a device's motion filter. Fixes are
+ * weighted by their reported accuracy, very inaccurate ones are dropped, and
+ * fixes implying an impossible jump from the last accepted one are rejected.
+ * After too many rejections in a row, or once the device has dead-reckoned
+ * for longer than DEAD_RECKONING_MAX_DRIFT_SEC, the next fix re-syncs the
+ * filter outright instead of being blended.
+ */
+
+const config = require('../config/config');
+const { geoToLocal } = require('../utils/geo');
+
+const { FUSION } = config;
+
+// deviceId -> { last: { lat, lng, accuracyM, at } | null, rejectStreak }
+const trackers = {};
+
+/**
+ * Decide how (and whether) a GPS fix is used.
+ * @param {string} deviceId
+ * @param {{ lat, lng, accuracy? }} gps - accuracy is the reported 1-sigma radius in meters
+ * @param {number} now - packet time (ms)
+ * @param {number|null} lastFixAt - time of the filter's last absolute fix (any source)
+ * @returns {{ accept: boolean, reset?: boolean, sigmaM?: number, reason?: string, impliedSpeedMps?: number }}
+ *   sigmaM is the per-axis std to feed the filter; reset = snap instead of blend
+ */
+function evaluateGpsFix(deviceId, gps, now, lastFixAt) {
+  if (!Number.isFinite(gps?.lat) || !Number.isFinite(gps?.lng)) return { accept: false, reason: 'invalid' };
+  if (!trackers[deviceId]) trackers[deviceId] = { last: null, rejectStreak: 0 };
+  const t = trackers[deviceId];
+
+  const accuracyM = gps.accuracy > 0 ? gps.accuracy : null;
+  if (accuracyM !== null && accuracyM > FUSION.GPS_MAX_ACCURACY_M) return { accept: false, reason: 'inaccurate' };
+
+  const radiusM = accuracyM ?? FUSION.GPS_NOISE_M * Math.SQRT2;
+  const sigmaM = accuracyM === null ? FUSION.GPS_NOISE_M : Math.max(FUSION.GPS_MIN_NOISE_M, accuracyM / Math.SQRT2);
+
+  const driftSec = lastFixAt === null ? Infinity : (now - lastFixAt) / 1000;
+  const resync = driftSec > FUSION.DEAD_RECKONING_MAX_DRIFT_SEC || t.rejectStreak >= FUSION.GPS_RESYNC_AFTER_REJECTS;
+
+  if (!resync && t.last) {
+    // Only the part of the jump the two accuracy radii cannot explain counts
+    const { x, y } = geoToLocal(t.last, gps.lat, gps.lng);
+    const dtSec = Math.max((now - t.last.at) / 1000, 0.1);
+    const impliedSpeedMps = Math.max(0, Math.hypot(x, y) - radiusM - t.last.accuracyM) / dtSec;
+    if (impliedSpeedMps > FUSION.GPS_MAX_JUMP_SPEED_MPS) {
+      t.rejectStreak += 1;
+      return { accept: false, reason: 'jump', impliedSpeedMps };
+    }
+  }
+
+  t.last = { lat: gps.lat, lng: gps.lng, accuracyM: radiusM, at: now };
+  t.rejectStreak = 0;
+  return { accept: true, reset: resync, sigmaM };
+}
+
+/** Drop GPS screening state for a device (call on disconnect) */
+function clearDevice(deviceId) {
+  delete trackers[deviceId];
+}
+
+module.exports = { evaluateGpsFix, clearDevice };
@@ -0,0 +1,335 @@
+/**
+ * guidance.service.js
+ * Turn-by-turn guidance along indoor routes (see routing.service). A session
+ * binds a planned route to a device; every position update locates the
+ * device on the route, advances past reached waypoints and announces the
+ * next manoeuvre — a turn, a floor change or the destination — when it
+ * changes or as the device passes GUIDANCE.ANNOUNCE_DISTANCES_M. A device
+ * further than the corridor tolerance from the remaining route for
+ * GUIDANCE.OFF_ROUTE_CONFIRM_MS is rerouted from where it is.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const buildingStore = require('../models/buildingStore');
+const { planRoute } = require('./routing.service');
+const { projectOnSegment } = require('../utils/navGraph');
+
+const { GUIDANCE } = config;
+
+// deviceId -> {
+//   sessionId, deviceId, to, accessible, route, unitM,
+//   status: 'active' | 'arrived', nextIndex (first waypoint not yet reached),
+//   offRouteSince, lastAnnouncement ('<waypoint>:<bucket>'), lastInstruction,
+//   reroutes, startedAt, updatedAt
+// }
+const sessions = new Map();
+
+const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/** Position of a device in its building's frame, or null without an indoor fix */
+function indoorPoint(device) {
+  const ip = device?.indoorPosition;
+  const floor = ip?.floor ?? device?.floor;
+  if (!ip || !Number.isFinite(ip.x) || !Number.isFinite(ip.y) || !Number.isInteger(floor)) return null;
+  return { x: ip.x, y: ip.y, floor };
+}
+
+/**
+ * Start guiding a device, replacing any session it had.
+ * @param {string} deviceId
+ * @param {{ to, accessible? }} request - see routing.service planRoute
+ * @param {number} [now]
+ * @returns {object} session view (see describe)
+ * @throws {Error} on an invalid request or when no route exists
+ */
+function startGuidance(deviceId, { to, accessible } = {}, now = Date.now()) {
+  const route = planRoute({ deviceId, to, accessible }, now);
+  if (!route) throw new Error(`no route to ${to}`);
+
+  sessions.set(deviceId, {
+    sessionId:        crypto.randomUUID(),
+    deviceId,
+    to,
+    accessible:       route.accessible,
+    route,
+    unitM:            buildingStore.get(route.buildingId)?.anchor?.scale ?? 1,
+    status:           'active',
+    nextIndex:        1,
+    offRouteSince:    null,
+    lastAnnouncement: null,
+    lastInstruction:  null,
+    reroutes:         0,
+    startedAt:        now,
+    updatedAt:        now,
+  });
+  return describe(deviceId);
+}
+
+/**
+ * Nearest part of the remaining route on the device's floor.
+ * @returns {{ distanceM, nextIndex }|null} nextIndex = first waypoint not yet reached
+ */
+function locate(session, point) {
+  const wps = session.route.waypoints;
+  const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y) * session.unitM;
+  let best = null;
+
+  for (let i = Math.max(0, session.nextIndex - 1); i < wps.length - 1; i++) {
+    const [a, b] = [wps[i], wps[i + 1]];
+    if (a.floor !== point.floor) continue;
+    // Waiting at stairs or an elevator: the landing is the next manoeuvre
+    const candidate = a.floor !== b.floor
+      ? { distanceM: dist(point, a), nextIndex: i }
+      : { distanceM: dist(point, projectOnSegment(point, a, b)), nextIndex: i + 1 };
+    if (!best || candidate.distanceM < best.distanceM) best = candidate;
+  }
+  // A destination at a landing has no segment of its own on the arrival floor
+  const last = wps.length - 1;
+  if (!best && wps[last].floor === point.floor && wps[last - 1]?.floor !== point.floor) {
+    return { distanceM: dist(point, wps[last]), nextIndex: last };
+  }
+  if (!best) return null;
+
+  // Step past a waypoint the device has reached, unless a floor change starts there
+  const next = wps[best.nextIndex];
+  const after = wps[best.nextIndex + 1];
+  if (after && after.floor === next.floor && next.floor === point.floor && dist(point, next) <= GUIDANCE.WAYPOINT_REACHED_M) {
+    best.nextIndex += 1;
+  }
+  return best;
+}
+
+/** Signed turn at waypoint j in degrees (positive = left), or null when either leg has no length */
+function turnAngle(wps, j) {
+  const [a, b, c] = [wps[j - 1], wps[j], wps[j + 1]];
+  const [ux, uy, vx, vy] = [b.x - a.x, b.y - a.y, c.x - b.x, c.y - b.y];
+  if (Math.hypot(ux, uy) < 1e-6 || Math.hypot(vx, vy) < 1e-6) return null;
+  return (Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy) * 180) / Math.PI;
+}
+
+/** 'left' | 'slight_left' | ... from a signed turn, null when straight on */
+function turnDirection(angle) {
+  const abs = Math.abs(angle);
+  if (abs < GUIDANCE.STRAIGHT_MAX_DEG) return null;
+  if (abs >= GUIDANCE.U_TURN_MIN_DEG) return 'u_turn';
+  const side = angle > 0 ? 'left' : 'right';
+  return abs <= GUIDANCE.SLIGHT_MAX_DEG ? `slight_${side}` : side;
+}
+
+/**
+ * The next manoeuvre from waypoint index k on.
+ * @returns {{ index, type: 'turn' | 'floor_change' | 'arrive', direction, via, targetFloor }}
+ */
+function nextManoeuvre(wps, k) {
+  for (let j = k; j < wps.length; j++) {
+    if (j === wps.length - 1) return { index: j, type: 'arrive', direction: null, via: null, targetFloor: wps[j].floor };
+    if (wps[j + 1].floor !== wps[j].floor) {
+      let end = j + 1;
+      while (end < wps.length - 1 && wps[end + 1].floor !== wps[end].floor) end += 1;
+      return { index: j, type: 'floor_change', direction: null, via: wps[j + 1].via, targetFloor: wps[end].floor };
+    }
+    const angle = j > 0 ? turnAngle(wps, j) : null;
+    const direction = angle === null ? null : turnDirection(angle);
+    if (direction) return { index: j, type: 'turn', direction, via: null, targetFloor: wps[j].floor };
+  }
+  return null;
+}
+
+const DIRECTION_TEXT = {
+  left:         'Turn left',
+  right:        'Turn right',
+  slight_left:  'Bear left',
+  slight_right: 'Bear right',
+  u_turn:       'Turn around',
+};
+
+/** Human-readable instruction */
+function instructionText(m, distanceM, destination) {
+  const soon = distanceM <= GUIDANCE.WAYPOINT_REACHED_M ? '' : ` in ${Math.round(distanceM)} m`;
+  if (m.type === 'arrive') return `Arrive at ${destination}${soon}`;
+  if (m.type === 'floor_change') return `Take the ${m.via === 'stairs' ? 'stairs' : 'elevator'} to floor ${m.targetFloor}${soon}`;
+  return `${DIRECTION_TEXT[m.direction]}${soon}`;
+}
+
+/** Which announcement distance band a distance falls in (higher = closer) */
+function announcementBucket(distanceM) {
+  if (distanceM <= GUIDANCE.WAYPOINT_REACHED_M) return GUIDANCE.ANNOUNCE_DISTANCES_M.length + 1;
+  return GUIDANCE.ANNOUNCE_DISTANCES_M.filter(d => distanceM <= d).length;
+}
+
+/**
+ * Instruction for the device's current place on the route, or null when
+ * nothing new needs announcing.
+ */
+function instructionFor(session, point, located, now) {
+  const { route, unitM } = session;
+  const wps = route.waypoints;
+  const next = wps[located.nextIndex];
+  const toNextM = Math.hypot(next.x - point.x, next.y - point.y) * unitM;
+  const remainingDistanceM = toNextM + route.distanceM - next.distanceFromStartM;
+  const remainingEtaSec = toNextM / route.walkingSpeedMps + route.etaSec - next.etaSec;
+  const destination = route.destination.name ?? route.destination.nodeId;
+  const base = { deviceId: session.deviceId, sessionId: session.sessionId, timestamp: now };
+
+  // Arrived: on the destination floor and within reach of it
+  const last = wps[wps.length - 1];
+  const toLastM = Math.hypot(last.x - point.x, last.y - point.y) * unitM;
+  if (point.floor === last.floor && located.nextIndex === wps.length - 1 && toLastM <= GUIDANCE.WAYPOINT_REACHED_M) {
+    session.status = 'arrived';
+    return {
+      ...base,
+      type:               'arrived',
+      direction:          null,
+      distanceM:          0,
+      targetFloor:        last.floor,
+      text:               `You have arrived at ${destination}`,
+      waypointIndex:      wps.length - 1,
+      remainingDistanceM: 0,
+      remainingEtaSec:    0,
+    };
+  }
+
+  const m = nextManoeuvre(wps, located.nextIndex);
+  const distanceM = toNextM + wps[m.index].distanceFromStartM - next.distanceFromStartM;
+  const announcement = `${m.index}:${announcementBucket(distanceM)}`;
+  if (announcement === session.lastAnnouncement) return null;
+  session.lastAnnouncement = announcement;
+
+  return {
+    ...base,
+    type:               m.type,
+    direction:          m.direction,
+    via:                m.via,
+    distanceM:          round(distanceM),
+    targetFloor:        m.targetFloor,
+    text:               instructionText(m, distanceM, destination),
+    waypointIndex:      m.index,
+    remainingDistanceM: round(remainingDistanceM),
+    remainingEtaSec:    round(remainingEtaSec),
+  };
+}
+
+/**
+ * Advance a device's guidance after a position update.
+ * @param {object} device - DeviceState
+ * @param {number} [now]
+ * @returns {Array} instructions to send, in order:
+ *   { deviceId, sessionId, type: 'turn' | 'floor_change' | 'arrive' | 'arrived' | 'rerouted' | 'off_route',
+ *     direction, via, distanceM, targetFloor, text, waypointIndex, remainingDistanceM,
+ *     remainingEtaSec, timestamp, route? (rerouted only) }
+ */
+function updateGuidance(device, now = Date.now()) {
+  const session = sessions.get(device?.deviceId);
+  if (!session || session.status !== 'active') return [];
+  const point = indoorPoint(device);
+  if (!point) return [];  // No indoor fix: nothing to guide by, not off route
+  session.updatedAt = now;
+
+  const located = device.buildingId === session.route.buildingId ? locate(session, point) : null;
+  if (located && located.distanceM <= GUIDANCE.OFF_ROUTE_TOLERANCE_M) {
+    session.offRouteSince = null;
+    session.nextIndex = Math.max(session.nextIndex, located.nextIndex);
+    const instruction = instructionFor(session, point, { ...located, nextIndex: session.nextIndex }, now);
+    if (instruction) session.lastInstruction = instruction;
+    return instruction ? [instruction] : [];
+  }
+
+  if (session.offRouteSince === null) session.offRouteSince = now;
+  if (now - session.offRouteSince < GUIDANCE.OFF_ROUTE_CONFIRM_MS) return [];
+  return reroute(session, device, point, now);
+}
+
+/** Plan again from the device's current position */
+function reroute(session, device, point, now) {
+  const base = { deviceId: session.deviceId, sessionId: session.sessionId, timestamp: now };
+  let route = null;
+  try {
+    route = planRoute({ deviceId: device.deviceId, to: session.to, accessible: session.accessible }, now);
+  } catch (err) {
+    route = null;
+  }
+
+  if (!route) {
+    // Try again after another confirm period rather than on every packet
+    session.offRouteSince = now;
+    const instruction = {
+      ...base,
+      type:      'off_route',
+      direction: null,
+      text:      'You are off route and no new route was found',
+    };
+    session.lastInstruction = instruction;
+    return [instruction];
+  }
+
+  Object.assign(session, {
+    route,
+    unitM:            buildingStore.get(route.buildingId)?.anchor?.scale ?? 1,
+    nextIndex:        1,
+    offRouteSince:    null,
+    lastAnnouncement: null,
+    reroutes:         session.reroutes + 1,
+  });
+  const rerouted = {
+    ...base,
+    type:               'rerouted',
+    direction:          null,
+    text:               'Rerouting from your current position',
+    remainingDistanceM: route.distanceM,
+    remainingEtaSec:    route.etaSec,
+    route,
+  };
+  const located = locate(session, point);
+  const next = located && instructionFor(session, point, located, now);
+  session.lastInstruction = next || rerouted;
+  return next ? [rerouted, next] : [rerouted];
+}
+
+/**
+ * Public view of a device's session.
+ * @param {string} deviceId
+ * @returns {object|null}
+ */
+function describe(deviceId) {
+  const s = sessions.get(deviceId);
+  if (!s) return null;
+  return {
+    sessionId:       s.sessionId,
+    deviceId:        s.deviceId,
+    status:          s.status,
+    destination:     s.route.destination,
+    accessible:      s.accessible,
+    nextWaypoint:    s.nextIndex,
+    offRoute:        s.offRouteSince !== null,
+    reroutes:        s.reroutes,
+    lastInstruction: s.lastInstruction,
+    startedAt:       s.startedAt,
+    updatedAt:       s.updatedAt,
+    route:           s.route,
+  };
+}
+
+/**
+ * Guidance sessions, optionally by status.
+ * @param {'active' | 'arrived'} [status]
+ * @returns {Array} session views
+ */
+function listGuidance(status) {
+  return Array.from(sessions.keys())
+    .map(describe)
+    .filter(s => !status || s.status === status);
+}
+
+/**
+ * End a device's guidance.
+ * @param {string} deviceId
+ * @returns {object|null} the final session view, or null if there was none
+ */
+function stopGuidance(deviceId) {
+  const session = describe(deviceId);
+  sessions.delete(deviceId);
+  return session;
+}
+
+module.exports = { startGuidance, updateGuidance, stopGuidance, describe, listGuidance };
@@ -0,0 +1,66 @@
+/**
+ * handover.service.js
+ * Decides per device whether it is tracked indoors (beacon / particle fixes)
+ * or outdoors (GPS), from beacon visibility and GPS quality. Both directions
+ * need their evidence to persist, so a device walking through a doorway or
+ * past a window does not flap between modes.
+ */
+
+const config = require('../config/config');
+
+const { HANDOVER } = config;
+
+// deviceId -> { mode, indoorSince, lastIndoorFixAt, gpsGoodSince }
+const trackers = {};
+
+/**
+ * Feed one packet's evidence.
+ * @param {string} deviceId
+ * @param {object} evidence
+ * @param {boolean} evidence.indoorFix - an indoor position fix was available in this packet
+ * @param {number|null} evidence.gpsAccuracyM - reported GPS accuracy, null without GPS
+ * @param {number} now - packet time (ms)
+ * @returns {{ mode: 'indoor' | 'outdoor' | null, changed: boolean }}
+ *   mode is null until the first fix of either kind
+ */
+function evaluateHandover(deviceId, { indoorFix, gpsAccuracyM }, now) {
+  if (!trackers[deviceId]) {
+    trackers[deviceId] = { mode: null, indoorSince: null, lastIndoorFixAt: null, gpsGoodSince: null };
+  }
+  const t = trackers[deviceId];
+  const previous = t.mode;
+
+  if (indoorFix) {
+    t.lastIndoorFixAt = now;
+    t.indoorSince ??= now;
+  } else {
+    t.indoorSince = null;
+  }
+
+  const gpsGood = gpsAccuracyM !== null && gpsAccuracyM <= HANDOVER.GPS_GOOD_ACCURACY_M;
+  if (gpsGood) t.gpsGoodSince ??= now;
+  else t.gpsGoodSince = null;
+
+  if (t.mode === null) {
+    // First evidence decides directly
+    if (indoorFix) t.mode = 'indoor';
+    else if (gpsAccuracyM !== null) t.mode = 'outdoor';
+  } else if (t.mode === 'outdoor') {
+    const indoorFor = t.indoorSince === null ? 0 : now - t.indoorSince;
+    const required = gpsGood ? HANDOVER.ENTER_WITH_GOOD_GPS_MS : HANDOVER.ENTER_CONFIRM_MS;
+    if (t.indoorSince !== null && indoorFor >= required) t.mode = 'indoor';
+  } else {
+    const beaconsLost = now - t.lastIndoorFixAt >= HANDOVER.BEACON_LOSS_MS;
+    const gpsFor = t.gpsGoodSince === null ? 0 : now - t.gpsGoodSince;
+    if (beaconsLost && t.gpsGoodSince !== null && gpsFor >= HANDOVER.EXIT_CONFIRM_MS) t.mode = 'outdoor';
+  }
+
+  return { mode: t.mode, changed: previous !== null && t.mode !== previous };
+}
+
+/** Drop handover state for a device (call on disconnect) */
+function clearDevice(deviceId) {
+  delete trackers[deviceId];
+}
+
+module.exports = { evaluateHandover, clearDevice };
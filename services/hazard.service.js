@@ -0,0 +1,117 @@
+/**
+ * hazard.service.js
+ * Warns devices approaching a reported hazard (see models/hazardStore.js).
+ * A hazard is treated like a device that never moves: the approach of a
+ * device towards it is graded with proximity.service's risk levels, where
+ * the collision distance is the hazard radius plus the device's footprint
+ * and the warning distance adds the device's reaction distance at its class
+ * speed limit. Hazards on other floors or in another frame are ignored.
+ */
+
+const config = require('../config/config');
+const hazardStore = require('../models/hazardStore');
+const buildingStore = require('../models/buildingStore');
+const spatialIndex = require('../models/spatialIndex');
+const { getDevice, getActiveDevices } = require('./positioning.service');
+const { getDeviceClass } = require('./deviceClass.service');
+const {
+  velocity,
+  extrapolationSec,
+  placementOffset,
+  relativeApproach,
+  assessRisk,
+  RISK,
+  RISK_LABELS,
+} = require('./proximity.service');
+const { buildingToGeo } = require('../utils/geo');
+
+const { SAFETY } = config;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Where a hazard is, in the same terms as spatialIndex.placement. Hazards in
+ * a georeferenced building are converted to lat/lng.
+ * @param {object} hazard
+ * @returns {{ space, floor, x?, y?, lat?, lng? }}
+ */
+function hazardPlacement(hazard) {
+  const { frame, position, buildingId, floor } = hazard;
+  if (frame === 'geo') return { space: 'geo', floor, lat: position.lat, lng: position.lng };
+
+  const anchor = buildingStore.get(buildingId)?.anchor;
+  if (anchor) return { space: 'geo', floor, ...buildingToGeo(anchor, position.x, position.y) };
+  return { space: `building:${buildingId}`, floor, x: position.x, y: position.y };
+}
+
+/** Collision and warning distances between a device and a hazard's centre */
+function hazardThresholds(device, hazard) {
+  const { footprintRadiusM, maxSpeedMps } = getDeviceClass(device);
+  const collisionM = hazard.radiusM + footprintRadiusM;
+  return { collisionM, warningM: collisionM + SAFETY.REACTION_TIME_SEC * maxSpeedMps };
+}
+
+/**
+ * Grade one device against one hazard.
+ * @param {object} device - DeviceState
+ * @param {object} hazard
+ * @param {number} now
+ * @returns {object|null} hazard event, or null when SAFE or not comparable
+ */
+function evaluateHazard(device, hazard, now) {
+  const offset = placementOffset(spatialIndex.placement(device), hazardPlacement(hazard));
+  if (!offset) return null;
+
+  const v = velocity(device);
+  const age = extrapolationSec(device, now);
+  const approach = relativeApproach({ x: offset.x - v.x * age, y: offset.y - v.y * age }, { x: -v.x, y: -v.y });
+  const thresholds = hazardThresholds(device, hazard);
+  const riskLevel = assessRisk(approach, thresholds);
+  if (riskLevel === RISK.SAFE) return null;
+
+  return {
+    hazardId:         hazard.hazardId,
+    hazardType:       hazard.type,
+    deviceId:         device.deviceId,
+    distanceM:        round(approach.distanceM),
+    clearanceM:       round(Math.max(0, approach.distanceM - hazard.radiusM)),
+    radiusM:          hazard.radiusM,
+    severity:         riskLevel === RISK.CRITICAL ? 'collision' : 'warning',
+    riskLevel,
+    riskLabel:        RISK_LABELS[riskLevel],
+    tca:              round(approach.tca, 1),
+    closestApproachM: round(approach.closestApproachM),
+    closingSpeedMps:  round(approach.closingSpeedMps),
+    warningM:         round(thresholds.warningM),
+  };
+}
+
+/**
+ * Hazards a device is at risk from.
+ * @param {string} deviceId
+ * @param {number} [now]
+ * @returns {Array} hazard events:
+ *   { hazardId, hazardType, deviceId, distanceM (to the centre), clearanceM (to the edge),
+ *     radiusM, severity, riskLevel, riskLabel, tca, closestApproachM, closingSpeedMps, warningM }
+ */
+function scanHazardsForDevice(deviceId, now = Date.now()) {
+  const device = getDevice(deviceId);
+  if (!device || device.isBaseStation) return [];
+  return hazardStore.getAll(now).map(h => evaluateHazard(device, h, now)).filter(Boolean);
+}
+
+/**
+ * Hazard events for every active device.
+ * @param {number} [now]
+ * @returns {Array} see scanHazardsForDevice
+ */
+function scanHazards(now = Date.now()) {
+  const hazards = hazardStore.getAll(now);
+  if (!hazards.length) return [];
+  return getActiveDevices()
+    .filter(d => !d.isBaseStation)
+    .flatMap(d => hazards.map(h => evaluateHazard(d, h, now)))
+    .filter(Boolean);
+}
+
+module.exports = { hazardPlacement, scanHazardsForDevice, scanHazards };
@@ -0,0 +1,253 @@
+/**
+ * magCalibration.service.js
+ * Per-device magnetometer calibration. While the user rotates the phone
+ * through all orientations, raw readings trace an ellipsoid instead of a
+ * sphere around the origin: the centre offset is the hard-iron bias and the
+ * ellipsoid shape the soft-iron distortion. A least-squares quadric fit gives
+ *
+ *     corrected = W · (raw - hardIron)
+ *
+ * which maps readings back onto a sphere of the local field strength.
+ * Calibrations are kept per deviceId and applied by sensorFusion.service
+ * before heading computation.
+ */
+
+const config = require('../config/config');
+const { multiply, invert, symmetricEigen } = require('../utils/matrix');
+
+const { FUSION } = config;
+
+const sessions = new Map();      // deviceId => { samples: [{ x, y, z }], startedAt }
+const calibrations = new Map();  // deviceId => calibration (see fitEllipsoid)
+
+const round = (v, digits = 3) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * Fraction of orientation octants around a centre that hold at least three
+ * samples — a fit from one side of the ellipsoid is unreliable. Before a fit
+ * the mid-range of the samples stands in for the (unknown) hard-iron centre.
+ * @param {Array<{ x, y, z }>} samples
+ * @param {number[]} [center] - fitted hard-iron offset
+ * @returns {number} 0..1
+ */
+function orientationCoverage(samples, center) {
+  if (!samples.length) return 0;
+  const mid = center || ['x', 'y', 'z'].map(k => {
+    const vals = samples.map(s => s[k]);
+    return (Math.max(...vals) + Math.min(...vals)) / 2;
+  });
+  const counts = new Array(8).fill(0);
+  for (const s of samples) {
+    const octant = (s.x > mid[0] ? 1 : 0) + (s.y > mid[1] ? 2 : 0) + (s.z > mid[2] ? 4 : 0);
+    counts[octant] += 1;
+  }
+  return counts.filter(c => c >= 3).length / 8;
+}
+
+/**
+ * Least-squares ellipsoid fit:
+ *   a x² + b y² + c z² + 2f yz + 2g xz + 2h xy + 2p x + 2q y + 2r z = 1
+ * @param {Array<{ x, y, z }>} samples
+ * @returns {{ fit: object|null, reason: string|null }} fit =
+ *   { hardIron: [x, y, z], softIron: 3x3, fieldStrengthUt, residualPct }
+ */
+function fitEllipsoid(samples) {
+  // Fit around the sample mean — keeps the normal equations well conditioned
+  const mean = ['x', 'y', 'z'].map(k => samples.reduce((acc, s) => acc + s[k], 0) / samples.length);
+
+  // Normal equations DᵀD · v = Dᵀ1
+  const DtD = Array.from({ length: 9 }, () => new Array(9).fill(0));
+  const Dt1 = new Array(9).fill(0);
+  for (const s of samples) {
+    const [x, y, z] = [s.x - mean[0], s.y - mean[1], s.z - mean[2]];
+    const row = [x * x, y * y, z * z, 2 * y * z, 2 * x * z, 2 * x * y, 2 * x, 2 * y, 2 * z];
+    for (let i = 0; i < 9; i++) {
+      Dt1[i] += row[i];
+      for (let j = 0; j < 9; j++) DtD[i][j] += row[i] * row[j];
+    }
+  }
+  const inv = invert(DtD);
+  if (!inv) return { fit: null, reason: 'samples do not constrain an ellipsoid' };
+  const [a, b, c, f, g, h, p, q, r] = multiply(inv, Dt1.map(v => [v])).map(row => row[0]);
+
+  const A = [[a, h, g], [h, b, f], [g, f, c]];
+  const Ainv = invert(A);
+  if (!Ainv) return { fit: null, reason: 'degenerate ellipsoid' };
+  const center = multiply(Ainv, [[p], [q], [r]]).map(row => -row[0]);
+
+  // (m - c)ᵀ A (m - c) = 1 + cᵀ A c  →  normalise to (m - c)ᵀ M (m - c) = 1
+  const cAc = center.reduce((acc, ci, i) => acc + ci * A[i].reduce((s, aij, j) => s + aij * center[j], 0), 0);
+  const k = 1 + cAc;
+  const { values, vectors } = symmetricEigen(A.map(row => row.map(v => v / k)));
+  if (values.some(v => !(v > 0))) return { fit: null, reason: 'fit is not an ellipsoid; rotate through more orientations' };
+
+  // Radii are 1/√λ; the field strength is their geometric mean, so W = B · M^½
+  const fieldStrengthUt = Math.pow(values.reduce((acc, v) => acc * v, 1), -1 / 6);
+  const sqrtM = vectors.map((_, i) => vectors.map((__, j) =>
+    values.reduce((acc, v, n) => acc + vectors[i][n] * Math.sqrt(v) * vectors[j][n], 0)));
+  const softIron = sqrtM.map(row => row.map(v => v * fieldStrengthUt));
+
+  const hardIron = center.map((ci, i) => ci + mean[i]);
+  const calibration = { hardIron, softIron };
+  const errors = samples.map(s => {
+    const m = correctMagnetometer(calibration, s);
+    return Math.hypot(m.x, m.y, m.z) / fieldStrengthUt - 1;
+  });
+  const residualPct = 100 * Math.sqrt(errors.reduce((acc, e) => acc + e * e, 0) / errors.length);
+
+  return { fit: { hardIron, softIron, fieldStrengthUt, residualPct }, reason: null };
+}
+
+/**
+ * Apply a calibration to one raw reading.
+ * @param {{ hardIron, softIron }} calibration
+ * @param {{ x, y, z }} mag
+ * @returns {{ x, y, z }}
+ */
+function correctMagnetometer(calibration, mag) {
+  const { hardIron: c, softIron: W } = calibration;
+  const d = [mag.x - c[0], mag.y - c[1], mag.z - c[2]];
+  const [x, y, z] = W.map(row => row[0] * d[0] + row[1] * d[1] + row[2] * d[2]);
+  return { x, y, z };
+}
+
+/** 'good' | 'fair' | 'poor' from the fit residual */
+function rateFit(residualPct) {
+  if (residualPct <= FUSION.MAG_CALIBRATION_GOOD_RESIDUAL_PCT) return 'good';
+  if (residualPct <= FUSION.MAG_CALIBRATION_MAX_RESIDUAL_PCT) return 'fair';
+  return 'poor';
+}
+
+/**
+ * Begin (or restart) collecting samples for a device.
+ * @param {string} deviceId
+ * @returns {object} progress
+ */
+function startCalibration(deviceId) {
+  sessions.set(deviceId, { samples: [], startedAt: Date.now() });
+  return progress(deviceId);
+}
+
+function progress(deviceId) {
+  const session = sessions.get(deviceId);
+  return {
+    deviceId,
+    status:      session ? 'collecting' : 'idle',
+    sampleCount: session ? session.samples.length : 0,
+    coverage:    session ? round(orientationCoverage(session.samples), 2) : 0,
+    minSamples:  FUSION.MAG_CALIBRATION_MIN_SAMPLES,
+    minCoverage: FUSION.MAG_CALIBRATION_MIN_COVERAGE,
+  };
+}
+
+/**
+ * Add raw readings to a running session. Once enough samples cover enough
+ * orientations the ellipsoid is fitted; a fit rated good or fair ends the
+ * session and becomes the device's calibration.
+ * @param {string} deviceId
+ * @param {Array<{ x, y, z }>} readings
+ * @returns {{ progress: object, calibration: object|null, error?: string }}
+ *   calibration is set when the session finished
+ */
+function addCalibrationSamples(deviceId, readings) {
+  const session = sessions.get(deviceId);
+  if (!session) return { progress: progress(deviceId), calibration: null, error: 'no calibration in progress' };
+  if (!Array.isArray(readings)) return { progress: progress(deviceId), calibration: null, error: 'samples must be an array' };
+
+  for (const m of readings) {
+    if ([m?.x, m?.y, m?.z].every(Number.isFinite)) session.samples.push({ x: m.x, y: m.y, z: m.z });
+  }
+
+  const { samples } = session;
+  const ready = samples.length >= FUSION.MAG_CALIBRATION_MIN_SAMPLES &&
+    orientationCoverage(samples) >= FUSION.MAG_CALIBRATION_MIN_COVERAGE;
+  const exhausted = samples.length >= FUSION.MAG_CALIBRATION_MAX_SAMPLES;
+  if (!ready && !exhausted) return { progress: progress(deviceId), calibration: null };
+
+  const { fit, reason } = fitEllipsoid(samples);
+  const coverage = fit ? orientationCoverage(samples, fit.hardIron) : 0;
+  const quality = fit ? rateFit(fit.residualPct) : null;
+  const usable = coverage >= FUSION.MAG_CALIBRATION_MIN_COVERAGE && (quality === 'good' || quality === 'fair');
+  if (!exhausted && !usable) return { progress: progress(deviceId), calibration: null };
+
+  sessions.delete(deviceId);
+  if (!usable) {
+    let error = reason;
+    if (!error && quality === 'poor') error = `fit residual ${fit.residualPct.toFixed(1)}% is too large`;
+    if (!error) error = 'device was not rotated through enough orientations';
+    return { progress: progress(deviceId), calibration: null, error };
+  }
+
+  calibrations.set(deviceId, {
+    hardIron:        fit.hardIron,
+    softIron:        fit.softIron,
+    fieldStrengthUt: fit.fieldStrengthUt,
+    residualPct:     fit.residualPct,
+    coverage,
+    sampleCount:     samples.length,
+    quality,
+    fittedAt:        Date.now(),
+  });
+  return { progress: progress(deviceId), calibration: describe(deviceId) };
+}
+
+/**
+ * Calibration to apply for a device, or null if it has none.
+ * @param {string} deviceId
+ * @returns {object|null}
+ */
+function getMagCalibration(deviceId) {
+  return calibrations.get(deviceId) || null;
+}
+
+/**
+ * Public view of a device's calibration and quality.
+ * @param {string} deviceId
+ * @returns {object}
+ */
+function describe(deviceId) {
+  const cal = calibrations.get(deviceId);
+  return {
+    deviceId,
+    calibrated: !!cal,
+    session:    sessions.has(deviceId) ? progress(deviceId) : null,
+    ...(cal && {
+      quality:         cal.quality,
+      residualPct:     round(cal.residualPct, 2),
+      coverage:        round(cal.coverage, 2),
+      sampleCount:     cal.sampleCount,
+      fieldStrengthUt: round(cal.fieldStrengthUt, 2),
+      hardIron:        cal.hardIron.map(v => round(v)),
+      softIron:        cal.softIron.map(row => row.map(v => round(v, 4))),
+      fittedAt:        cal.fittedAt,
+    }),
+  };
+}
+
+/** Calibration summary for every device that has one or is collecting */
+function listMagCalibrations() {
+  const ids = new Set([...calibrations.keys(), ...sessions.keys()]);
+  return [...ids].map(describe);
+}
+
+/**
+ * Forget a device's calibration (and any running session).
+ * @param {string} deviceId
+ * @returns {boolean} false if there was nothing to reset
+ */
+function resetMagCalibration(deviceId) {
+  const had = calibrations.delete(deviceId);
+  return sessions.delete(deviceId) || had;
+}
+
+module.exports = {
+  orientationCoverage,
+  fitEllipsoid,
+  correctMagnetometer,
+  startCalibration,
+  addCalibrationSamples,
+  getMagCalibration,
+  describe,
+  listMagCalibrations,
+  resetMagCalibration,
+};
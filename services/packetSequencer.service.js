@@ -0,0 +1,170 @@
+/**
+ * packetSequencer.service.js
+ * Puts each device's sensor packets back on the device's own timeline before
+ * they reach fusion. Packets are held for REORDER_WINDOW_MS so ones overtaken
+ * in the network can be slotted back in, duplicates and packets arriving
+ * after their slot are dropped, and device time is mapped onto the server
+ * clock with a per-device offset estimate:
+ *
+ *     offset ≈ min over CLOCK_OFFSET_WINDOW_MS of (serverReceive - deviceTimestamp)
+ *
+ * i.e. the clock difference plus the smallest network latency seen, so
+ * mapped packet times never lie in the future and jitter does not leak
+ * into the time steps used for dead reckoning.
+ */
+
+const config = require('../config/config');
+
+const { TIMING } = config;
+
+// deviceId -> {
+//   buffer: [{ payload, deviceTimestamp, receivedAt }],   // sorted by deviceTimestamp
+//   offsetSamples: [{ receivedAt, offsetMs }],            // monotonic deque, front = minimum
+//   lastReleased: deviceTimestamp | null,
+//   timer, stats: { received, processed, duplicates, late, clockResets }
+// }
+const sequencers = {};
+
+function getSequencer(deviceId) {
+  if (!sequencers[deviceId]) {
+    sequencers[deviceId] = {
+      buffer: [],
+      offsetSamples: [],
+      lastReleased: null,
+      timer: null,
+      stats: { received: 0, processed: 0, duplicates: 0, late: 0, clockResets: 0 },
+    };
+  }
+  return sequencers[deviceId];
+}
+
+/** Push one (receive - device) sample and drop those outside the window */
+function trackOffset(seq, receivedAt, deviceTimestamp) {
+  const offsetMs = receivedAt - deviceTimestamp;
+  const samples = seq.offsetSamples;
+  while (samples.length && samples[samples.length - 1].offsetMs >= offsetMs) samples.pop();
+  samples.push({ receivedAt, offsetMs });
+  while (samples[0].receivedAt < receivedAt - TIMING.CLOCK_OFFSET_WINDOW_MS) samples.shift();
+}
+
+/**
+ * Hand one packet on. A packet that fails is logged and skipped so it can
+ * neither crash the server from a timer nor hold up the packets after it.
+ */
+function deliver(deviceId, handle, payload, timing) {
+  try {
+    handle(payload, timing);
+  } catch (err) {
+    console.error(`[SEQ] Packet from ${deviceId} failed:`, err);
+  }
+}
+
+/** Release every packet whose hold expired, plus anything older, in device-time order */
+function flush(deviceId, handle) {
+  const seq = sequencers[deviceId];
+  if (!seq) return;
+  seq.timer = null;
+
+  const now = Date.now();
+  let cutoff = null;
+  for (const p of seq.buffer) {
+    if (now - p.receivedAt >= TIMING.REORDER_WINDOW_MS) cutoff = Math.max(cutoff ?? -Infinity, p.deviceTimestamp);
+  }
+
+  if (cutoff !== null) {
+    const release = seq.buffer.filter(p => p.deviceTimestamp <= cutoff);
+    seq.buffer = seq.buffer.filter(p => p.deviceTimestamp > cutoff);
+    const clockOffsetMs = seq.offsetSamples[0].offsetMs;
+
+    for (const p of release) {
+      seq.lastReleased = p.deviceTimestamp;
+      seq.stats.processed += 1;
+      deliver(deviceId, handle, p.payload, {
+        packetTime:      p.deviceTimestamp + clockOffsetMs,
+        deviceTimestamp: p.deviceTimestamp,
+        receivedAt:      p.receivedAt,
+        clockOffsetMs,
+      });
+    }
+  }
+
+  if (seq.buffer.length) {
+    const nextDue = Math.min(...seq.buffer.map(p => p.receivedAt)) + TIMING.REORDER_WINDOW_MS;
+    seq.timer = setTimeout(() => flush(deviceId, handle), Math.max(0, nextDue - now));
+    seq.timer.unref?.();
+  }
+}
+
+/**
+ * Queue a sensor packet. `handle` is called (asynchronously, in device-time
+ * order) for every packet that is neither a duplicate nor too late.
+ * Packets without a numeric timestamp are processed at once on server time.
+ * @param {string} deviceId
+ * @param {object} payload - sensor packet; payload.timestamp is device time (ms)
+ * @param {Function} handle - (payload, { packetTime, deviceTimestamp, receivedAt, clockOffsetMs }) => void
+ * @returns {'queued' | 'processed' | 'duplicate' | 'late'}
+ */
+function submitPacket(deviceId, payload, handle) {
+  const receivedAt = Date.now();
+  const deviceTimestamp = payload.timestamp;
+  const seq = getSequencer(deviceId);
+  seq.stats.received += 1;
+
+  if (!Number.isFinite(deviceTimestamp)) {
+    seq.stats.processed += 1;
+    deliver(deviceId, handle, payload, { packetTime: receivedAt, deviceTimestamp: null, receivedAt, clockOffsetMs: null });
+    return 'processed';
+  }
+
+  const duplicate = deviceTimestamp === seq.lastReleased ||
+    seq.buffer.some(p => p.deviceTimestamp === deviceTimestamp);
+  if (duplicate) {
+    seq.stats.duplicates += 1;
+    return 'duplicate';
+  }
+
+  if (seq.lastReleased !== null && deviceTimestamp < seq.lastReleased) {
+    // Far behind is not network delay — the device clock was set back
+    if (seq.lastReleased - deviceTimestamp < TIMING.CLOCK_JUMP_MS) {
+      seq.stats.late += 1;
+      return 'late';
+    }
+    seq.offsetSamples = [];
+    seq.lastReleased = null;
+    seq.stats.clockResets += 1;
+  }
+
+  trackOffset(seq, receivedAt, deviceTimestamp);
+  const at = seq.buffer.findIndex(p => p.deviceTimestamp > deviceTimestamp);
+  seq.buffer.splice(at < 0 ? seq.buffer.length : at, 0, { payload, deviceTimestamp, receivedAt });
+
+  if (!seq.timer) {
+    seq.timer = setTimeout(() => flush(deviceId, handle), TIMING.REORDER_WINDOW_MS);
+    seq.timer.unref?.();
+  }
+  return 'queued';
+}
+
+/**
+ * Clock and packet statistics for a device.
+ * @param {string} deviceId
+ * @returns {{ clockOffsetMs, buffered, received, processed, duplicates, late, clockResets } | null}
+ */
+function getSequencerStats(deviceId) {
+  const seq = sequencers[deviceId];
+  if (!seq) return null;
+  return {
+    clockOffsetMs: seq.offsetSamples[0]?.offsetMs ?? null,
+    buffered:      seq.buffer.length,
+    ...seq.stats,
+  };
+}
+
+/** Drop sequencing state (and any buffered packets) for a device */
+function clearDevice(deviceId) {
+  const seq = sequencers[deviceId];
+  if (seq?.timer) clearTimeout(seq.timer);
+  delete sequencers[deviceId];
+}
+
+module.exports = { submitPacket, getSequencerStats, clearDevice };
@@ -0,0 +1,106 @@
+/**
+ * pdr.service.js
+ * Pedestrian dead reckoning: detects steps in the accelerometer stream and
+ * estimates step length from the user's height. The fusion service turns
+ * each detected step into a position advance along the fused heading.
+ */
+
+const config = require('../config/config');
+
+const { PDR } = config;
+const GRAVITY_MS2 = 9.80665;
+
+// deviceId -> { heightM, stepCount, distanceM, aboveThreshold, lastStepAt }
+const walkers = {};
+
+function getWalker(deviceId) {
+  if (!walkers[deviceId]) {
+    walkers[deviceId] = {
+      heightM: PDR.DEFAULT_USER_HEIGHT_M,
+      stepCount: 0,
+      distanceM: 0,
+      aboveThreshold: false,
+      lastStepAt: null,
+    };
+  }
+  return walkers[deviceId];
+}
+
+/**
+ * Set the user height used for step-length estimation.
+ * @param {string} deviceId
+ * @param {number} heightM - ignored unless a plausible adult/child height
+ */
+function setUserHeight(deviceId, heightM) {
+  const h = Number(heightM);
+  if (!(h >= PDR.MIN_USER_HEIGHT_M && h <= PDR.MAX_USER_HEIGHT_M)) return;
+  getWalker(deviceId).heightM = h;
+}
+
+/**
+ * Step length from user height (linear anthropometric model).
+ * @param {number} heightM
+ * @returns {number} meters
+ */
+function estimateStepLength(heightM) {
+  return heightM * PDR.STEP_LENGTH_HEIGHT_RATIO;
+}
+
+/**
+ * Feed one accelerometer sample. A step is a rise of the acceleration
+ * magnitude above STEP_PEAK_THRESHOLD (relative to gravity), re-armed once it
+ * falls back below STEP_RESET_THRESHOLD, and no sooner than MIN_STEP_INTERVAL_MS
+ * after the previous step.
+ * @param {string} deviceId
+ * @param {object} accel - raw accelerometer { x, y, z } (m/s²)
+ * @param {number} now - sample time (ms)
+ * @returns {object|null} { stepLengthM, cadenceSpeedMps | null } when a step was detected
+ */
+function processAccelSample(deviceId, accel, now) {
+  const walker = getWalker(deviceId);
+  const dynamic = Math.sqrt(accel.x ** 2 + accel.y ** 2 + accel.z ** 2) - GRAVITY_MS2;
+
+  if (walker.aboveThreshold) {
+    if (dynamic < PDR.STEP_RESET_THRESHOLD) walker.aboveThreshold = false;
+    return null;
+  }
+  if (dynamic < PDR.STEP_PEAK_THRESHOLD) return null;
+  if (walker.lastStepAt && now - walker.lastStepAt < PDR.MIN_STEP_INTERVAL_MS) return null;
+
+  walker.aboveThreshold = true;
+  const stepLengthM = estimateStepLength(walker.heightM);
+  const intervalMs = walker.lastStepAt ? now - walker.lastStepAt : null;
+
+  walker.stepCount += 1;
+  walker.distanceM += stepLengthM;
+  walker.lastStepAt = now;
+
+  return {
+    stepLengthM,
+    // Cadence only says something about speed while the user keeps walking
+    cadenceSpeedMps: intervalMs && intervalMs <= PDR.MAX_STEP_INTERVAL_MS
+      ? stepLengthM / (intervalMs / 1000)
+      : null,
+  };
+}
+
+/**
+ * Walking totals for a device.
+ * @param {string} deviceId
+ * @returns {{ stepCount, distanceWalkedM, heightM }}
+ */
+function getWalkStats(deviceId) {
+  const walker = getWalker(deviceId);
+  return {
+    stepCount:       walker.stepCount,
+    distanceWalkedM: Math.round(walker.distanceM * 100) / 100,
+    heightM:         walker.heightM,
+  };
+}
+
+/** Drop PDR state for a device (call on disconnect) */
+function clearDevice(deviceId) {
+  delete walkers[deviceId];
+}
+
+module.exports = { setUserHeight, estimateStepLength, processAccelSample, getWalkStats, clearDevice };
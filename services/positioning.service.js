@@ -1,18 +1,47 @@
 /**
  * positioning.service.js
- * Maintains and updates per-device position using dead reckoning and GPS fallback.
- * Also handles indoor trilateration from RSSI beacons.
+ * Maintains and updates per-device position. GPS and indoor fixes (beacon
+ * multilateration, or a wall-constrained particle filter in buildings set to
+ * 'particle' mode) are fed into the device's fusion filter; the filter
+ * estimate is the published position. The handover service picks which kind
+ * of fix is used. Georeferenced buildings feed indoor fixes as lat/lng, so
+ * lat/lng stays continuous across the door; otherwise the filter is tracked
+ * in the building frame and dead reckoning covers the outdoor coordinates.
  */
 
 const config = require('../config/config');
 const deviceStore = require('../models/deviceStore');
+const spatialIndex = require('../models/spatialIndex');
+const buildingStore = require('../models/buildingStore');
+const { applyPositionFix, setEnvironment, getPositionEstimate } = require('./sensorFusion.service');
+const { getPathLossModel } = require('./rssiCalibration.service');
+const { updateFloor, clearDevice: clearFloor } = require('./floor.service');
+const { evaluateHandover, clearDevice: clearHandover } = require('./handover.service');
+const { evaluateGpsFix, clearDevice: clearGpsQuality } = require('./gpsQuality.service');
+const { clearDevice: clearZones } = require('./geofence.service');
+const { ParticleFilter } = require('../utils/particleFilter');
+const { buildingToGeo, geoToBuilding } = require('../utils/geo');
+
+// deviceId -> { pf: ParticleFilter, buildingId, floor, lastUpdate } for devices in 'particle' mode buildings
+const particleFilters = new Map();
 
 /**
  * DeviceState shape:
  * {
- *   deviceId, lat, lng, altitudeM, heading, speedMps,
- *   lastUpdate (timestamp ms), isBaseStation, confidence,
- *   indoorPosition: { x, y } | null
+ *   deviceId, lat, lng, altitudeM, heading, headingSigmaDeg, speedMps, stationary,
+ *   stepCount, distanceWalkedM,
+ *   lastUpdate (packet time, server clock ms), lastUpdateDevice (same on the device clock),
+ *   clockOffsetMs (server - device), isBaseStation, confidence,
+ *   trackingMode: 'indoor' | 'outdoor' | null,
+ *   hasGeoPosition: boolean,   // false until a GPS or georeferenced fix (lat/lng are dead reckoned from 0,0 until then)
+ *   positionSource: 'gps' | 'fused' | 'beacon' | 'dr',   // what moved the position this packet:
+ *                   GPS re-anchor, GPS blended with motion, indoor fix, dead reckoning only
+ *   lastFixAt, timeSinceFixSec,   // last absolute fix of any source (null before the first)
+ *   indoorPosition: { x, y, floor, accuracyM, dop, mode: 'multilateration' | 'particle' } | null,
+ *   buildingId: string | null,
+ *   floor: number | null, floorSource: 'beacon' | 'barometer' | null,
+ *   lastBeaconFix: { x, y, accuracyM, dop, usedBeacons, rejectedBeacons, timestamp } | null,
+ *   unknownBeacons: string[]   // station IDs in the last packet with no registered position
  * }
  */
 
@@ -55,93 +84,400 @@ function deadReckon(lat, lng, heading, speedMps, dtMs) {
 /**
  * Convert RSSI to estimated distance in meters using log-distance path loss model.
  * @param {number} rssi - received signal strength (negative dBm)
+ * @param {object} [model] - per-station { measuredAt1m, pathLossExponent }; global config otherwise
  * @returns {number} estimated distance in meters
  */
-function rssiToDistance(rssi) {
-  const ref = config.INDOOR?.RSSI_MEASURED_AT_1M ?? -40;
-  const n = config.INDOOR?.RSSI_PATH_LOSS_EXPONENT ?? 2.0;
+function rssiToDistance(rssi, model = {}) {
+  const ref = model.measuredAt1m ?? config.INDOOR?.RSSI_MEASURED_AT_1M ?? -40;
+  const n = model.pathLossExponent ?? config.INDOOR?.RSSI_PATH_LOSS_EXPONENT ?? 2.0;
   return Math.pow(10, (ref - rssi) / (10 * n));
 }
 
 /**
- * 2D trilateration from 3 beacons: returns { x, y } in relative meters.
- * Uses algebraic least-squares approach.
- * @param {Array} beacons - [{ x, y, dist }, { x, y, dist }, { x, y, dist }]
- * @returns {{ x, y } | null}
+ * 1-sigma range error for an RSSI-derived distance. Log-normal shadowing
+ * (the station's fitted residual, or RSSI_SHADOWING_STD_DB) makes the error
+ * grow proportionally with distance.
+ * @param {number} dist - estimated distance in meters
+ * @param {object} [model] - per-station { pathLossExponent, shadowingStdDb }
+ * @returns {number} meters
+ */
+function rangeSigma(dist, model = {}) {
+  const n = model.pathLossExponent ?? config.INDOOR?.RSSI_PATH_LOSS_EXPONENT ?? 2.0;
+  const sigmaDb = model.shadowingStdDb ?? config.INDOOR.RSSI_SHADOWING_STD_DB;
+  return Math.max(config.INDOOR.MIN_RANGE_SIGMA_M, dist * Math.LN10 * sigmaDb / (10 * n));
+}
+
+/**
+ * Weighted Gauss-Newton solve of  min Σ (|p - b_i| - d_i)² / σ_i².
+ * @param {Array} beacons - [{ x, y, dist, sigma }]
+ * @returns {{ x, y, cov: [[..],[..]], dop, residuals: number[] } | null} null if the
+ *   geometry is degenerate (e.g. all beacons collinear through the solution)
  */
-function trilaterate(beacons) {
-  if (beacons.length < 3) return null;
-
-  const [A, B, C] = beacons;
-  // Translate so A is origin
-  const ex = [(B.x - A.x), (B.y - A.y)];
-  const d  = Math.sqrt(ex[0] ** 2 + ex[1] ** 2);
-  if (d === 0) return null;
-
-  const i  = [(C.x - A.x) * ex[0] + (C.y - A.y) * ex[1]] / d;
-  const ey = [
-    (C.x - A.x) - i * ex[0] / d,
-    (C.y - A.y) - i * ex[1] / d,
-  ];
-  const j  = Math.sqrt(ey[0] ** 2 + ey[1] ** 2);
-  if (j === 0) return null;
-
-  const x = (A.dist ** 2 - B.dist ** 2 + d ** 2) / (2 * d);
-  const y = (A.dist ** 2 - C.dist ** 2 + i ** 2 + j ** 2 - 2 * i * x) / (2 * j);
+function solveWeightedRanges(beacons) {
+  // Start at the 1/d²-weighted centroid — close beacons pull hardest
+  let wSum = 0;
+  const p = { x: 0, y: 0 };
+  for (const b of beacons) {
+    const w = 1 / Math.max(b.dist, 0.1) ** 2;
+    p.x += w * b.x;
+    p.y += w * b.y;
+    wSum += w;
+  }
+  p.x /= wSum;
+  p.y /= wSum;
+
+  let normal = null;
+  for (let iter = 0; iter < config.INDOOR.MULTILATERATION_MAX_ITER; iter++) {
+    // Weighted normal equations (HᵀWH) δ = HᵀW r, plus unweighted HᵀH for DOP
+    const n = { a11: 0, a12: 0, a22: 0, b1: 0, b2: 0, g11: 0, g12: 0, g22: 0 };
+    for (const b of beacons) {
+      const dx = p.x - b.x;
+      const dy = p.y - b.y;
+      const r = Math.hypot(dx, dy) || 1e-6;
+      const ux = dx / r;
+      const uy = dy / r;
+      const w = 1 / b.sigma ** 2;
+      const res = b.dist - r;
+      n.a11 += w * ux * ux;  n.a12 += w * ux * uy;  n.a22 += w * uy * uy;
+      n.b1  += w * ux * res; n.b2  += w * uy * res;
+      n.g11 += ux * ux;      n.g12 += ux * uy;      n.g22 += uy * uy;
+    }
+    n.det = n.a11 * n.a22 - n.a12 ** 2;
+    n.gdet = n.g11 * n.g22 - n.g12 ** 2;
+    if (n.det < 1e-12 || n.gdet < 1e-9) return null;
+    normal = n;
+
+    const stepX = (n.a22 * n.b1 - n.a12 * n.b2) / n.det;
+    const stepY = (n.a11 * n.b2 - n.a12 * n.b1) / n.det;
+    p.x += stepX;
+    p.y += stepY;
+    if (Math.hypot(stepX, stepY) < 1e-4) break;
+  }
 
   return {
-    x: A.x + x * (ex[0] / d) + y * (ey[0] / j),
-    y: A.y + x * (ex[1] / d) + y * (ey[1] / j),
+    x: p.x,
+    y: p.y,
+    cov: [
+      [normal.a22 / normal.det, -normal.a12 / normal.det],
+      [-normal.a12 / normal.det, normal.a11 / normal.det],
+    ],
+    dop: Math.sqrt((normal.g11 + normal.g22) / normal.gdet),
+    residuals: beacons.map(b => b.dist - Math.hypot(p.x - b.x, p.y - b.y)),
   };
 }
 
+/**
+ * 2D multilateration from any number of beacons (>= MIN_BASE_STATIONS).
+ * Ranges are weighted by their RSSI-derived uncertainty; the beacon with the
+ * worst normalised residual is dropped and the solve repeated while it exceeds
+ * OUTLIER_RESIDUAL_SIGMA and enough beacons remain.
+ * @param {Array} beacons - [{ deviceId?, x, y, dist, sigma }]
+ * @returns {{ x, y, accuracyM, dop, usedBeacons, rejectedBeacons } | null}
+ *   accuracyM is the 1-sigma radial error (DRMS), dop the horizontal DOP
+ */
+function multilaterate(beacons) {
+  const minBeacons = config.INDOOR.MIN_BASE_STATIONS;
+  if (beacons.length < minBeacons) return null;
+
+  let used = [...beacons];
+  const rejected = [];
+  let solution;
+
+  for (;;) {
+    solution = solveWeightedRanges(used);
+    if (!solution) return null;
+    if (used.length <= minBeacons) break;
+
+    let worst = -1;
+    let worstScore = config.INDOOR.OUTLIER_RESIDUAL_SIGMA;
+    solution.residuals.forEach((res, i) => {
+      const score = Math.abs(res) / used[i].sigma;
+      if (score > worstScore) {
+        worst = i;
+        worstScore = score;
+      }
+    });
+    if (worst < 0) break;
+
+    rejected.push(used[worst]);
+    used = used.filter((_, i) => i !== worst);
+  }
+
+  // Inflate the formal covariance when residuals are larger than the model expects
+  const dof = used.length - 2;
+  const chi2 = solution.residuals.reduce((acc, res, i) => acc + (res / used[i].sigma) ** 2, 0);
+  const varianceFactor = dof > 0 ? Math.max(1, chi2 / dof) : 1;
+
+  return {
+    x:               solution.x,
+    y:               solution.y,
+    accuracyM:       Math.sqrt((solution.cov[0][0] + solution.cov[1][1]) * varianceFactor),
+    dop:             solution.dop,
+    usedBeacons:     used.map(b => b.deviceId ?? null),
+    rejectedBeacons: rejected.map(b => b.deviceId ?? null),
+  };
+}
+
+/**
+ * Attach anchor coordinates to RSSI readings. Positions come from base stations
+ * registered with a knownPosition; a position sent by the client is only used
+ * for stations the server does not know, and such readings are flagged.
+ * @param {Array|undefined} readings - [{ deviceId, rssi, position? }]
+ * @returns {{ anchored: Array<{ deviceId, rssi, x, y, floor, model }>, unknownStations: string[], buildingId }}
+ */
+function resolveBeaconAnchors(readings) {
+  const anchored = [];
+  const unknownStations = [];
+
+  const buildingVotes = {};
+
+  for (const r of readings || []) {
+    if (typeof r?.rssi !== 'number') continue;
+
+    const station = deviceStore.get(r.deviceId);
+    const known = station?.isBaseStation && station.position;
+    if (!known) unknownStations.push(r.deviceId);
+    if (known && station.buildingId) {
+      buildingVotes[station.buildingId] = (buildingVotes[station.buildingId] || 0) + 1;
+    }
+
+    const pos = known ? station.position : r.position;
+    if (pos && Number.isFinite(pos.x) && Number.isFinite(pos.y)) {
+      anchored.push({
+        deviceId: r.deviceId,
+        rssi:     r.rssi,
+        x:        pos.x,
+        y:        pos.y,
+        floor:    Number.isInteger(pos.floor) ? pos.floor : null,
+        model:    getPathLossModel(r.deviceId),
+      });
+    }
+  }
+
+  // The building most of the heard stations belong to
+  const buildingId = Object.keys(buildingVotes)
+    .sort((a, b) => buildingVotes[b] - buildingVotes[a])[0] ?? null;
+
+  return { anchored, unknownStations, buildingId };
+}
+
+/**
+ * Particle-filter indoor positioning for buildings in 'particle' mode.
+ * Particles move with the fused heading and speed, die at floor plan walls
+ * and are weighted by the beacon ranges of this packet (if any). Everything
+ * is in building coordinates (rotated and scaled by the building anchor).
+ * @param {string} deviceId
+ * @param {object} building - from buildingStore
+ * @param {number|null} floor - device floor; only that floor's walls apply
+ * @param {Array} beacons - [{ x, y, dist, sigma }] ranges from this packet, in building units
+ * @param {object|null} beaconFix - multilateration result, used to (re)seed particles
+ * @param {object} fusedState
+ * @param {number} now
+ * @returns {{ x, y, spreadM } | null} null until the first beacon fix seeds the filter
+ */
+function runParticleFilter(deviceId, building, floor, beacons, beaconFix, fusedState, now) {
+  const { INDOOR } = config;
+  let entry = particleFilters.get(deviceId);
+  if (!entry || entry.buildingId !== building.buildingId || entry.floor !== floor) {
+    entry = {
+      pf:         new ParticleFilter({ count: INDOOR.PARTICLE_COUNT }),
+      buildingId: building.buildingId,
+      floor,
+      lastUpdate: now,
+    };
+    particleFilters.set(deviceId, entry);
+  }
+
+  const walls = building.walls.filter(w => w.floor === null || w.floor === floor);
+  const seed = (x, y, spread) =>
+    entry.pf.initialize(x, y, Math.max(INDOOR.PARTICLE_MIN_SPREAD_M, spread), walls);
+
+  if (!entry.pf.initialized) {
+    if (!beaconFix) return null;
+    seed(beaconFix.x, beaconFix.y, beaconFix.accuracyM);
+  } else {
+    const dtSec = Math.min((now - entry.lastUpdate) / 1000, config.FUSION.MAX_PREDICT_DT_SEC);
+    const distance = ((fusedState.speed || 0) * dtSec) / (building.anchor?.scale ?? 1);
+    const headingSigmaDeg = fusedState.headingSigmaDeg ?? INDOOR.PARTICLE_HEADING_NOISE_DEG;
+    const headingDeg = fusedState.heading - (building.anchor?.rotationDeg ?? 0);
+
+    const alive = entry.pf.propagate({
+      distance,
+      heading:       (headingDeg * Math.PI) / 180,
+      distanceSigma: distance * INDOOR.PARTICLE_DISTANCE_NOISE_FRAC + INDOOR.PARTICLE_DISTANCE_NOISE_M,
+      headingSigma:  (headingSigmaDeg * Math.PI) / 180,
+      walls,
+    });
+
+    // Every particle walked into a wall: the cloud was wrong, start over
+    if (!alive) {
+      const previous = entry.pf.estimate();
+      const from = beaconFix || previous;
+      seed(from.x, from.y, beaconFix ? beaconFix.accuracyM : previous.spreadM);
+    }
+  }
+
+  entry.lastUpdate = now;
+  entry.pf.weightByRanges(beacons);
+  return entry.pf.estimate();
+}
+
 /**
  * Update or create a device's position state.
  * @param {string} deviceId
  * @param {object} payload - incoming sensor/location data
  * @param {object} fusedState - output from sensorFusion.service
+ * @param {object} [timing] - from packetSequencer.service: { packetTime, deviceTimestamp, clockOffsetMs };
+ *   without it the packet is taken to be from now
  * @returns {object} updated DeviceState
  */
-function updateDevicePosition(deviceId, payload, fusedState) {
-  const now = Date.now();
+function updateDevicePosition(deviceId, payload, fusedState, timing = {}) {
+  const now = timing.packetTime ?? Date.now();
   const existing = deviceStore.get(deviceId) || {};
 
   let lat = existing?.lat ?? payload.gps?.lat ?? 0;
   let lng = existing?.lng ?? payload.gps?.lng ?? 0;
 
-  if (fusedState.shouldUseGPS && payload.gps) {
-    // GPS is authoritative when sensor confidence is low
-    lat = payload.gps.lat;
-    lng = payload.gps.lng;
-  } else if (existing) {
-    // Dead reckoning from previous position
+  // Indoor positioning via RSSI beacons, anchored at registered base stations
+  const anchors = resolveBeaconAnchors(payload.rssiBeacons || payload.rssiReadings);
+
+  // Floor from beacon floor tags + barometer; ranges are taken from same-floor
+  // stations when there are enough of them (slabs attenuate the others)
+  const floorState = updateFloor(deviceId, {
+    beacons:     anchors.anchored,
+    pressureHpa: payload.barometer?.pressure,
+  }, now);
+  const sameFloor = anchors.anchored.filter(b => b.floor === null || b.floor === floorState.floor);
+  const rangingBeacons = floorState.floor !== null && sameFloor.length >= config.INDOOR.MIN_BASE_STATIONS
+    ? sameFloor
+    : anchors.anchored;
+
+  // Between beacon packets a device stays in the building it was last placed in
+  const buildingId = anchors.buildingId ?? (existing.trackingMode === 'indoor' ? existing.buildingId : null) ?? null;
+  const building = buildingId ? buildingStore.get(buildingId) : null;
+  const positioningMode = building?.positioningMode ?? 'multilateration';
+  const anchor = building?.anchor ?? null;
+  const unitM = anchor?.scale ?? 1;  // meters per building unit
+
+  // Station positions are in building units; RSSI ranges come out in meters
+  const beaconsWithDist = rangingBeacons.map(b => {
+    const distM = rssiToDistance(b.rssi, b.model);
+    return {
+      deviceId: b.deviceId,
+      x:        b.x,
+      y:        b.y,
+      dist:     distM / unitM,
+      sigma:    rangeSigma(distM, b.model) / unitM,
+    };
+  });
+  const beaconFix = beaconsWithDist.length >= config.INDOOR.MIN_BASE_STATIONS
+    ? multilaterate(beaconsWithDist)
+    : null;
+
+  let indoorFix = beaconFix && { x: beaconFix.x, y: beaconFix.y, accuracyM: beaconFix.accuracyM };
+  if (positioningMode === 'particle') {
+    const cloud = runParticleFilter(deviceId, building, floorState.floor, beaconsWithDist, beaconFix, fusedState, now);
+    indoorFix = cloud && { x: cloud.x, y: cloud.y, accuracyM: cloud.spreadM };
+  } else {
+    particleFilters.delete(deviceId);
+  }
+
+  // Indoor or outdoor, from beacon visibility and GPS quality
+  const gpsAccuracyM = payload.gps ? payload.gps.accuracy ?? config.FUSION.GPS_NOISE_M : null;
+  const handover = evaluateHandover(deviceId, { indoorFix: !!indoorFix, gpsAccuracyM }, now);
+  setEnvironment(deviceId, handover.mode);
+
+  // Absolute fixes correct the device's motion filter: indoor fixes while the
+  // device is indoors (GPS is unreliable there), GPS while it is outdoors
+  let positionSource = 'dr';
+  if (handover.mode === 'indoor' && indoorFix) {
+    // accuracyM is radial; the filter takes a per-axis std in meters
+    const sigmaM = Math.max(config.FUSION.BEACON_NOISE_M, (indoorFix.accuracyM * unitM) / Math.SQRT2);
+    if (anchor) {
+      applyPositionFix(deviceId, { frame: 'geo', ...buildingToGeo(anchor, indoorFix.x, indoorFix.y), sigmaM }, now);
+    } else {
+      applyPositionFix(deviceId, { frame: 'building', x: indoorFix.x, y: indoorFix.y, sigmaM }, now);
+    }
+    positionSource = 'beacon';
+  } else if (handover.mode === 'outdoor' && payload.gps) {
+    // Weighted by reported accuracy; jumps are rejected, long dead reckoning forces a re-sync
+    const gpsFix = evaluateGpsFix(deviceId, payload.gps, now, getPositionEstimate(deviceId)?.lastFixAt ?? null);
+    if (gpsFix.accept) {
+      const reanchored = applyPositionFix(deviceId, {
+        frame:  'geo',
+        lat:    payload.gps.lat,
+        lng:    payload.gps.lng,
+        sigmaM: gpsFix.sigmaM,
+        reset:  gpsFix.reset,
+      }, now);
+      positionSource = reanchored ? 'gps' : 'fused';
+    }
+  }
+
+  const estimate = getPositionEstimate(deviceId);
+  let indoorPosition = null;
+
+  if (estimate?.frame === 'geo') {
+    lat = estimate.lat;
+    lng = estimate.lng;
+  } else if (existing.lastUpdate) {
+    // Indoors (or no fix yet): keep the outdoor position moving by dead reckoning
     const dt = now - existing.lastUpdate;
     const pos = deadReckon(lat, lng, fusedState.heading, fusedState.speed, dt);
     lat = pos.lat;
     lng = pos.lng;
   }
 
-  // Indoor positioning via RSSI beacons
-  let indoorPosition = null;
-  if (payload.rssiBeacons && payload.rssiBeacons.length >= 3) {
-    const beaconsWithDist = payload.rssiBeacons.map(b => ({
-      x:    b.position.x,
-      y:    b.position.y,
-      dist: rssiToDistance(b.rssi),
-    }));
-    indoorPosition = trilaterate(beaconsWithDist);
+  // Building-frame estimate: the filter itself, or the georeferenced estimate
+  // projected back into the building
+  let buildingEstimate = null;
+  if (estimate?.frame === 'building') {
+    buildingEstimate = { x: estimate.x, y: estimate.y, accuracyM: estimate.sigmaM * Math.SQRT2 };
+  } else if (estimate && anchor && handover.mode === 'indoor') {
+    buildingEstimate = {
+      ...geoToBuilding(anchor, estimate.lat, estimate.lng),
+      accuracyM: (estimate.sigmaM * Math.SQRT2) / unitM,
+    };
+  }
+
+  if (buildingEstimate) {
+    // In particle mode the wall-constrained cloud is the published position;
+    // the motion filter's estimate could cut corners through walls
+    const source = positioningMode === 'particle' && indoorFix ? indoorFix : buildingEstimate;
+    indoorPosition = {
+      ...source,
+      floor: floorState.floor,
+      dop:   beaconFix?.dop ?? existing.indoorPosition?.dop ?? null,
+      mode:  positioningMode,
+    };
   }
 
   const state = {
     deviceId,
     lat,
     lng,
-    heading:       fusedState.heading,
-    speedMps:      fusedState.speed,
-    confidence:    fusedState.confidence,
-    lastUpdate:    now,
-    isBaseStation: payload.isBaseStation ?? false,
+    hasGeoPosition:   estimate?.frame === 'geo' || !!payload.gps || (existing.hasGeoPosition ?? false),
+    heading:          estimate?.heading ?? fusedState.heading,
+    headingSigmaDeg:  fusedState.headingSigmaDeg ?? null,
+    speedMps:         estimate?.speed ?? fusedState.speed,
+    stationary:       fusedState.stationary ?? false,
+    stepCount:        fusedState.stepCount ?? existing.stepCount ?? 0,
+    distanceWalkedM:  fusedState.distanceWalkedM ?? existing.distanceWalkedM ?? 0,
+    confidence:       estimate?.confidence ?? fusedState.confidence,
+    lastUpdate:       now,
+    lastUpdateDevice: timing.deviceTimestamp ?? null,
+    clockOffsetMs:    timing.clockOffsetMs ?? null,
+    isBaseStation:    payload.isBaseStation ?? existing.isBaseStation ?? false,
+    trackingMode:     handover.mode,
+    positionSource,
+    lastFixAt:        estimate?.lastFixAt ?? null,
+    timeSinceFixSec:  estimate?.lastFixAt ? Math.round((now - estimate.lastFixAt) / 100) / 10 : null,
     indoorPosition,
+    buildingId:       indoorPosition || handover.mode === 'indoor' ? buildingId : null,
+    floor:            floorState.floor,
+    floorSource:      floorState.floorSource,
+    lastBeaconFix:    beaconFix ? { ...beaconFix, timestamp: now } : existing.lastBeaconFix ?? null,
+    unknownBeacons:   anchors.unknownStations,
   };
 
   // Persist via deviceStore (this will also save to disk)
@@ -166,11 +502,24 @@ function getDevice(deviceId) {
 /** Remove a device from the map */
 function removeDevice(deviceId) {
   deviceStore.remove(deviceId);
+  particleFilters.delete(deviceId);
+  clearFloor(deviceId);
+  clearHandover(deviceId);
+  clearGpsQuality(deviceId);
+  clearZones(deviceId);
 }
 
-/** Euclidean distance between two devices in meters (uses lat/lng Haversine) */
+/**
+ * Distance between two devices in meters: Haversine on lat/lng outdoors (and in
+ * georeferenced buildings), Euclidean in building coordinates otherwise.
+ * @returns {number|null} null when the devices are in different frames or on different floors
+ */
 function distanceBetween(stateA, stateB) {
-  return haversineDistance(stateA.lat, stateA.lng, stateB.lat, stateB.lng);
+  const a = spatialIndex.placement(stateA);
+  const b = spatialIndex.placement(stateB);
+  if (!a || !b || a.space !== b.space) return null;
+  if (Number.isInteger(a.floor) && Number.isInteger(b.floor) && a.floor !== b.floor) return null;
+  return a.space === 'geo' ? haversineDistance(a.lat, a.lng, b.lat, b.lng) : Math.hypot(b.x - a.x, b.y - a.y);
 }
 
 module.exports = {
@@ -179,4 +528,5 @@ module.exports = {
   getDevice,
   removeDevice,
   distanceBetween,
+  multilaterate,
 };
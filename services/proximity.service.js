@@ -1,40 +1,189 @@
 /**
  * proximity.service.js
- * Computes pairwise distances between all active devices and
- * identifies dangerous proximity pairs.
+ * Computes distances between nearby devices (found through the spatial
+ * index, so devices on other floors, in other coordinate frames or far apart
+ * are never compared) and
+ * predicts collisions from their headings and speeds: for each pair the time of
+ * closest approach (TCA) and the distance at that moment are computed with
+ * both devices on straight-line courses, and graded into a risk level
+ * against distances derived from the two devices' classes.
  */
 
-const { SAFETY_DISTANCE_METERS, WARNING_DISTANCE_METERS } = require('../config/app.config');
-const { getActiveDevices, distanceBetween } = require('./positioning.service');
+const config = require('../config/config');
+const spatialIndex = require('../models/spatialIndex');
+const { getDevice } = require('./positioning.service');
+const { getDeviceClass, pairThresholds, maxWarningDistance, MAX_CLASS_SPEED_MPS } = require('./deviceClass.service');
+const { geoToLocal } = require('../utils/geo');
+
+const { SAFETY } = config;
+
+const RISK_LABELS = ['SAFE', 'CAUTION', 'DANGER', 'CRITICAL'];
+const RISK = { SAFE: 0, CAUTION: 1, DANGER: 2, CRITICAL: 3 };
+
+/** Velocity vector (m/s, east/north) from speed and compass heading */
+function velocity(device) {
+  const speed = device.stationary ? 0 : device.speedMps || 0;
+  const h = ((device.heading || 0) * Math.PI) / 180;
+  return { x: speed * Math.sin(h), y: speed * Math.cos(h) };
+}
 
 /**
- * Scan all active device pairs and return proximity results.
- * @returns {Array} Array of proximity events:
- *   { deviceA, deviceB, distanceM, severity: 'safe' | 'warning' | 'collision' }
+ * Offset between two placements (see spatialIndex.placement) in meters: local
+ * tangent plane for lat/lng, building coordinates for indoor devices in a
+ * building without a georeference.
+ * @param {object|null} pa
+ * @param {object|null} pb
+ * @returns {{ x, y }|null} a to b; null when they are in different spaces or on different floors
+ */
+function placementOffset(pa, pb) {
+  if (!pa || !pb || pa.space !== pb.space) return null;
+  if (Number.isInteger(pa.floor) && Number.isInteger(pb.floor) && pa.floor !== pb.floor) return null;
+  return pa.space === 'geo' ? geoToLocal(pa, pb.lat, pb.lng) : { x: pb.x - pa.x, y: pb.y - pa.y };
+}
+
+/** Offset from device a to device b in meters, or null when they cannot be compared */
+function pairOffset(a, b) {
+  return placementOffset(spatialIndex.placement(a), spatialIndex.placement(b));
+}
+
+/** Seconds a device's position is projected forward to reach `now` */
+function extrapolationSec(device, now) {
+  return Math.min(Math.max(0, (now - (device.lastUpdate ?? now)) / 1000), SAFETY.EXTRAPOLATE_MAX_SEC);
+}
+
+/**
+ * Closest approach for a relative position r (m) changing at velocity v (m/s).
+ * @returns {{ distanceM, tca, closestApproachM, closingSpeedMps }}
+ */
+function relativeApproach(r, v) {
+  const distanceM = Math.hypot(r.x, r.y);
+  const v2 = v.x ** 2 + v.y ** 2;
+  const tca = v2 > 1e-6 ? Math.min(Math.max(0, -(r.x * v.x + r.y * v.y) / v2), SAFETY.TCA_HORIZON_SEC) : 0;
+
+  return {
+    distanceM,
+    tca,
+    closestApproachM: Math.hypot(r.x + v.x * tca, r.y + v.y * tca),
+    closingSpeedMps:  distanceM > 0 ? -(r.x * v.x + r.y * v.y) / distanceM : 0,
+  };
+}
+
+/**
+ * Straight-line closest approach between two devices. Positions are first
+ * projected forward to `now` (each device's last update may be slightly old).
+ * @param {object} a - DeviceState
+ * @param {object} b - DeviceState
+ * @param {number} now
+ * @returns {{ distanceM, tca, closestApproachM, closingSpeedMps }|null}
+ *   tca in seconds (0 when the devices are not getting closer), capped at TCA_HORIZON_SEC;
+ *   null when the devices cannot be compared (see pairOffset)
+ */
+function closestApproach(a, b, now) {
+  const offset = pairOffset(a, b);
+  if (!offset) return null;
+
+  const va = velocity(a);
+  const vb = velocity(b);
+  const [ageA, ageB] = [extrapolationSec(a, now), extrapolationSec(b, now)];
+
+  return relativeApproach(
+    { x: offset.x + vb.x * ageB - va.x * ageA, y: offset.y + vb.y * ageB - va.y * ageA },
+    { x: vb.x - va.x, y: vb.y - va.y },
+  );
+}
+
+/**
+ * Grade a pair's risk from current distance and predicted closest approach.
+ * @param {{ distanceM, tca, closestApproachM }} approach
+ * @param {{ collisionM, warningM }} [thresholds] - from deviceClass.pairThresholds;
+ *   defaults to two devices of the default class
+ * @returns {number} RISK level 0..3
+ */
+function assessRisk({ distanceM, tca, closestApproachM }, thresholds = pairThresholds({}, {})) {
+  const { collisionM, warningM } = thresholds;
+
+  if (distanceM < collisionM) return RISK.CRITICAL;
+  if (closestApproachM < collisionM && tca <= SAFETY.CRITICAL_TCA_SEC) return RISK.CRITICAL;
+  if (distanceM < warningM) return RISK.DANGER;
+  if (closestApproachM < collisionM && tca <= SAFETY.DANGER_TCA_SEC) return RISK.DANGER;
+  if (closestApproachM < warningM && tca > 0) return RISK.CAUTION;
+  return RISK.SAFE;
+}
+
+/** Slack on grid search radii for the index's single projection origin */
+const PROJECTION_SLACK = 1.05;
+
+/**
+ * Grid search radius around a device. A non-safe pair has to be within its
+ * warning distance now, or get there within TCA_HORIZON_SEC after both
+ * positions are extrapolated, so it can be at most that plus both devices'
+ * travel over that time apart.
+ * @param {object} device - DeviceState
+ * @param {number} otherSpeedMps - assumed speed of the neighbour
+ * @returns {number} meters
+ */
+function searchRadius(device, otherSpeedMps) {
+  const { x, y } = velocity(device);
+  const travelSec = SAFETY.TCA_HORIZON_SEC + SAFETY.EXTRAPOLATE_MAX_SEC;
+  return (maxWarningDistance(device) + (Math.hypot(x, y) + otherSpeedMps) * travelSec) * PROJECTION_SLACK;
+}
+
+/** Proximity event for a pair, or null when it is SAFE or cannot be compared */
+function evaluatePair(a, b, now) {
+  if (b.deviceId < a.deviceId) [a, b] = [b, a];
+  const approach = closestApproach(a, b, now);
+  if (!approach) return null;
+  const thresholds = pairThresholds(a, b);
+  const riskLevel = assessRisk(approach, thresholds);
+  if (riskLevel === RISK.SAFE) return null;
+
+  return {
+    deviceA:          a.deviceId,
+    deviceB:          b.deviceId,
+    distanceM:        Math.round(approach.distanceM * 100) / 100,
+    severity:         riskLevel === RISK.CRITICAL ? 'collision' : 'warning',
+    riskLevel,
+    riskLabel:        RISK_LABELS[riskLevel],
+    tca:              Math.round(approach.tca * 10) / 10,
+    closestApproachM: Math.round(approach.closestApproachM * 100) / 100,
+    closingSpeedMps:  Math.round(approach.closingSpeedMps * 100) / 100,
+    classA:           getDeviceClass(a).name,
+    classB:           getDeviceClass(b).name,
+    collisionM:       Math.round(thresholds.collisionM * 100) / 100,
+    warningM:         Math.round(thresholds.warningM * 100) / 100,
+  };
+}
+
+/**
+ * Scan all active device pairs and return proximity results. Each device only
+ * looks at its neighbours in the spatial index; the search radius assumes the
+ * neighbour is no faster than the device itself, so every pair is still found
+ * from its faster member.
+ * @returns {Array} Array of proximity events (SAFE pairs are left out):
+ *   { deviceA, deviceB, distanceM, severity: 'warning' | 'collision',
+ *     riskLevel: 1..3, riskLabel: 'CAUTION' | 'DANGER' | 'CRITICAL',
+ *     tca (s), closestApproachM, closingSpeedMps, classA, classB,
+ *     collisionM, warningM (the pair's thresholds) }
+ *   deviceA sorts before deviceB
  */
 function scanProximity() {
-  const devices = getActiveDevices();
+  const now = Date.now();
+  const seen = new Set();
   const results = [];
 
-  for (let i = 0; i < devices.length; i++) {
-    for (let j = i + 1; j < devices.length; j++) {
-      const a = devices[i];
-      const b = devices[j];
-      const distM = distanceBetween(a, b);
-
-      let severity = 'safe';
-      if (distM < SAFETY_DISTANCE_METERS)   severity = 'collision';
-      else if (distM < WARNING_DISTANCE_METERS) severity = 'warning';
-
-      // Only emit non-safe events to reduce noise
-      if (severity !== 'safe') {
-        results.push({
-          deviceA:   a.deviceId,
-          deviceB:   b.deviceId,
-          distanceM: Math.round(distM * 100) / 100,
-          severity,
-        });
-      }
+  for (const id of spatialIndex.deviceIds()) {
+    const a = getDevice(id);
+    if (!a) continue;
+    const { x, y } = velocity(a);
+
+    for (const otherId of spatialIndex.nearby(a, searchRadius(a, Math.hypot(x, y)))) {
+      const pairKey = id < otherId ? `${id}|${otherId}` : `${otherId}|${id}`;
+      if (seen.has(pairKey)) continue;
+      seen.add(pairKey);
+
+      const b = getDevice(otherId);
+      const event = b && evaluatePair(a, b, now);
+      if (event) results.push(event);
     }
   }
 
@@ -42,14 +191,34 @@ function scanProximity() {
 }
 
 /**
- * Get proximity info for a specific device vs all others.
+ * Get proximity info for a specific device vs its neighbours. Neighbours are
+ * assumed to move no faster than the fastest class speed limit — anything
+ * faster already raises a speed alert.
  * @param {string} deviceId
  * @returns {Array} proximity events involving this device
  */
 function scanProximityForDevice(deviceId) {
-  return scanProximity().filter(
-    e => e.deviceA === deviceId || e.deviceB === deviceId
-  );
+  const device = getDevice(deviceId);
+  if (!device || !spatialIndex.has(deviceId)) return [];
+  const { x, y } = velocity(device);
+  const now = Date.now();
+
+  return spatialIndex.nearby(device, searchRadius(device, Math.max(MAX_CLASS_SPEED_MPS, Math.hypot(x, y))))
+    .map(otherId => getDevice(otherId))
+    .map(other => other && evaluatePair(device, other, now))
+    .filter(Boolean);
 }
 
-module.exports = { scanProximity, scanProximityForDevice };
+module.exports = {
+  scanProximity,
+  scanProximityForDevice,
+  velocity,
+  extrapolationSec,
+  placementOffset,
+  pairOffset,
+  relativeApproach,
+  closestApproach,
+  assessRisk,
+  RISK,
+  RISK_LABELS,
+};
@@ -0,0 +1,193 @@
+/**
+ * riskState.service.js
+ * Risk state machines behind proximity and speed alerts: one per device pair
+ * and one per device for speeding. Instead of re-alerting on every scan, a
+ * state only reports transitions:
+ *
+ *   raised     - risk appeared (level > SAFE / speed over the class limit)
+ *   escalated  - pair risk level rose
+ *   persistent - a pair stayed at CRITICAL for ALERTS.MONITOR_ESCALATION_SEC (once)
+ *   cleared    - risk ended (once)
+ *
+ * Levels are entered at the normal thresholds but only left once the pair is
+ * past ALERTS.EXIT_DISTANCE_FACTOR × those distances (or speed falls below
+ * ALERTS.SPEED_EXIT_FACTOR × the limit), and a risk must stay gone for
+ * ALERTS.CLEAR_CONFIRM_MS before it clears, so a pair hovering on a boundary
+ * does not flap. Dropping to a lower (non-safe) level is silent.
+ */
+
+const config = require('../config/config');
+const { getDevice } = require('./positioning.service');
+const { closestApproach, assessRisk, RISK, RISK_LABELS } = require('./proximity.service');
+const { getDeviceClass, pairThresholds } = require('./deviceClass.service');
+
+const { ALERTS } = config;
+
+// pairKey ('a|b', sorted) -> {
+//   deviceIds, level, raisedAt, criticalSince, escalatedToMonitors,
+//   belowSince (ms the exit test has passed since, or null), lastEvaluatedAt, event
+// }
+const pairStates = new Map();
+// deviceId -> { raisedAt, belowSince, lastEvaluatedAt, speedMps, limitMps, deviceClass }
+const speedStates = new Map();
+
+const pairKeyOf = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/** Pair thresholds widened for leaving a level */
+function exitThresholds({ collisionM, warningM }) {
+  return { collisionM: collisionM * ALERTS.EXIT_DISTANCE_FACTOR, warningM: warningM * ALERTS.EXIT_DISTANCE_FACTOR };
+}
+
+/**
+ * Advance one pair's state.
+ * @param {string} key
+ * @param {object|null} a - DeviceState (null if gone)
+ * @param {object|null} b
+ * @param {object|null} event - proximity event for the pair from this scan, if any
+ * @param {number} now
+ * @returns {Array} transitions
+ */
+function stepPair(key, a, b, event, now) {
+  const state = pairStates.get(key);
+  const current = state ? state.level : RISK.SAFE;
+  const transitions = [];
+
+  let enterLevel = RISK.SAFE;
+  let holdLevel = RISK.SAFE;
+  // A pair that is no longer comparable (other floor or frame) counts as SAFE
+  const approach = a && b ? closestApproach(a, b, now) : null;
+  if (approach) {
+    const thresholds = pairThresholds(a, b);
+    enterLevel = event ? event.riskLevel : assessRisk(approach, thresholds);
+    holdLevel = Math.max(enterLevel, assessRisk(approach, exitThresholds(thresholds)));
+  }
+
+  if (enterLevel > current) {
+    const next = state || {
+      deviceIds:           key.split('|'),
+      raisedAt:            now,
+      criticalSince:       null,
+      escalatedToMonitors: false,
+    };
+    Object.assign(next, { level: enterLevel, belowSince: null, lastEvaluatedAt: now, event: event || next.event });
+    pairStates.set(key, next);
+    transitions.push({ kind: state ? 'escalated' : 'raised', key, previousLevel: current, state: next });
+  } else if (state) {
+    state.lastEvaluatedAt = now;
+    if (event) state.event = event;
+    if (holdLevel === RISK.SAFE) {
+      if (state.belowSince === null) state.belowSince = now;
+      if (now - state.belowSince >= ALERTS.CLEAR_CONFIRM_MS) {
+        pairStates.delete(key);
+        return [{ kind: 'cleared', key, previousLevel: current, state }];
+      }
+    } else {
+      state.belowSince = null;
+      state.level = Math.min(state.level, holdLevel);
+    }
+  }
+
+  const live = pairStates.get(key);
+  if (!live) return transitions;
+  if (live.level !== RISK.CRITICAL) {
+    live.criticalSince = null;
+  } else {
+    if (live.criticalSince === null) live.criticalSince = now;
+    if (!live.escalatedToMonitors && now - live.criticalSince >= ALERTS.MONITOR_ESCALATION_SEC * 1000) {
+      live.escalatedToMonitors = true;
+      transitions.push({ kind: 'persistent', key, previousLevel: live.level, state: live });
+    }
+  }
+  return transitions;
+}
+
+/**
+ * Update every pair involving a device after a proximity scan.
+ * @param {string} deviceId
+ * @param {Array} proximityEvents - this device's scan (proximity.service)
+ * @param {number} [now]
+ * @returns {Array} transitions { kind, key, previousLevel, state }
+ */
+function updatePairRisks(deviceId, proximityEvents, now = Date.now()) {
+  const byKey = new Map(proximityEvents.map(e => [pairKeyOf(e.deviceA, e.deviceB), e]));
+  // Pairs already at risk are re-checked even when this scan no longer reports them
+  for (const [key, state] of pairStates) {
+    if (state.deviceIds.includes(deviceId) && !byKey.has(key)) byKey.set(key, null);
+  }
+
+  const transitions = [];
+  for (const [key, event] of byKey) {
+    const [idA, idB] = key.split('|');
+    transitions.push(...stepPair(key, getDevice(idA), getDevice(idB), event, now));
+  }
+  return transitions;
+}
+
+/**
+ * Advance a device's speeding state.
+ * @param {object} device - DeviceState
+ * @param {number} [now]
+ * @returns {object|null} transition { kind: 'raised' | 'cleared', key, state } or null
+ */
+function updateSpeedRisk(device, now = Date.now()) {
+  const { name: deviceClass, maxSpeedMps } = getDeviceClass(device);
+  const speedMps = device.stationary ? 0 : device.speedMps || 0;
+  const key = device.deviceId;
+  const state = speedStates.get(key);
+
+  if (!state) {
+    if (!(speedMps > maxSpeedMps)) return null;
+    const next = { raisedAt: now, belowSince: null, lastEvaluatedAt: now, speedMps, limitMps: maxSpeedMps, deviceClass };
+    speedStates.set(key, next);
+    return { kind: 'raised', key, state: next };
+  }
+
+  Object.assign(state, { lastEvaluatedAt: now, speedMps, limitMps: maxSpeedMps, deviceClass });
+  if (speedMps >= maxSpeedMps * ALERTS.SPEED_EXIT_FACTOR) {
+    state.belowSince = null;
+    return null;
+  }
+  if (state.belowSince === null) state.belowSince = now;
+  if (now - state.belowSince < ALERTS.CLEAR_CONFIRM_MS) return null;
+  speedStates.delete(key);
+  return { kind: 'cleared', key, state };
+}
+
+/**
+ * Clear states nobody has evaluated for ALERTS.AUTO_RESOLVE_MS (devices that
+ * stopped reporting or were removed).
+ * @param {number} [now]
+ * @returns {{ pairs: Array, speed: Array }} 'cleared' transitions
+ */
+function sweepRiskStates(now = Date.now()) {
+  const pairs = [];
+  for (const [key, state] of pairStates) {
+    if (now - state.lastEvaluatedAt < ALERTS.AUTO_RESOLVE_MS) continue;
+    pairStates.delete(key);
+    pairs.push({ kind: 'cleared', key, previousLevel: state.level, state });
+  }
+  const speed = [];
+  for (const [key, state] of speedStates) {
+    if (now - state.lastEvaluatedAt < ALERTS.AUTO_RESOLVE_MS) continue;
+    speedStates.delete(key);
+    speed.push({ kind: 'cleared', key, state });
+  }
+  return { pairs, speed };
+}
+
+/** Current pair and speeding states, for inspection */
+function listRiskStates() {
+  return {
+    pairs: Array.from(pairStates.values()).map(s => ({
+      deviceIds:           s.deviceIds,
+      riskLevel:           s.level,
+      riskLabel:           RISK_LABELS[s.level],
+      raisedAt:            s.raisedAt,
+      criticalSince:       s.criticalSince,
+      escalatedToMonitors: s.escalatedToMonitors,
+    })),
+    speed: Array.from(speedStates.entries()).map(([deviceId, s]) => ({ deviceId, ...s })),
+  };
+}
+
+module.exports = { updatePairRisks, updateSpeedRisk, sweepRiskStates, listRiskStates };
@@ -0,0 +1,241 @@
+/**
+ * routing.service.js
+ * Indoor route planning over building navigation graphs (see
+ * models/navGraphStore.js). A route starts at a device's indoor position, any
+ * point in the building or a graph node, joins the graph at the nearest
+ * corridor on that floor, and ends at a node or the nearest point of interest
+ * with a given name. A* minimises travel time, so an elevator ride is weighed
+ * against the stairs; step-free routes (the default for the device classes in
+ * ROUTING.STEP_FREE_CLASSES) leave stairs out.
+ */
+
+const config = require('../config/config');
+const navGraphStore = require('../models/navGraphStore');
+const buildingStore = require('../models/buildingStore');
+const { getDevice } = require('./positioning.service');
+const { getDeviceClass } = require('./deviceClass.service');
+const { findPath, projectOnSegment } = require('../utils/navGraph');
+const { buildingToGeo } = require('../utils/geo');
+
+const { ROUTING } = config;
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+const FLOOR_CHANGING = ['stairs', 'elevator'];
+
+/**
+ * Distance and travel time along an edge from node a to node b.
+ * @param {object} edge
+ * @param {object} a - node
+ * @param {object} b - node
+ * @param {number} unitM - meters per building unit
+ * @param {number} walkSpeedMps
+ * @returns {{ distanceM, sec }}
+ */
+function edgeCost(edge, a, b, unitM, walkSpeedMps) {
+  const planarM = Math.hypot(b.x - a.x, b.y - a.y) * unitM;
+  const floors = Math.abs(b.floor - a.floor);
+  if (edge.type === 'stairs') {
+    const distanceM = edge.lengthM ?? planarM + ROUTING.STAIRS_M_PER_FLOOR * floors;
+    return { distanceM, sec: distanceM / Math.min(ROUTING.STAIRS_SPEED_MPS, walkSpeedMps) };
+  }
+  const distanceM = edge.lengthM ?? planarM;
+  if (edge.type === 'elevator') {
+    return { distanceM, sec: ROUTING.ELEVATOR_WAIT_SEC + ROUTING.ELEVATOR_SEC_PER_FLOOR * floors + distanceM / walkSpeedMps };
+  }
+  return { distanceM, sec: distanceM / walkSpeedMps };
+}
+
+/**
+ * Fewest seconds per meter of straight-line progress over any edge: walking
+ * pace, or less where an authored lengthM is shorter than the nodes are
+ * apart. Keeps the A* heuristic a lower bound, so routes stay the quickest.
+ * @returns {number}
+ */
+function quickestPace(graph, node, unitM, walkSpeedMps) {
+  let secPerM = 1 / walkSpeedMps;
+  for (const edge of graph.edges) {
+    const a = node(edge.from);
+    const b = node(edge.to);
+    const planarM = Math.hypot(b.x - a.x, b.y - a.y) * unitM;
+    if (planarM > 0) secPerM = Math.min(secPerM, edgeCost(edge, a, b, unitM, walkSpeedMps).sec / planarM);
+  }
+  return secPerM;
+}
+
+/**
+ * Where the route starts.
+ * @returns {{ buildingId, device: object|null, point: { x, y, floor }|null, nodeId: string|null }}
+ * @throws {Error} when the start cannot be placed
+ */
+function resolveStart(deviceId, from) {
+  if (deviceId !== undefined) {
+    const device = getDevice(deviceId);
+    if (!device) throw new Error(`device ${deviceId} not found`);
+    const ip = device.indoorPosition;
+    if (!ip || !device.buildingId) throw new Error(`device ${deviceId} has no indoor position`);
+    const floor = ip.floor ?? device.floor;
+    if (!Number.isInteger(floor)) throw new Error(`floor of device ${deviceId} is not known yet`);
+    return { buildingId: device.buildingId, device, point: { x: ip.x, y: ip.y, floor }, nodeId: null };
+  }
+
+  const { buildingId, nodeId, x, y, floor } = from || {};
+  if (!buildingId) throw new Error('deviceId or from: { buildingId, x, y, floor } | { buildingId, nodeId } is required');
+  if (nodeId !== undefined) return { buildingId, device: null, point: null, nodeId };
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isInteger(floor)) {
+    throw new Error('from needs numeric x, y and an integer floor');
+  }
+  return { buildingId, device: null, point: { x, y, floor }, nodeId: null };
+}
+
+/** Destination nodes: the node with that id, else every node named that (case-insensitive) */
+function resolveGoals(graph, to) {
+  if (typeof to !== 'string' || !to) throw new Error('to must be a node id or point of interest name');
+  const byId = graph.nodes.find(n => n.id === to);
+  if (byId) return [byId];
+  const named = graph.nodes.filter(n => n.name && n.name.toLowerCase() === to.toLowerCase());
+  if (!named.length) throw new Error(`unknown destination: ${to}`);
+  return named;
+}
+
+/**
+ * Links from a free point onto the graph: along the nearest corridor on its
+ * floor to both ends (one end for one-way corridors), or straight to the
+ * nearest node when the floor has no corridors.
+ * @returns {Array<{ to, cost, edge }>} edge = { type: 'start', join, distanceM, sec }
+ */
+function startLinks(buildingId, graph, point, unitM, walkSpeedMps) {
+  const onFloor = n => n.floor === point.floor;
+  let nearest = null;
+  for (const edge of graph.edges) {
+    if (FLOOR_CHANGING.includes(edge.type)) continue;
+    const a = navGraphStore.node(buildingId, edge.from);
+    const b = navGraphStore.node(buildingId, edge.to);
+    if (!onFloor(a)) continue;
+    const foot = projectOnSegment(point, a, b);
+    const d = Math.hypot(foot.x - point.x, foot.y - point.y);
+    if (!nearest || d < nearest.d) nearest = { edge, a, b, foot, d };
+  }
+
+  const link = (node, join) => {
+    const viaM = join ? Math.hypot(join.x - point.x, join.y - point.y) * unitM : 0;
+    const target = join || point;
+    const distanceM = viaM + Math.hypot(node.x - target.x, node.y - target.y) * unitM;
+    const sec = distanceM / walkSpeedMps;
+    return { to: node.id, cost: sec, edge: { type: 'start', join, distanceM, sec } };
+  };
+
+  if (nearest) {
+    const { edge, a, b, foot } = nearest;
+    const join = { x: foot.x, y: foot.y };
+    const links = [link(b, join)];
+    if (!edge.oneWay) links.push(link(a, join));
+    return links;
+  }
+
+  const nodes = graph.nodes.filter(onFloor);
+  if (!nodes.length) throw new Error(`no navigation nodes on floor ${point.floor}`);
+  const closest = nodes.reduce((best, n) =>
+    Math.hypot(n.x - point.x, n.y - point.y) < Math.hypot(best.x - point.x, best.y - point.y) ? n : best);
+  return [link(closest, null)];
+}
+
+/**
+ * Plan a route inside a building.
+ * @param {object} request
+ * @param {string} [request.deviceId] - start at this device's indoor position
+ * @param {object} [request.from] - { buildingId, x, y, floor } or { buildingId, nodeId }, when no deviceId
+ * @param {string} request.to - destination node id or point of interest name
+ * @param {boolean} [request.accessible] - step-free route; defaults by device class
+ * @param {number} [now]
+ * @returns {object|null} route, or null when the destination cannot be reached:
+ *   { buildingId, deviceId, destination: { nodeId, name, floor }, accessible, walkingSpeedMps,
+ *     distanceM, etaSec, arrivalAt, floors, plannedAt,
+ *     waypoints: [{ nodeId, name, type, x, y, floor, via, distanceFromStartM, etaSec, lat?, lng? }] }
+ *   waypoint type is a node type, 'start' or 'join' (where the route joins a corridor);
+ *   via is the kind of edge that leads to it; lat/lng only in georeferenced buildings
+ * @throws {Error} on an invalid request
+ */
+function planRoute({ deviceId, from, to, accessible } = {}, now = Date.now()) {
+  if (accessible !== undefined && typeof accessible !== 'boolean') throw new Error('accessible must be a boolean');
+  const start = resolveStart(deviceId, from);
+  const graph = navGraphStore.get(start.buildingId);
+  if (!graph) throw new Error(`building ${start.buildingId} has no navigation graph`);
+  if (start.nodeId !== null && !navGraphStore.node(start.buildingId, start.nodeId)) {
+    throw new Error(`unknown start node: ${start.nodeId}`);
+  }
+
+  const goals = resolveGoals(graph, to);
+  const deviceClass = getDeviceClass(start.device || {});
+  const stepFree = accessible ?? ROUTING.STEP_FREE_CLASSES.includes(deviceClass.name);
+  const walkSpeedMps = Math.min(ROUTING.WALK_SPEED_MPS, deviceClass.maxSpeedMps);
+  const anchor = buildingStore.get(start.buildingId)?.anchor ?? null;
+  const unitM = anchor?.scale ?? 1;
+  const node = id => navGraphStore.node(start.buildingId, id);
+  const secPerM = quickestPace(graph, node, unitM, walkSpeedMps);
+
+  const path = findPath({
+    starts: start.point
+      ? startLinks(start.buildingId, graph, start.point, unitM, walkSpeedMps)
+      : [{ to: start.nodeId, cost: 0, edge: { type: 'start', join: null, distanceM: 0, sec: 0 } }],
+    goals: new Set(goals.map(g => g.id)),
+    neighbours: id => navGraphStore.neighbours(start.buildingId, id)
+      .filter(({ edge }) => !(stepFree && edge.type === 'stairs'))
+      .map(({ to: next, edge }) => ({ to: next, edge, cost: edgeCost(edge, node(id), node(next), unitM, walkSpeedMps).sec })),
+    // Straight-line distance to the nearest goal at the quickest pace any edge allows
+    heuristic: id => {
+      const n = node(id);
+      return Math.min(...goals.map(g => Math.hypot(g.x - n.x, g.y - n.y))) * unitM * secPerM;
+    },
+  });
+  if (!path) return null;
+
+  // ── Waypoints with running distance and time ───────────────────────────────
+  const waypoints = [];
+  let distanceM = 0;
+  let sec = 0;
+  const add = (wp, legM, legSec) => {
+    distanceM += legM;
+    sec += legSec;
+    const geo = anchor ? buildingToGeo(anchor, wp.x, wp.y) : {};
+    waypoints.push({ ...wp, distanceFromStartM: round(distanceM), etaSec: round(sec, 1), ...geo });
+  };
+
+  // The start link runs from the start point via the join point (left out
+  // when it coincides with either end) to the first node
+  const first = path.edges[0];
+  const firstNode = node(path.nodeIds[0]);
+  const { join } = first;
+  const joinM = join ? Math.hypot(join.x - start.point.x, join.y - start.point.y) * unitM : 0;
+  const showJoin = join && joinM > 0.01 && Math.hypot(join.x - firstNode.x, join.y - firstNode.y) * unitM > 0.01;
+  if (start.point) add({ nodeId: null, name: null, type: 'start', ...start.point, via: null }, 0, 0);
+  if (showJoin) {
+    add({ nodeId: null, name: null, type: 'join', ...join, floor: start.point.floor, via: 'corridor' },
+      joinM, joinM / walkSpeedMps);
+  }
+
+  path.nodeIds.forEach((id, i) => {
+    const n = node(id);
+    let leg = first;
+    if (i > 0) leg = edgeCost(path.edges[i], node(path.nodeIds[i - 1]), n, unitM, walkSpeedMps);
+    else if (showJoin) leg = { distanceM: first.distanceM - joinM, sec: first.sec - joinM / walkSpeedMps };
+    const via = i > 0 ? path.edges[i].type : start.point ? 'corridor' : null;
+    add({ nodeId: n.id, name: n.name, type: n.type, x: n.x, y: n.y, floor: n.floor, via }, leg.distanceM, leg.sec);
+  });
+
+  const destination = node(path.nodeIds[path.nodeIds.length - 1]);
+  return {
+    buildingId:      start.buildingId,
+    deviceId:        start.device?.deviceId ?? null,
+    destination:     { nodeId: destination.id, name: destination.name, floor: destination.floor },
+    accessible:      stepFree,
+    walkingSpeedMps: walkSpeedMps,
+    distanceM:       round(distanceM),
+    etaSec:          round(sec, 1),
+    arrivalAt:       now + Math.round(sec * 1000),
+    floors:          [...new Set(waypoints.map(w => w.floor))],
+    plannedAt:       now,
+    waypoints,
+  };
+}
+
+module.exports = { planRoute, edgeCost };
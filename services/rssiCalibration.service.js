@@ -0,0 +1,194 @@
+/**
+ * rssiCalibration.service.js
+ * Per-base-station path loss calibration. A surveyor reports RSSI from a
+ * station at known distances (or known positions, converted to distances via
+ * the station's registered position); once enough spread-out samples exist
+ * the station's reference power and path-loss exponent are refitted by least
+ * squares on the log-distance model:
+ *
+ *     rssi = measuredAt1m - 10 · n · log10(d)
+ *
+ * Fits are stored on the base station entry in deviceStore and picked up by
+ * positioning.service automatically.
+ */
+
+const config = require('../config/config');
+const deviceStore = require('../models/deviceStore');
+
+const { INDOOR } = config;
+
+/** Global model used for stations without a fit */
+function defaultModel() {
+  return {
+    measuredAt1m:     INDOOR.RSSI_MEASURED_AT_1M,
+    pathLossExponent: INDOOR.RSSI_PATH_LOSS_EXPONENT,
+    shadowingStdDb:   INDOOR.RSSI_SHADOWING_STD_DB,
+    calibrated:       false,
+  };
+}
+
+/**
+ * Path loss model for a station: its fitted values, or the global defaults.
+ * @param {string} stationId
+ * @returns {{ measuredAt1m, pathLossExponent, shadowingStdDb, calibrated }}
+ */
+function getPathLossModel(stationId) {
+  const fit = deviceStore.get(stationId)?.rssiCalibration?.fit;
+  if (!fit) return defaultModel();
+  return {
+    measuredAt1m:     fit.measuredAt1m,
+    pathLossExponent: fit.pathLossExponent,
+    shadowingStdDb:   Math.max(fit.rmseDb, INDOOR.CALIBRATION_MIN_SHADOWING_DB),
+    calibrated:       true,
+  };
+}
+
+/**
+ * Least-squares fit of the log-distance model.
+ * @param {Array<{ rssi, distanceM }>} samples
+ * @returns {{ fit: object|null, reason: string|null }}
+ */
+function fitPathLoss(samples) {
+  if (samples.length < INDOOR.CALIBRATION_MIN_SAMPLES) {
+    return { fit: null, reason: `need at least ${INDOOR.CALIBRATION_MIN_SAMPLES} samples` };
+  }
+
+  // rssi = A + n·u  with u = -10·log10(d)
+  const us = samples.map(s => -10 * Math.log10(s.distanceM));
+  const ys = samples.map(s => s.rssi);
+  const uMean = us.reduce((a, b) => a + b, 0) / us.length;
+  const yMean = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+  let suu = 0;
+  let suy = 0;
+  us.forEach((u, i) => {
+    suu += (u - uMean) ** 2;
+    suy += (u - uMean) * (ys[i] - yMean);
+  });
+
+  // Samples all at (nearly) the same distance cannot separate A from n
+  const spreadDb = Math.sqrt(suu / us.length);
+  if (spreadDb < INDOOR.CALIBRATION_MIN_SPREAD_DB) {
+    return { fit: null, reason: 'samples need a wider range of distances' };
+  }
+
+  const n = suy / suu;
+  const A = yMean - n * uMean;
+  if (n < INDOOR.CALIBRATION_EXPONENT_RANGE[0] || n > INDOOR.CALIBRATION_EXPONENT_RANGE[1]) {
+    return { fit: null, reason: `fitted path-loss exponent ${n.toFixed(2)} is implausible` };
+  }
+
+  const sse = us.reduce((acc, u, i) => acc + (ys[i] - (A + n * u)) ** 2, 0);
+  return {
+    fit: {
+      measuredAt1m:     Math.round(A * 100) / 100,
+      pathLossExponent: Math.round(n * 1000) / 1000,
+      rmseDb:           Math.round(Math.sqrt(sse / Math.max(1, samples.length - 2)) * 100) / 100,
+      sampleCount:      samples.length,
+      fittedAt:         Date.now(),
+    },
+    reason: null,
+  };
+}
+
+/**
+ * Record calibration samples for a station and refit.
+ * @param {string} stationId
+ * @param {Array<{ rssi, distanceM? , position?: { x, y } }>} samples
+ * @returns {{ calibration: object|null, accepted: number, rejected: number, error?: string }}
+ */
+function addSamples(stationId, samples) {
+  const station = deviceStore.get(stationId);
+  if (!station?.isBaseStation) return { calibration: null, accepted: 0, rejected: 0, error: 'unknown base station' };
+
+  const accepted = [];
+  for (const s of samples || []) {
+    if (typeof s?.rssi !== 'number') continue;
+
+    let distanceM = s.distanceM;
+    if (distanceM === undefined && s.position && station.position) {
+      distanceM = Math.hypot(s.position.x - station.position.x, s.position.y - station.position.y);
+    }
+    if (!(distanceM >= INDOOR.CALIBRATION_MIN_DISTANCE_M)) continue;
+
+    accepted.push({ rssi: s.rssi, distanceM, timestamp: Date.now() });
+  }
+
+  const previous = station.rssiCalibration || { samples: [], fit: null };
+  const all = [...previous.samples, ...accepted].slice(-INDOOR.CALIBRATION_MAX_SAMPLES);
+  const { fit, reason } = fitPathLoss(all);
+
+  const calibration = {
+    samples: all,
+    fit:     fit || previous.fit,
+    status:  fit ? 'fitted' : reason,
+  };
+  deviceStore.update(stationId, { rssiCalibration: calibration });
+
+  return {
+    calibration: describe(stationId),
+    accepted:    accepted.length,
+    rejected:    (samples || []).length - accepted.length,
+  };
+}
+
+/**
+ * Survey mode: a surveyor standing at a known position reports the RSSI of
+ * every station in range; each reading becomes a sample for that station.
+ * @param {{ x, y }} surveyPosition
+ * @param {Array<{ deviceId, rssi }>} readings
+ * @returns {number} samples accepted across all stations
+ */
+function recordSurvey(surveyPosition, readings) {
+  let total = 0;
+  for (const r of readings || []) {
+    if (!deviceStore.get(r?.deviceId)?.position) continue;
+    total += addSamples(r.deviceId, [{ rssi: r.rssi, position: surveyPosition }]).accepted;
+  }
+  return total;
+}
+
+/**
+ * Public view of a station's calibration (samples summarised, not listed).
+ * @param {string} stationId
+ * @returns {object|null}
+ */
+function describe(stationId) {
+  const station = deviceStore.get(stationId);
+  if (!station?.isBaseStation) return null;
+
+  const cal = station.rssiCalibration || { samples: [], fit: null, status: 'uncalibrated' };
+  return {
+    stationId,
+    model:       getPathLossModel(stationId),
+    fit:         cal.fit,
+    status:      cal.status,
+    sampleCount: cal.samples.length,
+  };
+}
+
+/** Calibration summary for every registered base station */
+function listCalibrations() {
+  return deviceStore.getBaseStations().map(s => describe(s.deviceId));
+}
+
+/**
+ * Drop a station's samples and fit so it falls back to the global model.
+ * @param {string} stationId
+ * @returns {object|null} the reset calibration view, or null for unknown stations
+ */
+function resetCalibration(stationId) {
+  if (!deviceStore.get(stationId)?.isBaseStation) return null;
+  deviceStore.update(stationId, { rssiCalibration: null });
+  return describe(stationId);
+}
+
+module.exports = {
+  getPathLossModel,
+  fitPathLoss,
+  addSamples,
+  recordSurvey,
+  describe,
+  listCalibrations,
+  resetCalibration,
+};
@@ -1,41 +1,69 @@
 /**
  * sensorFusion.service.js
  * Fuses accelerometer, gyroscope, and magnetometer data into a unified
- * motion state (heading, velocity, orientation) using dead reckoning + smoothing.
+ * motion state (position, speed, heading) using a per-device extended
+ * Kalman filter. IMU packets drive the predict step (forward acceleration,
+ * gyro yaw rate); the magnetometer corrects heading drift, weighted by how
+ * clean the magnetic field looks; GPS and beacon fixes from the positioning
+ * service drive the position update step.
  */
 
-const { SMOOTHING_WINDOW, SENSOR_CONFIDENCE_THRESHOLD } = require('../config/app.config');
+const config = require('../config/config');
+const { MotionEKF } = require('../utils/ekf');
+const { geoToLocal, localToGeo } = require('../utils/geo');
+const pdr = require('./pdr.service');
+const { getMagCalibration, correctMagnetometer } = require('./magCalibration.service');
 
-// ── Sliding-window smoothing buffers per device ───────────────────────────────
-const smoothingBuffers = {};  // deviceId -> { accel: [], gyro: [], mag: [] }
+const { FUSION, PDR } = config;
+const { SENSOR_CONFIDENCE_THRESHOLD } = config.SAFETY;
 
-/**
- * Apply moving-average smoothing to a new sensor reading.
- * @param {string} deviceId
- * @param {string} axis  - 'accel' | 'gyro' | 'mag'
- * @param {object} reading - { x, y, z }
- * @returns {object} smoothed { x, y, z }
- */
-function smooth(deviceId, axis, reading) {
-  if (!smoothingBuffers[deviceId]) {
-    smoothingBuffers[deviceId] = { accel: [], gyro: [], mag: [] };
+const GRAVITY_MS2 = 9.80665;
+
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+const norm = v => Math.sqrt(v.x ** 2 + v.y ** 2 + v.z ** 2);
+
+// A reading with a missing or non-finite axis is skipped: one NaN would poison the filter for good
+const finiteVector = v => (v && [v.x, v.y, v.z].every(Number.isFinite) ? v : null);
+
+// ── Per-device filters ────────────────────────────────────────────────────────
+// deviceId -> {
+//   ekf, frame: 'geo' | 'building' | null, origin: { lat, lng }, lastPredictAt,
+//   gravity: { x, y, z } (device frame), stillSince: timestamp | null,
+//   magRefUt: reference geomagnetic field magnitude | null,
+//   magCalibratedAt: fittedAt of the magnetometer calibration in use | null,
+//   lastFixAt: time of the last absolute position fix | null,
+//   environment: 'indoor' | 'outdoor' | null   // set by the positioning service
+// }
+const filters = {};
+
+function getFilter(deviceId) {
+  if (!filters[deviceId]) {
+    filters[deviceId] = {
+      ekf: new MotionEKF({
+        accelNoise:         FUSION.EKF_ACCEL_NOISE,
+        yawRateNoise:       FUSION.EKF_YAW_RATE_NOISE,
+        gyroNoise:          FUSION.GYRO_YAW_RATE_NOISE,
+        initialPositionVar: FUSION.EKF_INITIAL_POSITION_VAR,
+      }),
+      frame: null,
+      origin: null,
+      lastPredictAt: null,
+      gravity: null,
+      stillSince: null,
+      magRefUt: null,
+      magCalibratedAt: null,
+      lastFixAt: null,
+      environment: null,
+    };
   }
-  const buf = smoothingBuffers[deviceId][axis];
-  buf.push(reading);
-  if (buf.length > SMOOTHING_WINDOW) buf.shift();
-
-  // Average over the window
-  const avg = buf.reduce(
-    (acc, v) => ({ x: acc.x + v.x, y: acc.y + v.y, z: acc.z + v.z }),
-    { x: 0, y: 0, z: 0 }
-  );
-  return { x: avg.x / buf.length, y: avg.y / buf.length, z: avg.z / buf.length };
+  return filters[deviceId];
 }
 
 /**
  * Derive heading (degrees, 0–360) from magnetometer + accelerometer tilt correction.
- * @param {object} mag   - smoothed magnetometer { x, y, z }
- * @param {object} accel - smoothed accelerometer { x, y, z }
+ * @param {object} mag   - magnetometer { x, y, z }
+ * @param {object} accel - accelerometer { x, y, z }
  * @returns {number} heading in degrees
  */
 function computeHeading(mag, accel) {
@@ -60,69 +88,301 @@ function computeHeading(mag, accel) {
 }
 
 /**
- * Estimate scalar speed from accelerometer magnitude (simple integration proxy).
- * In a real system, integrate over dt; here we return instantaneous magnitude.
- * @param {object} accel - smoothed { x, y, z }
- * @returns {number} approximate speed proxy (m/s²)
+ * Track the gravity vector in the device frame. The previous estimate is
+ * rotated by the gyro rate (orientation change since the last packet), then
+ * low-pass blended towards the raw accelerometer reading.
+ * @param {object} filter
+ * @param {object} accel - raw accelerometer { x, y, z } (m/s²)
+ * @param {object|undefined} gyro - gyroscope { x, y, z } (rad/s)
+ * @param {number} dtSec
+ * @returns {object} gravity { x, y, z }
  */
-function estimateSpeed(accel) {
-  return Math.sqrt(accel.x ** 2 + accel.y ** 2 + accel.z ** 2);
+function updateGravity(filter, accel, gyro, dtSec) {
+  if (!filter.gravity || !(dtSec > 0)) {
+    filter.gravity = { ...accel };
+    return filter.gravity;
+  }
+
+  // dg/dt = -ω × g  (gravity is fixed in the world, so it counter-rotates in the device frame)
+  let g = filter.gravity;
+  if (gyro) {
+    g = {
+      x: g.x - (gyro.y * g.z - gyro.z * g.y) * dtSec,
+      y: g.y - (gyro.z * g.x - gyro.x * g.z) * dtSec,
+      z: g.z - (gyro.x * g.y - gyro.y * g.x) * dtSec,
+    };
+  }
+
+  const tau = FUSION.GRAVITY_TIME_CONSTANT_SEC;
+  const alpha = tau / (tau + dtSec);
+  filter.gravity = {
+    x: alpha * g.x + (1 - alpha) * accel.x,
+    y: alpha * g.y + (1 - alpha) * accel.y,
+    z: alpha * g.z + (1 - alpha) * accel.z,
+  };
+  return filter.gravity;
 }
 
 /**
- * Compute a sensor confidence score [0..1] based on data variance.
- * Low variance in accel → likely stationary or reliable → high confidence.
- * @param {string} deviceId
+ * Forward linear acceleration: accelerometer minus gravity, projected on the
+ * device's forward (+y, top edge) axis flattened onto the horizontal plane.
+ * @param {object} accel   - raw accelerometer { x, y, z }
+ * @param {object} gravity - gravity estimate { x, y, z }
+ * @returns {number} m/s², 0 inside the ACCEL_NOISE_THRESHOLD dead band
+ */
+function forwardAcceleration(accel, gravity) {
+  const gNorm = norm(gravity) || 1;
+  const up = { x: gravity.x / gNorm, y: gravity.y / gNorm, z: gravity.z / gNorm };
+
+  // Device +y axis with its vertical component removed
+  const fwd = { x: -up.y * up.x, y: 1 - up.y * up.y, z: -up.y * up.z };
+  const fwdNorm = norm(fwd);
+  if (fwdNorm < 1e-3) return 0;  // phone held with its top edge pointing straight up/down
+
+  const linear = { x: accel.x - gravity.x, y: accel.y - gravity.y, z: accel.z - gravity.z };
+  const a = (linear.x * fwd.x + linear.y * fwd.y + linear.z * fwd.z) / fwdNorm;
+  return Math.abs(a) < FUSION.ACCEL_NOISE_THRESHOLD ? 0 : a;
+}
+
+/**
+ * Heading rate from the gyroscope: rotation about the vertical (gravity) axis,
+ * whatever way the phone is held.
+ * @param {object} gyro    - gyroscope { x, y, z } (rad/s)
+ * @param {object} gravity - gravity estimate { x, y, z } (device frame, points up)
+ * @returns {number} rad/s, clockwise seen from above (compass direction)
+ */
+function gyroYawRate(gyro, gravity) {
+  const gNorm = norm(gravity) || 1;
+  const ccw = (gyro.x * gravity.x + gyro.y * gravity.y + gyro.z * gravity.z) / gNorm;
+  return -ccw;
+}
+
+/**
+ * Judge how far the magnetometer can be trusted for heading. Steel structures,
+ * elevators and motors distort the field, which shows up as a magnitude away
+ * from the device's reference (learned slowly while the field looks clean).
+ * @param {object} filter
+ * @param {object} mag - magnetometer { x, y, z } (µT)
+ * @param {number} dtSec
+ * @returns {{ sigmaDeg: number|null, disturbed: boolean }} sigmaDeg null = skip the update
+ */
+function assessMagneticField(filter, mag, dtSec) {
+  const magnitude = norm(mag);
+  const [minUt, maxUt] = FUSION.MAG_FIELD_RANGE_UT;
+  if (magnitude < minUt || magnitude > maxUt) return { sigmaDeg: null, disturbed: true };
+
+  if (filter.magRefUt === null) filter.magRefUt = magnitude;
+  const deviation = Math.abs(magnitude - filter.magRefUt) / filter.magRefUt;
+  if (deviation > FUSION.MAG_ANOMALY_REJECT) return { sigmaDeg: null, disturbed: true };
+
+  if (deviation < FUSION.MAG_ANOMALY_TOLERANCE && dtSec > 0) {
+    const tau = FUSION.MAG_REFERENCE_TIME_CONSTANT_SEC;
+    filter.magRefUt += (dtSec / (tau + dtSec)) * (magnitude - filter.magRefUt);
+  }
+
+  const ratio = deviation / FUSION.MAG_ANOMALY_TOLERANCE;
+  return {
+    sigmaDeg:  FUSION.MAG_HEADING_NOISE_DEG * (1 + ratio ** 2),
+    disturbed: deviation >= FUSION.MAG_ANOMALY_TOLERANCE,
+  };
+}
+
+/**
+ * Stationary detection: accelerometer magnitude ≈ g and no rotation,
+ * sustained for ZUPT_MIN_DURATION_SEC.
+ * @returns {boolean}
+ */
+function detectStationary(filter, accel, gyro, now) {
+  const still =
+    Math.abs(norm(accel) - GRAVITY_MS2) < FUSION.ZUPT_ACCEL_TOLERANCE &&
+    (!gyro || norm(gyro) < FUSION.ZUPT_GYRO_TOLERANCE);
+
+  if (!still) {
+    filter.stillSince = null;
+    return false;
+  }
+  if (filter.stillSince === null) filter.stillSince = now;
+  return now - filter.stillSince >= FUSION.ZUPT_MIN_DURATION_SEC * 1000;
+}
+
+/** Filter heading (radians, wrapped to ±PI) as compass degrees 0–360 */
+function headingDegrees(ekf) {
+  const deg = toDeg(ekf.heading);
+  return deg < 0 ? deg + 360 : deg;
+}
+
+/**
+ * Compute a confidence score [0..1] from the filter's position covariance.
+ * No absolute fix yet → 0; std of CONFIDENCE_SIGMA_M → 0.5.
+ * @param {object} filter
  * @returns {number} confidence score
  */
-function computeConfidence(deviceId) {
-  const buf = smoothingBuffers[deviceId]?.accel || [];
-  if (buf.length < 2) return 0.5;
-
-  // Variance in Z-axis (gravity axis when device is flat)
-  const values = buf.map(v => v.z);
-  const mean = values.reduce((a, b) => a + b, 0) / values.length;
-  const variance = values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length;
-
-  // High variance → noisy/unreliable → low confidence
-  const confidence = Math.max(0, 1 - variance / 10);
-  return Math.min(1, confidence);
+function computeConfidence(filter) {
+  if (!filter.ekf.positionInitialized) return 0;
+  return 1 / (1 + filter.ekf.positionSigma() / FUSION.CONFIDENCE_SIGMA_M);
 }
 
 /**
  * Main fusion function — call this with each incoming sensor packet.
+ * Runs the filter's predict step driven by gravity-free forward acceleration
+ * and the gyro yaw rate over the real time since the previous packet, applies
+ * a zero-velocity update while the device is still, then corrects heading
+ * from the magnetometer (down-weighted or skipped in a disturbed field).
+ * Indoors, each detected step advances the position along the fused heading.
  * @param {string} deviceId
  * @param {object} sensorData - raw sensor payload from device
- * @returns {object} fusedState { heading, speed, confidence, smoothedAccel, shouldUseGPS }
+ * @param {number} [now=Date.now()] - packet time on the server clock (see packetSequencer.service)
+ * @returns {object} fusedState
+ *   { heading, speed, confidence, headingSigmaDeg, magneticDisturbance, linearAccel,
+ *     stationary, stepDetected, stepCount, distanceWalkedM, heightM, shouldUseGPS }
  */
-function fuseSensors(deviceId, sensorData) {
-  const { accelerometer, gyroscope, magnetometer } = sensorData;
+function fuseSensors(deviceId, sensorData, now = Date.now()) {
+  const accelerometer = finiteVector(sensorData.accelerometer);
+  const gyroscope = finiteVector(sensorData.gyroscope);
+  const rawMagnetometer = finiteVector(sensorData.magnetometer);
+  const filter = getFilter(deviceId);
+
+  // Hard/soft-iron correction; a new calibration changes the field magnitude,
+  // so the disturbance reference is relearned
+  const magCalibration = getMagCalibration(deviceId);
+  if ((magCalibration?.fittedAt ?? null) !== filter.magCalibratedAt) {
+    filter.magCalibratedAt = magCalibration?.fittedAt ?? null;
+    filter.magRefUt = null;
+  }
+  const magnetometer = magCalibration && rawMagnetometer
+    ? correctMagnetometer(magCalibration, rawMagnetometer)
+    : rawMagnetometer;
+
+  const dtSec = filter.lastPredictAt
+    ? Math.min((now - filter.lastPredictAt) / 1000, FUSION.MAX_PREDICT_DT_SEC)
+    : 0;
+  filter.lastPredictAt = now;
+
+  let linearAccel = 0;
+  let stationary = false;
+  let yawRate = null;
+  if (accelerometer) {
+    const gravity = updateGravity(filter, accelerometer, gyroscope, dtSec);
+    linearAccel = forwardAcceleration(accelerometer, gravity);
+    stationary = detectStationary(filter, accelerometer, gyroscope, now);
+    if (gyroscope) yawRate = gyroYawRate(gyroscope, gravity);
+  }
 
-  // Smooth each sensor stream
-  const smoothAccel = smooth(deviceId, 'accel', accelerometer);
-  const smoothGyro  = smooth(deviceId, 'gyro',  gyroscope);
-  const smoothMag   = smooth(deviceId, 'mag',   magnetometer);
+  // Indoors the position is advanced by detected steps, not by integrating speed
+  const indoors = filter.environment === 'indoor' || filter.frame === 'building';
+  const step = accelerometer ? pdr.processAccelSample(deviceId, accelerometer, now) : null;
 
-  const heading    = computeHeading(smoothMag, smoothAccel);
-  const speed      = estimateSpeed(smoothAccel);
-  const confidence = computeConfidence(deviceId);
+  filter.ekf.predict(dtSec, stationary ? 0 : linearAccel, { movePosition: !indoors, yawRate });
+  if (stationary) filter.ekf.updateSpeed(0, FUSION.ZUPT_NOISE_MPS);
+
+  let magneticDisturbance = false;
+  if (accelerometer && magnetometer) {
+    const field = assessMagneticField(filter, magnetometer, dtSec);
+    magneticDisturbance = field.disturbed;
+    if (field.sigmaDeg !== null) {
+      // Tilt from the smoothed gravity, not the raw accelerometer (walking jolts it)
+      const magHeading = computeHeading(magnetometer, filter.gravity);
+      filter.ekf.updateHeading(toRad(magHeading), toRad(field.sigmaDeg));
+    }
+  }
+
+  if (step) {
+    if (indoors) filter.ekf.advance(step.stepLengthM, PDR.STEP_LENGTH_NOISE_M);
+    if (step.cadenceSpeedMps !== null) {
+      filter.ekf.updateSpeed(step.cadenceSpeedMps, PDR.CADENCE_SPEED_NOISE_MPS);
+    }
+  }
+
+  const confidence = computeConfidence(filter);
 
   return {
-    heading,
-    speed,
+    heading:         headingDegrees(filter.ekf),
+    speed:           filter.ekf.speed,
     confidence,
-    smoothedAccel: smoothAccel,
-    smoothedGyro:  smoothGyro,
-    smoothedMag:   smoothMag,
-    shouldUseGPS:  confidence < SENSOR_CONFIDENCE_THRESHOLD,
+    headingSigmaDeg: toDeg(filter.ekf.headingSigma()),
+    magneticDisturbance,
+    linearAccel,
+    stationary,
+    stepDetected:    !!step,
+    ...pdr.getWalkStats(deviceId),
+    shouldUseGPS:    confidence < SENSOR_CONFIDENCE_THRESHOLD,
+  };
+}
+
+/**
+ * Correct a device's filter with an absolute position fix.
+ * A fix in a different frame than the filter currently tracks (GPS after
+ * beacons or vice versa), or one flagged `reset`, re-anchors the position
+ * instead of blending.
+ * @param {string} deviceId
+ * @param {object} fix - { frame: 'geo', lat, lng, sigmaM } | { frame: 'building', x, y, sigmaM },
+ *   plus optional reset: true
+ * @param {number} [now=Date.now()] - time of the fix
+ * @returns {boolean} true if the position was re-anchored rather than blended
+ */
+function applyPositionFix(deviceId, fix, now = Date.now()) {
+  const filter = getFilter(deviceId);
+  const switching = filter.frame !== fix.frame;
+  filter.lastFixAt = now;
+
+  let local;
+  if (fix.frame === 'geo') {
+    if (switching) filter.origin = { lat: fix.lat, lng: fix.lng };
+    local = geoToLocal(filter.origin, fix.lat, fix.lng);
+  } else {
+    local = { x: fix.x, y: fix.y };
+  }
+
+  const reanchor = switching || fix.reset || !filter.ekf.positionInitialized;
+  if (reanchor) {
+    filter.frame = fix.frame;
+    filter.ekf.resetPosition(local.x, local.y, fix.sigmaM);
+  } else {
+    filter.ekf.updatePosition(local.x, local.y, fix.sigmaM);
+  }
+  return reanchor;
+}
+
+/**
+ * Tell the filter whether the device is indoors (position advanced by steps)
+ * or outdoors (position integrated from speed).
+ * @param {string} deviceId
+ * @param {'indoor'|'outdoor'|null} environment
+ */
+function setEnvironment(deviceId, environment) {
+  getFilter(deviceId).environment = environment;
+}
+
+/**
+ * Current filter estimate for a device.
+ * @param {string} deviceId
+ * @returns {object|null} { frame, lat, lng | x, y, sigmaM, confidence, heading, speed, lastFixAt }
+ *   or null if the device has never received an absolute fix
+ */
+function getPositionEstimate(deviceId) {
+  const filter = filters[deviceId];
+  if (!filter || !filter.frame) return null;
+
+  const { x, y } = filter.ekf.position;
+  const estimate = {
+    frame:      filter.frame,
+    sigmaM:     filter.ekf.positionSigma(),
+    confidence: computeConfidence(filter),
+    heading:    headingDegrees(filter.ekf),
+    speed:      filter.ekf.speed,
+    lastFixAt:  filter.lastFixAt,
   };
+
+  if (filter.frame === 'geo') return { ...estimate, ...localToGeo(filter.origin, x, y) };
+  return { ...estimate, x, y };
 }
 
 /**
- * Clean up buffers for a device (call on disconnect).
+ * Drop the filter and step-detection state for a device (call on disconnect).
  */
 function clearDevice(deviceId) {
-  delete smoothingBuffers[deviceId];
+  delete filters[deviceId];
+  pdr.clearDevice(deviceId);
 }
 
-module.exports = { fuseSensors, clearDevice };
+module.exports = { fuseSensors, applyPositionFix, setEnvironment, getPositionEstimate, clearDevice };
@@ -0,0 +1,215 @@
+/**
+ * webhook.service.js
+ * Pushes alert lifecycle events to registered webhooks (see
+ * models/webhookStore.js). Each delivery is a JSON POST signed with the
+ * subscription's secret:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ *
+ * Deliveries run in the background. A non-2xx response, network error or
+ * timeout is retried with exponential backoff; after WEBHOOKS.MAX_ATTEMPTS the
+ * delivery moves to the dead-letter list, from where it can be retried by hand.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const alertStore = require('../models/alertStore');
+const webhookStore = require('../models/webhookStore');
+
+const { WEBHOOKS } = config;
+
+const deliveries = new Map();   // deliveryId => delivery (pending and recent history)
+const deadLetters = new Map();  // deliveryId => delivery that exhausted its attempts
+
+/**
+ * Signature headers for a body.
+ * @param {string} secret
+ * @param {string} body
+ * @param {number} timestamp - ms
+ * @returns {string} header value 'sha256=<hex>'
+ */
+function sign(secret, body, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/** Delay before retry number `attempt` (1 = first retry) */
+function backoffMs(attempt) {
+  return Math.min(WEBHOOKS.INITIAL_BACKOFF_MS * WEBHOOKS.BACKOFF_MULTIPLIER ** (attempt - 1), WEBHOOKS.MAX_BACKOFF_MS);
+}
+
+/** Drop the oldest finished deliveries beyond a limit */
+function trim(map, limit) {
+  let excess = map.size - limit;
+  for (const [id, delivery] of map) {
+    if (excess <= 0) break;
+    if (delivery.status === 'pending') continue;
+    map.delete(id);
+    excess -= 1;
+  }
+}
+
+/**
+ * Move a delivery to a finished status and trim the list it ends up in, so
+ * neither grows without bound — least of all while a receiver is down.
+ * @param {object} delivery
+ * @param {'delivered' | 'cancelled' | 'dead'} status
+ * @param {object} [fields] - other fields to set
+ */
+function finish(delivery, status, fields = {}) {
+  Object.assign(delivery, { status, nextAttemptAt: null, ...fields });
+  if (status === 'dead') {
+    deliveries.delete(delivery.deliveryId);
+    deadLetters.set(delivery.deliveryId, delivery);
+    trim(deadLetters, WEBHOOKS.DEAD_LETTER_LIMIT);
+  }
+  trim(deliveries, WEBHOOKS.HISTORY_LIMIT);
+}
+
+function schedule(delivery, delayMs) {
+  delivery.nextAttemptAt = Date.now() + delayMs;
+  setTimeout(() => attempt(delivery), delayMs).unref();
+}
+
+/**
+ * Make one delivery attempt and schedule the next one if it fails.
+ * @param {object} delivery
+ * @returns {Promise<void>}
+ */
+async function attempt(delivery) {
+  const webhook = webhookStore.get(delivery.webhookId);
+  if (!webhook) {
+    finish(delivery, 'cancelled', { lastError: 'webhook was removed' });
+    return;
+  }
+
+  const timestamp = Date.now();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = timestamp;
+  try {
+    const res = await fetch(webhook.url, {
+      method:  'POST',
+      headers: {
+        'Content-Type':        'application/json',
+        'X-Webhook-Id':        delivery.deliveryId,
+        'X-Webhook-Event':     delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(webhook.secret, delivery.body, timestamp),
+      },
+      body:    delivery.body,
+      signal:  AbortSignal.timeout(WEBHOOKS.TIMEOUT_MS),
+    });
+    delivery.lastStatusCode = res.status;
+    if (res.ok) {
+      finish(delivery, 'delivered', { deliveredAt: Date.now(), lastError: null });
+      return;
+    }
+    delivery.lastError = `HTTP ${res.status}`;
+  } catch (err) {
+    delivery.lastStatusCode = null;
+    delivery.lastError = err.name === 'TimeoutError' ? `timed out after ${WEBHOOKS.TIMEOUT_MS}ms` : err.message;
+  }
+
+  if (delivery.attempts < WEBHOOKS.MAX_ATTEMPTS) {
+    schedule(delivery, backoffMs(delivery.attempts));
+    return;
+  }
+  finish(delivery, 'dead');
+  console.warn(`[WEBHOOK] Delivery ${delivery.deliveryId} to ${webhook.url} failed ${delivery.attempts} times: ${delivery.lastError}`);
+}
+
+/**
+ * Queue an event for one subscription and start delivering it.
+ * @param {object} webhook
+ * @param {string} event - e.g. 'alert.created'
+ * @param {object} data - event body
+ * @returns {object} the delivery
+ */
+function enqueue(webhook, event, data) {
+  const deliveryId = crypto.randomUUID();
+  const delivery = {
+    deliveryId,
+    webhookId:      webhook.webhookId,
+    event,
+    body:           JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data }),
+    status:         'pending',
+    attempts:       0,
+    createdAt:      Date.now(),
+    lastAttemptAt:  null,
+    nextAttemptAt:  null,
+    deliveredAt:    null,
+    lastStatusCode: null,
+    lastError:      null,
+  };
+  deliveries.set(deliveryId, delivery);
+  schedule(delivery, 0);
+  return delivery;
+}
+
+/**
+ * Send an alert lifecycle change to every matching subscription.
+ * @param {object} alert - stored alert
+ * @param {string} change - 'created' | 'escalated' | 'acknowledged' | 'resolved'
+ * @returns {Array} deliveries queued
+ */
+function dispatchAlert(alert, change) {
+  const event = `alert.${change}`;
+  return webhookStore.subscribersFor(event, alert.type).map(w => enqueue(w, event, { alert }));
+}
+
+/** Queue a 'ping' to one subscription (to check connectivity and signature handling) */
+function sendTestEvent(webhook) {
+  return enqueue(webhook, 'ping', { webhookId: webhook.webhookId });
+}
+
+/** Hook webhook delivery onto the alert store's lifecycle events */
+function startWebhookDispatch() {
+  alertStore.on('change', dispatchAlert);
+}
+
+/** Public view of a delivery (the body is parsed back for readability) */
+function describeDelivery(delivery) {
+  const { body, ...rest } = delivery;
+  return { ...rest, payload: JSON.parse(body) };
+}
+
+/**
+ * Recent and pending deliveries of one subscription, newest first.
+ * @param {string} webhookId
+ * @returns {Array}
+ */
+function listDeliveries(webhookId) {
+  return Array.from(deliveries.values()).reverse()
+    .filter(d => d.webhookId === webhookId)
+    .map(describeDelivery);
+}
+
+/** Dead letters, newest first */
+function listDeadLetters() {
+  return Array.from(deadLetters.values()).reverse().map(describeDelivery);
+}
+
+/**
+ * Move a dead letter back into the queue for a fresh set of attempts.
+ * @param {string} deliveryId
+ * @returns {object|null} the delivery, or null if there is no such dead letter
+ */
+function retryDeadLetter(deliveryId) {
+  const delivery = deadLetters.get(deliveryId);
+  if (!delivery) return null;
+  deadLetters.delete(deliveryId);
+  Object.assign(delivery, { status: 'pending', attempts: 0 });
+  deliveries.set(deliveryId, delivery);
+  schedule(delivery, 0);
+  return describeDelivery(delivery);
+}
+
+module.exports = {
+  sign,
+  backoffMs,
+  dispatchAlert,
+  sendTestEvent,
+  startWebhookDispatch,
+  listDeliveries,
+  listDeadLetters,
+  retryDeadLetter,
+};
@@ -5,19 +5,80 @@
 //  *
 //  * ── Event Flow ─────────────────────────────────────────────────────────────
 //  *  Client → server:
-//  *    'sensor:update'   - send raw sensor packet
-//  *    'register'        - announce deviceId and role (base station or mobile)
+//  *    'sensor:update'   - send raw sensor packet; `timestamp` is the device clock
+//  *                        (ms) and orders packets, see packetSequencer.service
+//  *    'register'        - announce deviceId, role (base station or mobile),
+//  *                        optional deviceClass (pedestrian, wheelchair, robot, cart,
+//  *                        vehicle — sets speed limit and safety distances),
+//  *                        optional user heightM (for step-length estimation) and,
+//  *                        for base stations, knownPosition { x, y, floor } and buildingId
+//  *    'calibration:start'  - begin magnetometer calibration; rotate the device
+//  *    'calibration:sample' - raw magnetometer { x, y, z } (or samples: [...])
+//  *    'join_monitors'   - dashboards: join the monitors room; optional
+//  *                        { types, severities } limits which alerts arrive
+//  *    'leave_monitors'  - stop receiving monitor traffic
+//  *    'hazard:report'   - report a hazard { type, position, buildingId?, floor?, radiusM,
+//  *                        ttlSec? | expiresAt?, description? } (see POST /navigation/hazards)
+//  *    'navigation:start' - { deviceId?, to, accessible? } guide the device to a node or
+//  *                        point of interest (see POST /navigation/route)
+//  *    'navigation:stop'  - { deviceId? } end guidance
 //  *
-//  *  Server → client(s):
-//  *    'position:update' - broadcast updated position map to all clients
-//  *    'alert'           - send collision / proximity / speed alert
+//  *  Server → client(s) — a device gets events about itself, monitors about everyone:
+//  *    'position:update' - a device's new position, to that device and monitors
+//  *    'alert'           - collision / proximity / hazard / speed / geofence alert (carries
+//  *                        alertId and lifecycle status), to the devices involved
+//  *                        and subscribed monitors. Proximity and speed alerts are
+//  *                        sent when a risk is raised or escalates and once when it
+//  *                        clears (RISK_CLEARED); COLLISION_PERSISTENT goes to
+//  *                        monitors only
+//  *    'alert:state'     - { change: 'created' | 'escalated' | 'acknowledged' | 'resolved',
+//  *                        alert } whenever a stored alert changes state, same recipients
+//  *    'monitors:joined' / 'monitors:error' - subscription accepted / rejected
+//  *    'device:left'     - a device disconnected, to monitors
+//  *    'hazard:update'   - { change: 'reported' | 'cleared' | 'expired', hazard }, to everyone
+//  *    'hazard:error'    - hazard report rejected, to the reporting socket
+//  *    'navigation:started' / 'navigation:stopped' - guidance session { session },
+//  *                        to the device and monitors
+//  *    'navigation:instruction' - next manoeuvre ('turn' | 'floor_change' | 'arrive'),
+//  *                        'arrived', 'rerouted' or 'off_route', to the device and monitors
+//  *    'navigation:error' - guidance could not start, to the requesting socket
 //  *    'device:list'     - current list of active devices
+//  *    'register:error'  - registration rejected (e.g. unknown deviceClass)
+//  *    'calibration:progress' / 'calibration:complete' / 'calibration:error'
+//  *                      - magnetometer calibration state, to the calibrating socket
+//  *    'mode:change'     - a device was handed over between indoor and outdoor
+//  *                        tracking (switch startIndoorSession/startOutdoorSession)
 //  */
 
-const { fuseSensors, clearDevice }       = require('../services/sensorFusion.service');
-const { updateDevicePosition, getActiveDevices, removeDevice } = require('../services/positioning.service');
-const { scanProximity }                   = require('../services/proximity.service');
-const { buildProximityAlerts, buildSpeedAlert } = require('../services/alert.service');
+const { fuseSensors }                     = require('../services/sensorFusion.service');
+const { submitPacket }                    = require('../services/packetSequencer.service');
+const { setUserHeight }                   = require('../services/pdr.service');
+const { recordSurvey }                    = require('../services/rssiCalibration.service');
+const { startCalibration, addCalibrationSamples } = require('../services/magCalibration.service');
+const { updateDevicePosition, getActiveDevices, getDevice } = require('../services/positioning.service');
+const { removeDevice }                    = require('../services/deviceCleanup.service');
+const { scanProximityForDevice }          = require('../services/proximity.service');
+const { scanHazardsForDevice }            = require('../services/hazard.service');
+const { evaluateZones }                   = require('../services/geofence.service');
+const { parseDeviceClass }                = require('../services/deviceClass.service');
+const { startGuidance, updateGuidance, stopGuidance } = require('../services/guidance.service');
+const {
+  buildProximityAlerts,
+  buildHazardAlerts,
+  resolveHazardAlerts,
+  buildSpeedAlert,
+  buildZoneAlerts,
+  sweepStaleRisks,
+  parseAlertFilter,
+  alertMatchesFilter,
+  alertDeviceIds,
+} = require('../services/alert.service');
+const deviceStore                         = require('../models/deviceStore');
+const alertStore                          = require('../models/alertStore');
+const hazardStore                         = require('../models/hazardStore');
+const config                              = require('../config/config');
+
+const MONITORS_ROOM = 'monitors';
 
 /**
  * Initialize Socket.IO event handlers.
@@ -25,17 +86,247 @@ const { buildProximityAlerts, buildSpeedAlert } = require('../services/alert.ser
  */
 function initRealtimeSocket(io) {
 
+  // ── Delivery ───────────────────────────────────────────────────────────────
+  // Devices only hear about themselves: their own position and the alerts they
+  // are involved in, through their `device:<id>` room. Dashboards join the
+  // `monitors` room and see every device, filtered by their alert subscription.
+
+  const deviceRooms = deviceIds => deviceIds.map(id => `device:${id}`);
+
+  /** Socket ids in the monitors room whose subscription accepts the alert */
+  function subscribedMonitors(alert) {
+    const ids = [];
+    for (const id of io.sockets.adapter.rooms.get(MONITORS_ROOM) || []) {
+      const socket = io.sockets.sockets.get(id);
+      if (socket && alertMatchesFilter(socket.data.alertFilter, alert)) ids.push(id);
+    }
+    return ids;
+  }
+
+  /** Send an alert event to the devices involved and subscribed monitors */
+  function deliverAlert(event, payload, alert = payload) {
+    const targets = [...deviceRooms(alertDeviceIds(alert)), ...subscribedMonitors(alert)];
+    if (targets.length) io.to(targets).emit(event, payload);
+  }
+
+  /** Send a device event to that device and all monitors */
+  function deliverDeviceEvent(event, deviceId, payload) {
+    io.to([...deviceRooms([deviceId]), MONITORS_ROOM]).emit(event, payload);
+  }
+
+  // Alert lifecycle changes (including operator actions over REST)
+  alertStore.on('change', (alert, change) => deliverAlert('alert:state', { change, alert }, alert));
+
+  // Hazards concern every device on site; their alerts end with the hazard
+  hazardStore.on('change', (hazard, change) => {
+    if (change !== 'reported') resolveHazardAlerts(hazard.hazardId, `hazard ${change}`);
+    io.emit('hazard:update', { change, hazard });
+  });
+
+  // Risks of devices that stopped reporting still get their single 'cleared' alert
+  setInterval(() => {
+    for (const alert of sweepStaleRisks()) deliverAlert('alert', alert);
+  }, config.ALERTS.SWEEP_INTERVAL_MS).unref();
+
+  /**
+   * Run one sensor packet through fusion, positioning and alerting.
+   * Called by the packet sequencer in device-time order.
+   * @param {object} payload - sensor packet
+   * @param {object} timing - { packetTime, deviceTimestamp, receivedAt, clockOffsetMs }
+   */
+  function processSensorPacket(payload, timing) {
+    const { deviceId } = payload;
+
+    // 0. Calibration survey: a surveyor at a known spot turns readings into samples
+    if (payload.surveyPosition) {
+      recordSurvey(payload.surveyPosition, payload.rssiBeacons || payload.rssiReadings);
+    }
+
+    // 1. Fuse sensor streams into unified motion state
+    const fusedState = fuseSensors(deviceId, payload, timing.packetTime);
+
+    // 2. Update device position (dead reckoning or GPS fallback)
+    const previousMode = getDevice(deviceId)?.trackingMode ?? null;
+    const deviceState = updateDevicePosition(deviceId, payload, fusedState, timing);
+
+    // 2b. Indoor/outdoor handover
+    if (previousMode && deviceState.trackingMode !== previousMode) {
+      deliverDeviceEvent('mode:change', deviceId, {
+        deviceId,
+        from:       previousMode,
+        to:         deviceState.trackingMode,
+        buildingId: deviceState.buildingId,
+        lat:        deviceState.lat,
+        lng:        deviceState.lng,
+        indoorPos:  deviceState.indoorPosition,
+        timestamp:  deviceState.lastUpdate,
+      });
+    }
+
+    // 3. Send the updated position to the device and monitors
+    deliverDeviceEvent('position:update', deviceId, {
+      deviceId,
+      lat:             deviceState.lat,
+      lng:             deviceState.lng,
+      heading:         deviceState.heading,
+      headingSigmaDeg: deviceState.headingSigmaDeg,
+      speedMps:        deviceState.speedMps,
+      stationary:      deviceState.stationary,
+      stepCount:       deviceState.stepCount,
+      distanceWalkedM: deviceState.distanceWalkedM,
+      confidence:      deviceState.confidence,
+      positionSource:  deviceState.positionSource,
+      timeSinceFixSec: deviceState.timeSinceFixSec,
+      trackingMode:    deviceState.trackingMode,
+      indoorPos:       deviceState.indoorPosition,
+      floor:           deviceState.floor,
+      isBaseStation:   deviceState.isBaseStation,
+      timestamp:       deviceState.lastUpdate,
+      deviceTimestamp: deviceState.lastUpdateDevice,
+    });
+
+    // 4. Scan for proximity issues and emit alerts on risk transitions
+    const proximityEvents = scanProximityForDevice(deviceId);
+    const proximityAlerts = buildProximityAlerts(deviceId, proximityEvents);
+
+    for (const alert of proximityAlerts) {
+      deliverAlert('alert', alert);
+      console.warn(`[ALERT] ${alert.message}`);
+    }
+
+    // 4b. Hazards the device is approaching
+    for (const alert of buildHazardAlerts(deviceId, scanHazardsForDevice(deviceId, timing.packetTime))) {
+      deliverAlert('alert', alert);
+      console.warn(`[ALERT] ${alert.message}`);
+    }
+
+    // 5. Speed check alert for THIS device
+    const speedAlert = buildSpeedAlert(deviceState);
+    if (speedAlert) {
+      deliverAlert('alert', speedAlert);
+      console.warn(`[ALERT] ${speedAlert.message}`);
+    }
+
+    // 6. Geofence enter / exit / dwell for THIS device
+    for (const alert of buildZoneAlerts(evaluateZones(deviceState, timing.packetTime))) {
+      deliverAlert('alert', alert);
+      if (alert.severity !== 'info') console.warn(`[ALERT] ${alert.message}`);
+    }
+
+    // 7. Turn-by-turn guidance along the device's route, rerouting when it strays
+    for (const instruction of updateGuidance(deviceState, timing.packetTime)) {
+      deliverDeviceEvent('navigation:instruction', deviceId, instruction);
+    }
+  }
+
   io.on('connection', (socket) => {
     console.log(`[WS] Client connected: ${socket.id}`);
 
     // ── Register device ──────────────────────────────────────────────────────
-    socket.on('register', ({ deviceId, isBaseStation }) => {
+    socket.on('register', (payload) => {
+      const { deviceId, isBaseStation, heightM, knownPosition, buildingId, deviceClass } = payload || {};
+      if (!deviceId) {
+        socket.emit('register:error', { deviceId: null, error: 'deviceId is required' });
+        return;
+      }
+      if (deviceClass !== undefined) {
+        try {
+          parseDeviceClass(deviceClass);
+        } catch (err) {
+          socket.emit('register:error', { deviceId, error: err.message });
+          return;
+        }
+        deviceStore.update(deviceId, { deviceClass });
+      }
       socket.deviceId = deviceId;
+      if (heightM !== undefined) setUserHeight(deviceId, heightM);  // step length for PDR
+      if (isBaseStation && knownPosition) {
+        // Anchor for indoor positioning
+        deviceStore.update(deviceId, { isBaseStation: true, position: knownPosition, buildingId: buildingId ?? null });
+      }
       socket.join(`device:${deviceId}`);  // personal room for targeted messages
-      console.log(`[WS] Registered: ${deviceId} (baseStation=${isBaseStation})`);
+      console.log(`[WS] Registered: ${deviceId} (baseStation=${isBaseStation}, class=${deviceClass ?? 'default'})`);
       socket.emit('registered', { deviceId, message: 'Device registered successfully.' });
     });
 
+    // ── Monitors (dashboards) ────────────────────────────────────────────────
+    // Payload: { types?: [...], severities?: [...] } — omitted = every alert.
+    // Sending it again replaces the subscription.
+    socket.on('join_monitors', (filter = {}) => {
+      try {
+        socket.data.alertFilter = parseAlertFilter(filter);
+      } catch (err) {
+        socket.emit('monitors:error', { error: err.message });
+        return;
+      }
+      socket.join(MONITORS_ROOM);
+      socket.emit('monitors:joined', { subscription: socket.data.alertFilter });
+    });
+
+    socket.on('leave_monitors', () => {
+      socket.leave(MONITORS_ROOM);
+      delete socket.data.alertFilter;
+    });
+
+    // ── Hazard reports ───────────────────────────────────────────────────────
+    socket.on('hazard:report', (report = {}) => {
+      try {
+        const hazard = hazardStore.report({ ...report, reportedBy: report.reportedBy ?? socket.deviceId ?? null });
+        console.log(`[WS] Hazard reported: ${hazard.type} (${hazard.hazardId}) by ${hazard.reportedBy ?? 'unknown'}`);
+      } catch (err) {
+        socket.emit('hazard:error', { error: err.message });
+      }
+    });
+
+    // ── Turn-by-turn guidance ────────────────────────────────────────────────
+    socket.on('navigation:start', (payload) => {
+      const { deviceId, to, accessible } = payload || {};
+      const id = deviceId ?? socket.deviceId;
+      try {
+        if (!id) throw new Error('deviceId is required');
+        const session = startGuidance(id, { to, accessible });
+        deliverDeviceEvent('navigation:started', id, { session });
+        console.log(`[WS] Guidance started: ${id} → ${session.destination.name ?? session.destination.nodeId}`);
+        // First instruction straight away rather than on the next packet
+        for (const instruction of updateGuidance(getDevice(id))) {
+          deliverDeviceEvent('navigation:instruction', id, instruction);
+        }
+      } catch (err) {
+        socket.emit('navigation:error', { deviceId: id ?? null, error: err.message });
+      }
+    });
+
+    socket.on('navigation:stop', (payload) => {
+      const { deviceId } = payload || {};
+      const id = deviceId ?? socket.deviceId;
+      const session = id ? stopGuidance(id) : null;
+      if (session) deliverDeviceEvent('navigation:stopped', id, { session });
+    });
+
+    // ── Magnetometer calibration ─────────────────────────────────────────────
+    socket.on('calibration:start', (payload) => {
+      const { deviceId } = payload || {};
+      const id = deviceId ?? socket.deviceId;
+      if (!id) return;
+      socket.emit('calibration:progress', startCalibration(id));
+    });
+
+    socket.on('calibration:sample', (payload) => {
+      const { deviceId, magnetometer, samples } = payload || {};
+      const id = deviceId ?? socket.deviceId;
+      if (!id) return;
+
+      const result = addCalibrationSamples(id, samples ?? [magnetometer]);
+      if (result.error) {
+        socket.emit('calibration:error', { deviceId: id, error: result.error });
+      } else if (result.calibration) {
+        socket.emit('calibration:complete', result.calibration);
+        console.log(`[WS] Magnetometer calibrated: ${id} (${result.calibration.quality})`);
+      } else if (samples || result.progress.sampleCount % 10 === 0) {
+        socket.emit('calibration:progress', result.progress);
+      }
+    });
+
     // ── Ingest sensor data ───────────────────────────────────────────────────
     socket.on('sensor:update', (payload) => {
       /*
@@ -47,48 +338,19 @@ function initRealtimeSocket(io) {
        *   gyroscope:      { x, y, z },
        *   magnetometer:   { x, y, z },
        *   gps:            { lat, lng, accuracy } | null,
+       *   barometer:      { pressure } | undefined,   // hPa, for floor changes
        *   isBaseStation:  false,
-       *   rssiBeacons: [{ deviceId, rssi, position: { x, y } }]
+       *   rssiBeacons: [{ deviceId, rssi }],  // station positions come from registration
+       *   surveyPosition: { x, y }            // optional, RSSI calibration survey only
        * }
        */
 
-      const { deviceId } = payload;
+      const { deviceId } = payload || {};
       if (!deviceId) return;
 
-      // 1. Fuse sensor streams into unified motion state
-      const fusedState = fuseSensors(deviceId, payload);
-
-      // 2. Update device position (dead reckoning or GPS fallback)
-      const deviceState = updateDevicePosition(deviceId, payload, fusedState);
-
-      // 3. Broadcast updated position to ALL connected clients
-      io.emit('position:update', {
-        deviceId,
-        lat:           deviceState.lat,
-        lng:           deviceState.lng,
-        heading:       deviceState.heading,
-        speedMps:      deviceState.speedMps,
-        confidence:    deviceState.confidence,
-        indoorPos:     deviceState.indoorPosition,
-        isBaseStation: deviceState.isBaseStation,
-        timestamp:     deviceState.lastUpdate,
-      });
-
-      // 4. Scan for proximity issues and emit alerts
-      const proximityEvents = scanProximity();
-      const proximityAlerts = buildProximityAlerts(proximityEvents);
-
-      for (const alert of proximityAlerts) {
-        io.emit('alert', alert);
-        console.warn(`[ALERT] ${alert.message}`);
-      }
-
-      // 5. Speed check alert for THIS device
-      const speedAlert = buildSpeedAlert(deviceState);
-      if (speedAlert) {
-        io.emit('alert', speedAlert);
-        console.warn(`[ALERT] ${speedAlert.message}`);
-      }
+      // Back onto device time: duplicates and packets that arrive after their
+      // slot are dropped, the rest processed in order after a short hold
+      submitPacket(deviceId, payload, processSensorPacket);
     });
 
     // ── Request current device list ──────────────────────────────────────────
@@ -99,10 +361,10 @@ function initRealtimeSocket(io) {
     // ── Disconnect ───────────────────────────────────────────────────────────
     socket.on('disconnect', () => {
       const deviceId = socket.deviceId;
-      if (deviceId) {
-        removeDevice(deviceId);
-        clearDevice(deviceId);
-        io.emit('device:left', { deviceId });
+      // Base stations stay registered as anchors after their socket drops
+      if (deviceId && !deviceStore.get(deviceId)?.isBaseStation) {
+        removeDevice(deviceId, 'device disconnected');
+        io.to(MONITORS_ROOM).emit('device:left', { deviceId });
         console.log(`[WS] Device disconnected & removed: ${deviceId}`);
       }
     });
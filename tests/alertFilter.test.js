@@ -0,0 +1,29 @@
+const { parseAlertFilter, alertMatchesFilter, alertDeviceIds } = require('../services/alert.service');
+
+describe('monitor alert subscriptions', () => {
+  const collision = { type: 'COLLISION_WARNING', severity: 'collision', deviceA: 'a', deviceB: 'b' };
+  const speeding = { type: 'SPEED_EXCEEDED', severity: 'warning', deviceId: 'c' };
+
+  test('an empty subscription accepts everything', () => {
+    const filter = parseAlertFilter({});
+    expect(filter).toEqual({ types: null, severities: null });
+    expect(alertMatchesFilter(filter, speeding)).toBe(true);
+  });
+
+  test('filters by type and severity', () => {
+    const filter = parseAlertFilter({ types: ['COLLISION_WARNING', 'SPEED_EXCEEDED'], severities: ['collision'] });
+    expect(alertMatchesFilter(filter, collision)).toBe(true);
+    expect(alertMatchesFilter(filter, speeding)).toBe(false);
+  });
+
+  test('rejects unknown types and severities', () => {
+    expect(() => parseAlertFilter({ types: ['EVERYTHING'] })).toThrow(/types must be/);
+    expect(() => parseAlertFilter({ severities: 'warning' })).toThrow(/severities must be/);
+  });
+
+  test('alerts go only to the devices involved', () => {
+    expect(alertDeviceIds(collision)).toEqual(['a', 'b']);
+    expect(alertDeviceIds(speeding)).toEqual(['c']);
+    expect(alertDeviceIds({ deviceIds: ['d'] })).toEqual(['d']);
+  });
+});
@@ -0,0 +1,54 @@
+const alertStore = require('../models/alertStore');
+const { buildZoneAlerts } = require('../services/alert.service');
+
+const T0 = 1_700_000_000_000;
+const payload = (severity, riskLevel) => ({ type: 'PROXIMITY_WARNING', severity, riskLevel, message: 'close' });
+
+describe('alert lifecycle', () => {
+  test('one alert per condition, escalation reopens, auto-resolve when unreported', () => {
+    const changes = [];
+    const listener = (alert, change) => changes.push(change);
+    alertStore.on('change', listener);
+
+    const { alert } = alertStore.raise('proximity:la:lb', payload('warning', 1), { deviceIds: ['la', 'lb'] }, T0);
+    expect(alert.status).toBe('open');
+    expect(alertStore.raise('proximity:la:lb', payload('warning', 1), { deviceIds: ['la', 'lb'] }, T0 + 1000))
+      .toMatchObject({ alert: { alertId: alert.alertId, occurrences: 2 }, change: 'refreshed' });
+
+    alertStore.acknowledge(alert.alertId, 'operator', T0 + 1500);
+    expect(alert).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'operator' });
+
+    alertStore.raise('proximity:la:lb', payload('collision', 3), { deviceIds: ['la', 'lb'] }, T0 + 2000);
+    expect(alert).toMatchObject({ status: 'open', severity: 'collision' });
+
+    alertStore.sweep(T0 + 4000);
+    expect(alert.status).toBe('open');
+    alertStore.sweep(T0 + 8000);
+    expect(alert).toMatchObject({ status: 'resolved', resolvedBy: 'auto' });
+    expect(changes).toEqual(['created', 'acknowledged', 'escalated', 'resolved']);
+    alertStore.off('change', listener);
+
+    // The same condition later is a new alert
+    const again = alertStore.raise('proximity:la:lb', payload('warning', 1), { deviceIds: ['la', 'lb'] }, T0 + 9000);
+    expect(again.change).toBe('created');
+    expect(alertStore.list({ deviceId: 'la' }).map(a => a.alertId)).toEqual([again.alert.alertId, alert.alertId]);
+  });
+
+  test('acknowledging a resolved alert is rejected', () => {
+    const { alert } = alertStore.raise('speed:ls', { type: 'SPEED_EXCEEDED', severity: 'warning' }, { deviceIds: ['ls'] });
+    alertStore.resolve(alert.alertId, 'operator', 'false alarm');
+    expect(() => alertStore.acknowledge(alert.alertId)).toThrow(/already resolved/);
+  });
+
+  test('restricted zone alerts stay open until the device leaves', () => {
+    const zone = { zoneId: 'lz', name: 'Press shop', type: 'restricted', maxDwellSec: null };
+    const [entered] = buildZoneAlerts([{ event: 'enter', deviceId: 'lw', zone, dwellSec: 0 }]);
+    expect(entered).toMatchObject({ type: 'ZONE_ENTERED', status: 'open' });
+
+    alertStore.sweep(Date.now() + 60000);
+    expect(alertStore.get(entered.alertId).status).toBe('open');
+
+    buildZoneAlerts([{ event: 'exit', deviceId: 'lw', zone, dwellSec: 30 }]);
+    expect(alertStore.get(entered.alertId)).toMatchObject({ status: 'resolved', resolvedBy: 'auto' });
+  });
+});
@@ -40,6 +40,188 @@ describe('API smoke tests', () => {
     expect(res.body).toHaveProperty('received', true);
   });
 
+  test('POST /navigation/external/update resolves beacon anchors from registered stations', async () => {
+    const stations = { bs_t1: { x: 0, y: 0 }, bs_t2: { x: 10, y: 0 }, bs_t3: { x: 0, y: 10 } };
+    for (const [deviceId, knownPosition] of Object.entries(stations)) {
+      await request(app).post('/navigation/register').send({ deviceId, isBaseStation: true, knownPosition });
+    }
+
+    const res = await request(app).post('/navigation/external/update').send({
+      deviceId: 'dev_anchor_test',
+      rssiReadings: [
+        { deviceId: 'bs_t1', rssi: -54 },
+        { deviceId: 'bs_t2', rssi: -54 },
+        { deviceId: 'bs_t3', rssi: -54 },
+        { deviceId: 'bs_unknown', rssi: -60 },
+      ],
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.device.indoorPosition).toMatchObject({ x: expect.any(Number), y: expect.any(Number) });
+    expect(res.body.device.unknownBeacons).toEqual(['bs_unknown']);
+
+    for (const id of [...Object.keys(stations), 'dev_anchor_test']) {
+      await request(app).delete(`/navigation/device/${id}`);
+    }
+  });
+
+  test('RSSI calibration fits, is viewable and resets per station', async () => {
+    await request(app).post('/navigation/register')
+      .send({ deviceId: 'bs_cal', isBaseStation: true, knownPosition: { x: 0, y: 0 } });
+
+    // Synthetic station: -50 dBm at 1m, path-loss exponent 2.5
+    const samples = [1, 2, 3, 5, 8, 12].map(d => ({ distanceM: d, rssi: -50 - 25 * Math.log10(d) }));
+    const res = await request(app).post('/navigation/calibration/rssi/bs_cal/samples').send({ samples });
+    expect(res.status).toBe(200);
+    expect(res.body.calibration.fit.measuredAt1m).toBeCloseTo(-50, 1);
+    expect(res.body.calibration.fit.pathLossExponent).toBeCloseTo(2.5, 2);
+    expect(res.body.calibration.model.calibrated).toBe(true);
+
+    const view = await request(app).get('/navigation/calibration/rssi/bs_cal');
+    expect(view.body.sampleCount).toBe(samples.length);
+
+    const reset = await request(app).delete('/navigation/calibration/rssi/bs_cal');
+    expect(reset.body.model.calibrated).toBe(false);
+
+    const missing = await request(app).get('/navigation/calibration/rssi/no_such_station');
+    expect(missing.status).toBe(404);
+
+    await request(app).delete('/navigation/device/bs_cal');
+  });
+
+  test('PUT /navigation/buildings/:id stores floor plan and positioning mode', async () => {
+    const floorPlan = {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [10, 0]] } }],
+    };
+    const res = await request(app).put('/navigation/buildings/bld_test').send({ positioningMode: 'particle', floorPlan });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ buildingId: 'bld_test', positioningMode: 'particle', wallSegments: 1 });
+
+    const bad = await request(app).put('/navigation/buildings/bld_test').send({ positioningMode: 'magic' });
+    expect(bad.status).toBe(400);
+
+    const anchored = await request(app).put('/navigation/buildings/bld_test')
+      .send({ anchor: { lat: 52.5, lng: 13.4, rotationDeg: 30 } });
+    expect(anchored.body.anchor).toEqual({ lat: 52.5, lng: 13.4, rotationDeg: 30, scale: 1 });
+    const badAnchor = await request(app).put('/navigation/buildings/bld_test').send({ anchor: { lat: 95, lng: 0 } });
+    expect(badAnchor.status).toBe(400);
+
+    const del = await request(app).delete('/navigation/buildings/bld_test');
+    expect(del.body).toHaveProperty('removed', true);
+  });
+
+  test('POST /navigation/register stores the device class', async () => {
+    const res = await request(app).post('/navigation/register').send({ deviceId: 'cls_forklift', deviceClass: 'vehicle' });
+    expect(res.body).toMatchObject({ registered: true, deviceClass: 'vehicle' });
+    const bad = await request(app).post('/navigation/register').send({ deviceId: 'cls_bad', deviceClass: 'tank' });
+    expect(bad.status).toBe(400);
+    await request(app).delete('/navigation/device/cls_forklift');
+  });
+
+  test('zone CRUD via /navigation/zones', async () => {
+    const polygon = [[0, 0], [10, 0], [10, 10], [0, 10]];
+    const res = await request(app).put('/navigation/zones/zone_test')
+      .send({ type: 'restricted', frame: 'building', buildingId: 'bld_zone', floor: 0, polygon, maxDwellSec: 30 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ zoneId: 'zone_test', type: 'restricted', floor: 0, maxDwellSec: 30 });
+
+    const one = await request(app).get('/navigation/zones/zone_test');
+    expect(one.body.occupants).toEqual([]);
+    const bad = await request(app).put('/navigation/zones/zone_test').send({ polygon: [[0, 0]] });
+    expect(bad.status).toBe(400);
+
+    const del = await request(app).delete('/navigation/zones/zone_test');
+    expect(del.body).toHaveProperty('removed', true);
+    expect((await request(app).get('/navigation/zones/zone_test')).status).toBe(404);
+  });
+
+  test('hazards are reported, listed and cleared via /navigation/hazards', async () => {
+    const res = await request(app).post('/navigation/hazards')
+      .send({ type: 'blocked_corridor', buildingId: 'bld_hz', position: { x: 3, y: 4 }, floor: 2, radiusM: 3 });
+    expect(res.status).toBe(201);
+    const { hazardId } = res.body;
+
+    expect((await request(app).get('/navigation/hazards?floor=2')).body.map(h => h.hazardId)).toContain(hazardId);
+    expect((await request(app).get('/navigation/hazards?floor=1')).body.map(h => h.hazardId)).not.toContain(hazardId);
+    expect((await request(app).get('/navigation/internal')).body.hazards.map(h => h.hazardId)).toContain(hazardId);
+    expect((await request(app).get('/dashboard')).body.summary.activeHazards).toBeGreaterThan(0);
+    expect((await request(app).post('/navigation/hazards').send({ type: 'spill', radiusM: 1 })).status).toBe(400);
+
+    const del = await request(app).delete(`/navigation/hazards/${hazardId}?by=ops`);
+    expect(del.body).toMatchObject({ hazardId, clearedBy: 'ops' });
+    expect((await request(app).get(`/navigation/hazards/${hazardId}`)).status).toBe(404);
+  });
+
+  test('PUT a navigation graph and POST /navigation/route', async () => {
+    const graph = {
+      nodes: [
+        { id: 'lobby', x: 0, y: 0, floor: 0 },
+        { id: 'desk', x: 12, y: 0, floor: 0, type: 'poi', name: 'Reception' },
+      ],
+      edges: [{ from: 'lobby', to: 'desk' }],
+    };
+    const put = await request(app).put('/navigation/buildings/bld_route_api/graph').send(graph);
+    expect(put.status).toBe(200);
+    expect(put.body).toMatchObject({ buildingId: 'bld_route_api', floors: [0], nodes: 2, edges: 1 });
+
+    const res = await request(app).post('/navigation/route')
+      .send({ from: { buildingId: 'bld_route_api', x: 0, y: 0, floor: 0 }, to: 'Reception' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ distanceM: 12, destination: { nodeId: 'desk' } });
+    expect(res.body.etaSec).toBeGreaterThan(0);
+
+    const bad = await request(app).post('/navigation/route').send({ to: 'Reception' });
+    expect(bad.status).toBe(400);
+    await request(app).delete('/navigation/buildings/bld_route_api/graph');
+  });
+
+  test('DELETE /navigation/device/:id ends the device\'s guidance', async () => {
+    const { startGuidance } = require('../services/guidance.service');
+    const deviceStore = require('../models/deviceStore');
+    await request(app).put('/navigation/buildings/bld_guide_api/graph').send({
+      nodes: [{ id: 'a', x: 0, y: 0, floor: 0 }, { id: 'b', x: 10, y: 0, floor: 0, type: 'poi', name: 'Exit' }],
+      edges: [{ from: 'a', to: 'b' }],
+    });
+    deviceStore.update('guided_api', { buildingId: 'bld_guide_api', indoorPosition: { x: 0, y: 0, floor: 0 }, floor: 0 });
+    startGuidance('guided_api', { to: 'Exit' });
+    expect((await request(app).get('/navigation/guidance/guided_api')).status).toBe(200);
+
+    await request(app).delete('/navigation/device/guided_api');
+    expect((await request(app).get('/navigation/guidance/guided_api')).status).toBe(404);
+    await request(app).delete('/navigation/buildings/bld_guide_api/graph');
+  });
+
+  test('GET /navigation/guidance lists sessions and 404s for unguided devices', async () => {
+    const res = await request(app).get('/navigation/guidance?status=active');
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body)).toBe(true);
+    expect((await request(app).get('/navigation/guidance?status=lost')).status).toBe(400);
+    expect((await request(app).get('/navigation/guidance/guide_unknown')).status).toBe(404);
+  });
+
+  test('GET /navigation/calibration/magnetometer/:deviceId reports an uncalibrated device', async () => {
+    const res = await request(app).get('/navigation/calibration/magnetometer/mag_unknown');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ deviceId: 'mag_unknown', calibrated: false, session: null });
+  });
+
+  test('webhook subscriptions hide their secret after creation', async () => {
+    const created = await request(app).post('/dashboard/webhooks')
+      .send({ url: 'http://127.0.0.1:9/incidents', alertTypes: ['COLLISION_WARNING'] });
+    expect(created.status).toBe(201);
+    expect(created.body.secret).toEqual(expect.any(String));
+
+    const one = await request(app).get(`/dashboard/webhooks/${created.body.webhookId}`);
+    expect(one.body).toMatchObject({ events: ['alert.created', 'alert.escalated'], alertTypes: ['COLLISION_WARNING'] });
+    expect(one.body).not.toHaveProperty('secret');
+
+    expect((await request(app).post('/dashboard/webhooks').send({ url: 'ftp://x' })).status).toBe(400);
+    const paused = await request(app).patch(`/dashboard/webhooks/${created.body.webhookId}`).send({ active: false });
+    expect(paused.body.active).toBe(false);
+    expect((await request(app).get(`/dashboard/webhooks/${created.body.webhookId}/deliveries`)).body).toEqual([]);
+    await request(app).delete(`/dashboard/webhooks/${created.body.webhookId}`);
+  });
+
   test('GET /dashboard returns summary and devices', async () => {
     const res = await request(app).get('/dashboard');
     expect(res.status).toBe(200);
@@ -47,6 +229,13 @@ describe('API smoke tests', () => {
     expect(res.body).toHaveProperty('devices');
   });
 
+  test('GET /dashboard/risks lists pair and speeding states', async () => {
+    const res = await request(app).get('/dashboard/risks');
+    expect(res.status).toBe(200);
+    expect(Array.isArray(res.body.pairs)).toBe(true);
+    expect(Array.isArray(res.body.speed)).toBe(true);
+  });
+
   test('GET /dashboard/devices returns array', async () => {
     const res = await request(app).get('/dashboard/devices');
     expect(res.status).toBe(200);
@@ -58,4 +247,20 @@ describe('API smoke tests', () => {
     expect(res.status).toBe(200);
     expect(Array.isArray(res.body)).toBe(true);
   });
+
+  test('alerts can be filtered, acknowledged and resolved', async () => {
+    const alertStore = require('../models/alertStore');
+    const { alert } = alertStore.raise('speed:api_speeder', { type: 'SPEED_EXCEEDED', severity: 'warning' }, { deviceIds: ['api_speeder'] });
+
+    const open = await request(app).get('/dashboard/alerts?status=open&deviceId=api_speeder');
+    expect(open.body.map(a => a.alertId)).toEqual([alert.alertId]);
+    expect((await request(app).get('/dashboard/alerts?status=closed')).status).toBe(400);
+
+    const ack = await request(app).post(`/dashboard/alerts/${alert.alertId}/acknowledge`).send({ by: 'ops' });
+    expect(ack.body).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'ops' });
+    const resolved = await request(app).post(`/dashboard/alerts/${alert.alertId}/resolve`).send({ by: 'ops', note: 'checked' });
+    expect(resolved.body).toMatchObject({ status: 'resolved', resolutionNote: 'checked' });
+    expect((await request(app).post(`/dashboard/alerts/${alert.alertId}/acknowledge`)).status).toBe(409);
+    expect((await request(app).get('/dashboard/alerts/no_such_alert')).status).toBe(404);
+  });
 });
@@ -0,0 +1,34 @@
+const { getDeviceClass, pairThresholds, parseDeviceClass } = require('../services/deviceClass.service');
+const { assessRisk, RISK } = require('../services/proximity.service');
+const { buildSpeedAlert } = require('../services/alert.service');
+
+describe('device classes', () => {
+  test('unclassified devices fall back to pedestrians', () => {
+    expect(getDeviceClass({ deviceId: 'x' }).name).toBe('pedestrian');
+    expect(getDeviceClass({ deviceClass: 'hovercraft' }).name).toBe('pedestrian');
+    expect(() => parseDeviceClass('hovercraft')).toThrow(/deviceClass must be one of/);
+  });
+
+  test('pair thresholds grow with footprint and speed limit', () => {
+    const walkers = pairThresholds({}, {});
+    expect(walkers.collisionM).toBeCloseTo(2, 5);
+    expect(walkers.warningM).toBeCloseTo(5, 5);
+
+    const forklift = pairThresholds({ deviceClass: 'vehicle' }, {});
+    expect(forklift.collisionM).toBeGreaterThan(walkers.collisionM);
+    expect(forklift.warningM).toBeGreaterThan(walkers.warningM);
+    expect(pairThresholds({}, { deviceClass: 'vehicle' })).toEqual(forklift);
+  });
+
+  test('a gap that is fine between people is dangerous next to a vehicle', () => {
+    const approach = { distanceM: 7, tca: 0, closestApproachM: 7 };
+    expect(assessRisk(approach, pairThresholds({}, {}))).toBe(RISK.SAFE);
+    expect(assessRisk(approach, pairThresholds({ deviceClass: 'vehicle' }, {}))).toBe(RISK.DANGER);
+  });
+
+  test('speed alerts use the class limit', () => {
+    expect(buildSpeedAlert({ deviceId: 'cls-robot', deviceClass: 'robot', speedMps: 2 }))
+      .toMatchObject({ type: 'SPEED_EXCEEDED', deviceClass: 'robot', limitMps: 1.5 });
+    expect(buildSpeedAlert({ deviceId: 'cls-car', deviceClass: 'vehicle', speedMps: 2 })).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+const deviceStore = require('../models/deviceStore');
+const zoneStore = require('../models/zoneStore');
+const alertStore = require('../models/alertStore');
+const navGraphStore = require('../models/navGraphStore');
+const { removeDevice } = require('../services/deviceCleanup.service');
+const { applyPositionFix, getPositionEstimate } = require('../services/sensorFusion.service');
+const { submitPacket, getSequencerStats } = require('../services/packetSequencer.service');
+const { startGuidance, describe: describeGuidance } = require('../services/guidance.service');
+const { evaluateZones, getZoneOccupants } = require('../services/geofence.service');
+const { buildZoneAlerts } = require('../services/alert.service');
+
+const GRAPH = {
+  nodes: [{ id: 'in', x: 0, y: 5, floor: 0 }, { id: 'out', x: 20, y: 5, floor: 0, type: 'poi', name: 'Exit' }],
+  edges: [{ from: 'in', to: 'out' }],
+};
+
+/** A device with fusion, sequencer, guidance and zone state, plus an open zone alert */
+function track(deviceId) {
+  deviceStore.update(deviceId, { buildingId: 'bld_cleanup', floor: 0, indoorPosition: { x: 5, y: 5, floor: 0 } });
+  applyPositionFix(deviceId, { frame: 'building', x: 5, y: 5, sigmaM: 1 });
+  submitPacket(deviceId, { timestamp: Date.now() }, () => {});
+  startGuidance(deviceId, { to: 'Exit' });
+  const [alert] = buildZoneAlerts(evaluateZones(deviceStore.get(deviceId), Date.now()));
+  return alert;
+}
+
+function expectForgotten(deviceId, alert) {
+  expect(deviceStore.get(deviceId)).toBeNull();
+  expect(getPositionEstimate(deviceId)).toBeNull();
+  expect(getSequencerStats(deviceId)).toBeNull();
+  expect(describeGuidance(deviceId)).toBeNull();
+  expect(getZoneOccupants('cleanup-room')).toEqual([]);
+  expect(alertStore.get(alert.alertId).status).toBe('resolved');
+}
+
+describe('device cleanup', () => {
+  beforeAll(() => {
+    navGraphStore.set('bld_cleanup', GRAPH);
+    zoneStore.upsert('cleanup-room', {
+      type: 'restricted', frame: 'building', buildingId: 'bld_cleanup', polygon: [[0, 0], [10, 0], [10, 10], [0, 10]],
+    });
+  });
+  afterAll(() => {
+    navGraphStore.remove('bld_cleanup');
+    zoneStore.remove('cleanup-room');
+  });
+
+  test('removing a device drops all its tracking state and resolves its zone alerts', () => {
+    const alert = track('cleanup-removed');
+    expect(getSequencerStats('cleanup-removed')).not.toBeNull();
+    expect(describeGuidance('cleanup-removed')).not.toBeNull();
+    expect(alertStore.get(alert.alertId).status).toBe('open');
+
+    removeDevice('cleanup-removed', 'device removed');
+    expectForgotten('cleanup-removed', alert);
+  });
+
+  test('a device that expires is cleaned up the same way', () => {
+    const alert = track('cleanup-expired');
+    deviceStore.emit('expired', 'cleanup-expired');
+    expectForgotten('cleanup-expired', alert);
+  });
+});
@@ -0,0 +1,58 @@
+const { MotionEKF, wrapAngle } = require('../utils/ekf');
+
+const makeFilter = () => new MotionEKF({ accelNoise: 0.5, yawRateNoise: 0.35, initialPositionVar: 1e6 });
+
+describe('MotionEKF', () => {
+  test('first position fix initialises the filter', () => {
+    const ekf = makeFilter();
+    expect(ekf.positionInitialized).toBe(false);
+    ekf.updatePosition(10, -4, 3);
+    expect(ekf.positionInitialized).toBe(true);
+    expect(ekf.position).toEqual({ x: 10, y: -4 });
+    expect(ekf.positionSigma()).toBeCloseTo(3);
+  });
+
+  test('repeated fixes shrink the covariance', () => {
+    const ekf = makeFilter();
+    ekf.updatePosition(0, 0, 5);
+    for (let i = 0; i < 10; i++) {
+      ekf.predict(0.1);
+      ekf.updatePosition(0, 0, 5);
+    }
+    expect(ekf.positionSigma()).toBeLessThan(5);
+  });
+
+  test('infers speed and heading from a moving track', () => {
+    const ekf = makeFilter();
+    // Walk north-east at ~1.4 m/s, fixes every 0.5s
+    for (let i = 0; i <= 60; i++) {
+      const d = 0.7 * i;
+      ekf.predict(0.5);
+      ekf.updateHeading(Math.PI / 4, 0.3);
+      ekf.updatePosition(d * Math.SQRT1_2, d * Math.SQRT1_2, 1);
+    }
+    expect(ekf.speed).toBeGreaterThan(1.1);
+    expect(ekf.speed).toBeLessThan(1.7);
+    expect(ekf.heading).toBeCloseTo(Math.PI / 4, 1);
+  });
+
+  test('heading updates wrap across north', () => {
+    const ekf = makeFilter();
+    ekf.updateHeading(wrapAngle((359 * Math.PI) / 180), 0.2);
+    ekf.updateHeading((1 * Math.PI) / 180, 0.2);
+    expect(Math.abs(ekf.heading)).toBeLessThan(0.05);
+  });
+
+  test('integrates a measured yaw rate with less heading growth than unmodelled turning', () => {
+    const gyro = new MotionEKF({ accelNoise: 0.5, yawRateNoise: 0.35, gyroNoise: 0.03, initialPositionVar: 1e6 });
+    const blind = makeFilter();
+    gyro.updateHeading(0, 0.01);
+    blind.updateHeading(0, 0.01);
+    for (let i = 0; i < 20; i++) {
+      gyro.predict(0.1, 0, { yawRate: Math.PI / 4 });  // 90° right turn over 2s
+      blind.predict(0.1);
+    }
+    expect(gyro.heading).toBeCloseTo(Math.PI / 2, 5);
+    expect(gyro.headingSigma()).toBeLessThan(blind.headingSigma() / 5);
+  });
+});
@@ -0,0 +1,92 @@
+const config = require('../config/config');
+const { updateFloor, voteBeaconFloor, pressureAltitude, clearDevice } = require('../services/floor.service');
+
+const { FLOORS } = config;
+const T0 = 1_700_000_000_000;
+const DEVICE = 'floor-dev';
+
+/** Pressure (hPa) at a barometric altitude (m), the inverse of pressureAltitude */
+const pressureAt = altitudeM => 1013.25 * (1 - altitudeM / 44330) ** (1 / 0.1903);
+const beaconsOn = floor => [{ floor, rssi: -60 }, { floor, rssi: -65 }];
+
+/** Feed the same evidence every 250 ms from `from` to `to` (inclusive); returns the last result */
+function feed(evidence, from, to) {
+  let result;
+  for (let t = from; t <= to; t += 250) result = updateFloor(DEVICE, evidence, T0 + t);
+  return result;
+}
+
+describe('beacon floor vote', () => {
+  test('weights floors by received power', () => {
+    const vote = voteBeaconFloor([{ floor: 1, rssi: -60 }, { floor: 2, rssi: -70 }, { floor: 2, rssi: -70 }, { rssi: -40 }]);
+    expect(vote.floor).toBe(1);
+    expect(vote.share).toBeCloseTo(1 / 1.2);
+    expect(voteBeaconFloor([{ rssi: -50 }])).toBeNull();
+  });
+});
+
+describe('floor tracking', () => {
+  afterEach(() => clearDevice(DEVICE));
+
+  test('beacons name the first floor at once and a change only after BEACON_CONFIRM_MS', () => {
+    expect(updateFloor(DEVICE, { beacons: beaconsOn(1) }, T0)).toMatchObject({ floor: 1, floorSource: 'beacon' });
+    // Split power is no evidence either way
+    expect(updateFloor(DEVICE, { beacons: [{ floor: 1, rssi: -60 }, { floor: 2, rssi: -60 }] }, T0 + 100).floor).toBe(1);
+
+    expect(feed({ beacons: beaconsOn(2) }, 1000, 1000 + FLOORS.BEACON_CONFIRM_MS - 250).floor).toBe(1);
+    expect(updateFloor(DEVICE, { beacons: beaconsOn(2) }, T0 + 1000 + FLOORS.BEACON_CONFIRM_MS).floor).toBe(2);
+  });
+
+  test('the barometer reports a climb after BARO_CONFIRM_MS once anchored by beacons', () => {
+    feed({ beacons: beaconsOn(0), pressureHpa: pressureAt(0) }, 0, 2000);
+
+    // Walking up one floor without beacon coverage
+    const climb = { pressureHpa: pressureAt(FLOORS.FLOOR_HEIGHT_M) };
+    let result;
+    let changedAt = null;
+    for (let t = 2250; t <= 12000 && changedAt === null; t += 250) {
+      result = updateFloor(DEVICE, climb, T0 + t);
+      if (result.floor === 1) changedAt = t;
+    }
+    expect(result).toMatchObject({ floor: 1, floorSource: 'barometer' });
+
+    // It took the confirm time past the moment the smoothed reading crossed the band
+    const crossedSec = -FLOORS.PRESSURE_TIME_CONSTANT_SEC * Math.log(1 - (0.5 + FLOORS.BARO_HYSTERESIS_FLOORS));
+    expect(changedAt - 2000).toBeGreaterThanOrEqual(crossedSec * 1000 + FLOORS.BARO_CONFIRM_MS - 500);
+    expect(feed(climb, changedAt + 250, changedAt + 15000).relativeAltitudeM).toBeCloseTo(FLOORS.FLOOR_HEIGHT_M, 1);
+  });
+
+  test('a reading wobbling at the edge of the band does not switch floors', () => {
+    feed({ beacons: beaconsOn(0), pressureHpa: pressureAt(0) }, 0, 2000);
+    const edgeM = (0.5 + FLOORS.BARO_HYSTERESIS_FLOORS) * FLOORS.FLOOR_HEIGHT_M;
+
+    // Past the midpoint but inside the band, for a long time
+    expect(feed({ pressureHpa: pressureAt(edgeM - 0.1) }, 2250, 30000).floor).toBe(0);
+    // Swinging across the band edge every half second: each crossing is too
+    // short-lived to be confirmed
+    let crossings = 0;
+    for (let t = 30250; t <= 60000; t += 250) {
+      const above = Math.floor(t / 500) % 2 === 0;
+      const result = updateFloor(DEVICE, { pressureHpa: pressureAt(edgeM + (above ? 1 : -1)) }, T0 + t);
+      if (result.relativeAltitudeM > edgeM) crossings += 1;
+      expect(result.floor).toBe(0);
+    }
+    expect(crossings).toBeGreaterThan(10);
+  });
+
+  test('a beacon-confirmed floor re-anchors the barometer', () => {
+    feed({ beacons: beaconsOn(0), pressureHpa: pressureAt(0) }, 0, 2000);
+
+    // The beacons say floor 2 while the pressure has not moved: the reference drifted
+    const atTwo = feed({ beacons: beaconsOn(2), pressureHpa: pressureAt(0) }, 2250, 2250 + FLOORS.BEACON_CONFIRM_MS);
+    expect(atTwo).toMatchObject({ floor: 2, floorSource: 'beacon', relativeAltitudeM: 0 });
+
+    // Barometer changes now count from floor 2
+    expect(feed({ pressureHpa: pressureAt(FLOORS.FLOOR_HEIGHT_M) }, 6000, 16000)).toMatchObject({ floor: 3, floorSource: 'barometer' });
+  });
+
+  test('pressure altitude follows the standard atmosphere', () => {
+    expect(pressureAltitude(1013.25)).toBeCloseTo(0);
+    expect(pressureAltitude(pressureAt(100))).toBeCloseTo(100, 1);
+  });
+});
@@ -0,0 +1,88 @@
+const zoneStore = require('../models/zoneStore');
+const { evaluateZones, getZoneOccupants, clearDevice } = require('../services/geofence.service');
+const { buildZoneAlerts, resolveZoneAlerts } = require('../services/alert.service');
+const alertStore = require('../models/alertStore');
+const { pointInPolygon } = require('../utils/floorPlan');
+
+const T0 = 1_700_000_000_000;
+const SQUARE = [[0, 0], [10, 0], [10, 10], [0, 10]];
+
+describe('point in polygon', () => {
+  test('handles concave rings and closed input', () => {
+    const L = [[0, 0], [10, 0], [10, 4], [4, 4], [4, 10], [0, 10], [0, 0]];
+    expect(pointInPolygon(L, { x: 2, y: 8 })).toBe(true);
+    expect(pointInPolygon(L, { x: 8, y: 8 })).toBe(false);
+  });
+});
+
+describe('geofence events', () => {
+  afterEach(() => {
+    zoneStore.getAll().forEach(z => zoneStore.remove(z.zoneId));
+    clearDevice('w1');
+  });
+
+  const indoor = (x, y, floor = 1) => ({ deviceId: 'w1', buildingId: 'hq', floor, indoorPosition: { x, y } });
+
+  test('enter, dwell once, and exit after the confirm time', () => {
+    zoneStore.upsert('dock', { frame: 'building', buildingId: 'hq', floor: 1, polygon: SQUARE, maxDwellSec: 60 });
+
+    expect(evaluateZones(indoor(5, 5), T0).map(e => e.event)).toEqual(['enter']);
+    expect(getZoneOccupants('dock')).toEqual([{ deviceId: 'w1', enteredAt: T0 }]);
+    expect(evaluateZones(indoor(5, 5), T0 + 30000)).toEqual([]);
+    expect(evaluateZones(indoor(5, 5), T0 + 61000).map(e => e.event)).toEqual(['dwell']);
+    expect(evaluateZones(indoor(5, 5), T0 + 90000)).toEqual([]);
+
+    // A brief excursion over the boundary is not an exit
+    expect(evaluateZones(indoor(11, 5), T0 + 91000)).toEqual([]);
+    expect(evaluateZones(indoor(9, 5), T0 + 92000)).toEqual([]);
+
+    evaluateZones(indoor(20, 5), T0 + 93000);
+    const [exit] = evaluateZones(indoor(20, 5), T0 + 96000);
+    expect(exit).toMatchObject({ event: 'exit', dwellSec: 96 });
+    expect(getZoneOccupants('dock')).toEqual([]);
+  });
+
+  test('building zones only match their floor', () => {
+    zoneStore.upsert('dock', { frame: 'building', buildingId: 'hq', floor: 1, polygon: SQUARE });
+    expect(evaluateZones(indoor(5, 5, 2), T0)).toEqual([]);
+  });
+
+  test('geo zones match lat/lng', () => {
+    zoneStore.upsert('yard', { type: 'restricted', polygon: [[13.4, 52.5], [13.41, 52.5], [13.41, 52.51], [13.4, 52.51]] });
+    const [event] = evaluateZones({ deviceId: 'w1', lat: 52.505, lng: 13.405 }, T0);
+    expect(event).toMatchObject({ event: 'enter', zone: { zoneId: 'yard', type: 'restricted' } });
+  });
+});
+
+describe('zone alerts without an exit', () => {
+  afterEach(() => {
+    zoneStore.getAll().forEach(z => zoneStore.remove(z.zoneId));
+    ['z1', 'z2'].forEach(clearDevice);
+  });
+
+  const enter = deviceId => buildZoneAlerts(evaluateZones(
+    { deviceId, buildingId: 'hq', floor: 1, indoorPosition: { x: 5, y: 5 } }, T0))[0];
+
+  test('are resolved when the device is removed or the zone deleted', () => {
+    zoneStore.upsert('vault', { type: 'restricted', frame: 'building', buildingId: 'hq', polygon: SQUARE });
+    const a = enter('z1');
+    const b = enter('z2');
+    expect(alertStore.get(a.alertId).status).toBe('open');
+
+    expect(resolveZoneAlerts({ deviceId: 'z1' }, 'device removed')).toEqual([a.alertId]);
+    expect(alertStore.get(a.alertId).status).toBe('resolved');
+    expect(alertStore.get(b.alertId).status).toBe('open');
+
+    expect(resolveZoneAlerts({ zoneId: 'vault' }, 'zone deleted')).toEqual([b.alertId]);
+    expect(alertStore.get(b.alertId).status).toBe('resolved');
+  });
+});
+
+describe('zone store validation', () => {
+  test('rejects malformed zones', () => {
+    expect(() => zoneStore.upsert('z', { polygon: [[0, 0], [1, 1]] })).toThrow(/3 distinct points/);
+    expect(() => zoneStore.upsert('z', { frame: 'building', polygon: SQUARE })).toThrow(/buildingId/);
+    expect(() => zoneStore.upsert('z', { type: 'moat', polygon: SQUARE })).toThrow(/type/);
+    expect(zoneStore.get('z')).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+const { evaluateGpsFix, clearDevice } = require('../services/gpsQuality.service');
+const { localToGeo } = require('../utils/geo');
+
+const ORIGIN = { lat: 48.1, lng: 11.5 };
+const fixAt = (x, accuracy = 5) => ({ ...localToGeo(ORIGIN, x, 0), accuracy });
+
+describe('GPS fix screening', () => {
+  afterEach(() => clearDevice('gps-dev'));
+
+  test('weights fixes by reported accuracy', () => {
+    const precise = evaluateGpsFix('gps-dev', fixAt(0, 3), 0, null);
+    const coarse = evaluateGpsFix('gps-dev', fixAt(1, 30), 1000, 0);
+    expect(precise.accept).toBe(true);
+    expect(coarse.sigmaM).toBeGreaterThan(precise.sigmaM * 5);
+  });
+
+  test('ignores fixes beyond the accuracy limit', () => {
+    expect(evaluateGpsFix('gps-dev', fixAt(0, 500), 0, null)).toEqual({ accept: false, reason: 'inaccurate' });
+  });
+
+  test('rejects an impossible jump but re-syncs when it persists', () => {
+    evaluateGpsFix('gps-dev', fixAt(0), 0, null);
+    expect(evaluateGpsFix('gps-dev', fixAt(400), 1000, 0)).toMatchObject({ accept: false, reason: 'jump' });
+
+    let result;
+    for (let i = 2; i <= 6; i++) result = evaluateGpsFix('gps-dev', fixAt(400 + i), i * 1000, 0);
+    expect(result).toMatchObject({ accept: true, reset: true });
+  });
+
+  test('forces a re-sync after dead reckoning too long', () => {
+    evaluateGpsFix('gps-dev', fixAt(0), 0, null);
+    expect(evaluateGpsFix('gps-dev', fixAt(2), 1000, 0).reset).toBe(false);
+    expect(evaluateGpsFix('gps-dev', fixAt(60), 40000, 1000).reset).toBe(true);
+  });
+});
@@ -0,0 +1,94 @@
+const navGraphStore = require('../models/navGraphStore');
+const deviceStore = require('../models/deviceStore');
+const {
+  startGuidance,
+  updateGuidance,
+  stopGuidance,
+  describe: describeGuidance,
+  listGuidance,
+} = require('../services/guidance.service');
+
+// Ground floor: a corridor S–J with the café up a door to the left at J and
+// stairs at J up to a meeting room on floor 1
+const GRAPH = {
+  nodes: [
+    { id: 'S', x: 0, y: 0, floor: 0 },
+    { id: 'J', x: 20, y: 0, floor: 0, type: 'stairs' },
+    { id: 'C', x: 20, y: 10, floor: 0, type: 'poi', name: 'Cafe' },
+    { id: 'J1', x: 20, y: 0, floor: 1, type: 'stairs' },
+    { id: 'M1', x: 30, y: 0, floor: 1, type: 'poi', name: 'Meeting room' },
+  ],
+  edges: [
+    { from: 'S', to: 'J' },
+    { from: 'J', to: 'C', type: 'door' },
+    { from: 'J', to: 'J1', type: 'stairs' },
+    { from: 'J1', to: 'M1' },
+  ],
+};
+
+const DEVICE = 'guided-walker';
+
+/** Move the device and run guidance for that update */
+function step(x, y, floor, now) {
+  deviceStore.update(DEVICE, { buildingId: 'bld_guide', indoorPosition: { x, y, floor }, floor });
+  return updateGuidance(deviceStore.get(DEVICE), now);
+}
+
+describe('turn-by-turn guidance', () => {
+  beforeAll(() => navGraphStore.set('bld_guide', GRAPH));
+  afterEach(() => stopGuidance(DEVICE));
+  afterAll(() => {
+    navGraphStore.remove('bld_guide');
+    deviceStore.remove(DEVICE);
+  });
+
+  test('announces the next turn as it gets closer, then the arrival', () => {
+    step(2, 0.5, 0, 0);
+    startGuidance(DEVICE, { to: 'Cafe' }, 0);
+
+    const [first] = step(2, 0.5, 0, 1000);
+    expect(first).toMatchObject({ type: 'turn', direction: 'left', distanceM: 18, text: 'Turn left in 18 m' });
+    expect(first.remainingDistanceM).toBeCloseTo(28, 0);
+
+    expect(step(5, 0, 0, 2000)).toEqual([]);  // Same distance band: nothing new
+    expect(step(12, 0, 0, 3000)[0]).toMatchObject({ type: 'turn', distanceM: 8 });
+
+    expect(step(20, 1, 0, 4000)[0]).toMatchObject({ type: 'arrive', text: 'Arrive at Cafe in 9 m' });
+    expect(step(20, 9.5, 0, 5000)[0]).toMatchObject({ type: 'arrived', remainingDistanceM: 0 });
+    expect(describeGuidance(DEVICE).status).toBe('arrived');
+    expect(listGuidance('active')).toEqual([]);
+    expect(step(20, 10, 0, 6000)).toEqual([]);
+  });
+
+  test('sends the device up the stairs and on along the next floor', () => {
+    step(2, 0.5, 0, 0);
+    startGuidance(DEVICE, { to: 'Meeting room' }, 0);
+
+    expect(step(2, 0.5, 0, 1000)[0]).toMatchObject({
+      type: 'floor_change', via: 'stairs', targetFloor: 1, text: 'Take the stairs to floor 1 in 18 m',
+    });
+    expect(step(20, 0, 0, 2000)[0]).toMatchObject({ type: 'floor_change', text: 'Take the stairs to floor 1' });
+    expect(step(20, 0, 1, 3000)[0]).toMatchObject({ type: 'arrive', distanceM: 10, targetFloor: 1 });
+  });
+
+  test('reroutes from the current position once off route long enough', () => {
+    step(2, 0.5, 0, 0);
+    const { sessionId } = startGuidance(DEVICE, { to: 'Cafe' }, 0);
+    step(2, 0.5, 0, 1000);
+
+    expect(step(10, 8, 0, 2000)).toEqual([]);   // Off route, not confirmed yet
+    expect(describeGuidance(DEVICE).offRoute).toBe(true);
+    const [rerouted, next] = step(10, 8, 0, 5000);
+    expect(rerouted).toMatchObject({ type: 'rerouted', sessionId });
+    expect(rerouted.route.waypoints[0]).toMatchObject({ type: 'start', x: 10, y: 8 });
+    expect(next).toMatchObject({ type: 'turn', direction: 'left' });
+    expect(describeGuidance(DEVICE)).toMatchObject({ reroutes: 1, offRoute: false, nextWaypoint: 1 });
+  });
+
+  test('refuses unknown destinations and devices', () => {
+    step(2, 0.5, 0, 0);
+    expect(() => startGuidance(DEVICE, { to: 'nowhere' })).toThrow(/unknown destination/);
+    expect(() => startGuidance('guide-nobody', { to: 'Cafe' })).toThrow(/not found/);
+    expect(describeGuidance(DEVICE)).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+const { buildingToGeo, geoToBuilding, geoToLocal } = require('../utils/geo');
+const { evaluateHandover, clearDevice } = require('../services/handover.service');
+
+describe('building georeference', () => {
+  const anchor = { lat: 52.5, lng: 13.4, rotationDeg: 90, scale: 2 };
+
+  test('building +y axis points along rotationDeg, scaled to meters', () => {
+    const geo = buildingToGeo(anchor, 0, 10);
+    const enu = geoToLocal(anchor, geo.lat, geo.lng);
+    expect(enu.x).toBeCloseTo(20, 3);  // rotated 90° → due east, 10 units × 2 m
+    expect(enu.y).toBeCloseTo(0, 3);
+  });
+
+  test('geoToBuilding inverts buildingToGeo', () => {
+    const geo = buildingToGeo({ ...anchor, rotationDeg: 37 }, 12.5, -4);
+    const back = geoToBuilding({ ...anchor, rotationDeg: 37 }, geo.lat, geo.lng);
+    expect(back.x).toBeCloseTo(12.5, 6);
+    expect(back.y).toBeCloseTo(-4, 6);
+  });
+});
+
+describe('indoor/outdoor handover', () => {
+  afterEach(() => clearDevice('dev'));
+
+  test('first evidence decides the mode directly', () => {
+    expect(evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: null }, 0).mode).toBe('indoor');
+  });
+
+  test('enters only after indoor fixes persist with degraded GPS', () => {
+    evaluateHandover('dev', { indoorFix: false, gpsAccuracyM: 5 }, 0);
+    expect(evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: 40 }, 1000).mode).toBe('outdoor');
+    const entered = evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: 40 }, 3500);
+    expect(entered).toEqual({ mode: 'indoor', changed: true });
+  });
+
+  test('a brief beacon sighting next to the building does not switch', () => {
+    evaluateHandover('dev', { indoorFix: false, gpsAccuracyM: 5 }, 0);
+    evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: 5 }, 1000);
+    evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: 5 }, 4000);
+    expect(evaluateHandover('dev', { indoorFix: false, gpsAccuracyM: 5 }, 5000).mode).toBe('outdoor');
+  });
+
+  test('leaves once beacons are lost and good GPS persists', () => {
+    evaluateHandover('dev', { indoorFix: true, gpsAccuracyM: null }, 0);
+    expect(evaluateHandover('dev', { indoorFix: false, gpsAccuracyM: 5 }, 3000).mode).toBe('indoor');
+    expect(evaluateHandover('dev', { indoorFix: false, gpsAccuracyM: 5 }, 6000)).toEqual({ mode: 'outdoor', changed: true });
+  });
+});
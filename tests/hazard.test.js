@@ -0,0 +1,89 @@
+const hazardStore = require('../models/hazardStore');
+const deviceStore = require('../models/deviceStore');
+const alertStore = require('../models/alertStore');
+const { scanHazardsForDevice } = require('../services/hazard.service');
+const { buildHazardAlerts, resolveHazardAlerts } = require('../services/alert.service');
+const { RISK, RISK_LABELS } = require('../services/proximity.service');
+
+const T0 = Date.now();
+
+describe('hazard registry', () => {
+  afterEach(() => hazardStore.getAll().forEach(h => hazardStore.clear(h.hazardId)));
+
+  test('validates reports and works out the frame', () => {
+    expect(() => hazardStore.report({ type: 'lava', position: { lat: 0, lng: 0 }, radiusM: 1 })).toThrow(/type/);
+    expect(() => hazardStore.report({ type: 'spill', position: { x: 1, y: 1 }, radiusM: 1 })).toThrow(/buildingId/);
+    expect(() => hazardStore.report({ type: 'spill', position: { lat: 0, lng: 0 }, radiusM: 0 })).toThrow(/radiusM/);
+    expect(() => hazardStore.report({ type: 'spill', position: { lat: '51.5', lng: 0 }, radiusM: 1 })).toThrow(/lat/);
+    expect(() => hazardStore.report({ type: 'spill', position: { lat: 51.5, lng: null }, radiusM: 1 })).toThrow(/lng/);
+    expect(() => hazardStore.report({ type: 'spill', position: { lat: '', lng: '' }, radiusM: 1 })).toThrow(/lat/);
+
+    const hazard = hazardStore.report({ type: 'spill', buildingId: 'hq', position: { x: 1, y: 2 }, floor: 1, radiusM: 2 }, T0);
+    expect(hazard).toMatchObject({ frame: 'building', buildingId: 'hq', floor: 1, expiresAt: T0 + 3600 * 1000 });
+  });
+
+  test('expired hazards are swept with an expired change', () => {
+    const changes = [];
+    const listener = (h, change) => changes.push(change);
+    hazardStore.on('change', listener);
+    const hazard = hazardStore.report({ type: 'construction', position: { lat: 40, lng: -3.7 }, radiusM: 10, ttlSec: 60 }, T0);
+
+    expect(hazardStore.getAll(T0 + 61000)).toEqual([]);
+    expect(hazardStore.sweep(T0 + 61000)).toBe(1);
+    expect(hazardStore.get(hazard.hazardId)).toBeNull();
+    hazardStore.off('change', listener);
+    expect(changes).toEqual(['reported', 'expired']);
+  });
+});
+
+describe('hazard proximity', () => {
+  const indoor = (id, x, y, floor, heading = 90, speedMps = 1.5) => deviceStore.update(id, {
+    hasGeoPosition: false, heading, speedMps, lastUpdate: T0, trackingMode: 'indoor',
+    buildingId: 'bld_hazard', floor, indoorPosition: { x, y, floor },
+  });
+  let spill;
+
+  beforeAll(() => {
+    spill = hazardStore.report({ type: 'spill', buildingId: 'bld_hazard', position: { x: 10, y: 0 }, floor: 0, radiusM: 1.5 }, T0);
+  });
+  afterAll(() => {
+    hazardStore.clear(spill.hazardId);
+    ['hz-walker', 'hz-upstairs', 'hz-far'].forEach(id => deviceStore.remove(id));
+  });
+
+  test('warns a device walking towards a hazard on its floor only', () => {
+    indoor('hz-walker', 4, 0, 0);
+    indoor('hz-upstairs', 4, 0, 1);
+    indoor('hz-far', 4, 30, 0);
+
+    const [event] = scanHazardsForDevice('hz-walker', T0);
+    expect(event).toMatchObject({ hazardId: spill.hazardId, deviceId: 'hz-walker', distanceM: 6, clearanceM: 4.5 });
+    expect(event.riskLevel).toBeGreaterThan(0);
+    expect(scanHazardsForDevice('hz-upstairs', T0)).toEqual([]);
+    expect(scanHazardsForDevice('hz-far', T0)).toEqual([]);
+  });
+
+  test('alerts once per hazard and resolves when the hazard is cleared', () => {
+    indoor('hz-walker', 4, 0, 0);
+    const first = buildHazardAlerts('hz-walker', scanHazardsForDevice('hz-walker', T0));
+    expect(first).toHaveLength(1);
+    expect(first[0]).toMatchObject({ type: 'HAZARD_PROXIMITY', hazardType: 'spill', status: 'open' });
+    expect(buildHazardAlerts('hz-walker', scanHazardsForDevice('hz-walker', T0))).toEqual([]);
+
+    expect(resolveHazardAlerts(spill.hazardId, 'hazard cleared')).toEqual([first[0].alertId]);
+    expect(alertStore.get(first[0].alertId).status).toBe('resolved');
+  });
+
+  test('is not re-sent while the level wavers below the highest one already sent', () => {
+    const event = riskLevel => ({
+      hazardId: 'hz-wavering', hazardType: 'obstacle', deviceId: 'hz-walker', riskLevel,
+      riskLabel: RISK_LABELS[riskLevel], distanceM: 3, clearanceM: 1, tca: 0, closestApproachM: 3,
+    });
+    const send = riskLevel => buildHazardAlerts('hz-walker', [event(riskLevel)]).length;
+
+    expect(send(RISK.DANGER)).toBe(1);
+    expect(send(RISK.CRITICAL)).toBe(1);
+    expect([RISK.DANGER, RISK.CRITICAL, RISK.DANGER, RISK.CRITICAL].map(send)).toEqual([0, 0, 0, 0]);
+    resolveHazardAlerts('hz-wavering', 'hazard cleared');
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  startCalibration,
+  addCalibrationSamples,
+  getMagCalibration,
+  correctMagnetometer,
+  resetMagCalibration,
+} = require('../services/magCalibration.service');
+
+// Earth field of 48 µT seen through a hard-iron bias and a soft-iron distortion
+const FIELD_UT = 48;
+const BIAS = [12, -30, 45];
+const SOFT = [[1.2, 0.1, 0], [0.1, 0.9, 0.05], [0, 0.05, 1.05]];
+
+const distort = u => {
+  const [x, y, z] = SOFT.map((row, k) => row[0] * u[0] + row[1] * u[1] + row[2] * u[2] + BIAS[k]);
+  return { x, y, z };
+};
+
+// Deterministic spread of directions over the sphere (Fibonacci lattice)
+const rotationSamples = n => Array.from({ length: n }, (_, i) => {
+  const z = 1 - (2 * (i + 0.5)) / n;
+  const r = Math.sqrt(1 - z * z);
+  const phi = i * Math.PI * (3 - Math.sqrt(5));
+  return distort([FIELD_UT * r * Math.cos(phi), FIELD_UT * r * Math.sin(phi), FIELD_UT * z]);
+});
+
+describe('magnetometer calibration', () => {
+  afterEach(() => resetMagCalibration('mag-dev'));
+
+  test('samples are rejected without a running session', () => {
+    expect(addCalibrationSamples('mag-dev', rotationSamples(5)).error).toBeDefined();
+  });
+
+  test('samples that are not an array are rejected', () => {
+    startCalibration('mag-dev');
+    const result = addCalibrationSamples('mag-dev', { x: 1, y: 2, z: 3 });
+    expect(result.error).toBeDefined();
+    expect(result.progress).toMatchObject({ status: 'collecting', sampleCount: 0 });
+  });
+
+  test('keeps collecting while orientations are missing', () => {
+    startCalibration('mag-dev');
+    // Only the upper hemisphere
+    const result = addCalibrationSamples('mag-dev', rotationSamples(200).slice(0, 100));
+    expect(result.calibration).toBeNull();
+    expect(result.progress.status).toBe('collecting');
+  });
+
+  test('fits hard and soft iron from a full rotation', () => {
+    startCalibration('mag-dev');
+    const { calibration } = addCalibrationSamples('mag-dev', rotationSamples(100));
+    expect(calibration).toMatchObject({ calibrated: true, quality: 'good' });
+    calibration.hardIron.forEach((v, i) => expect(v).toBeCloseTo(BIAS[i], 1));
+
+    // Every corrected reading has the same magnitude
+    const cal = getMagCalibration('mag-dev');
+    const magnitudes = rotationSamples(30).map(m => {
+      const c = correctMagnetometer(cal, m);
+      return Math.hypot(c.x, c.y, c.z);
+    });
+    for (const m of magnitudes) expect(m / cal.fieldStrengthUt).toBeCloseTo(1, 3);
+  });
+});
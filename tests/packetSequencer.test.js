@@ -0,0 +1,89 @@
+const { submitPacket, getSequencerStats, clearDevice } = require('../services/packetSequencer.service');
+const deviceStore = require('../models/deviceStore');
+const config = require('../config/config');
+
+// Owns the device store 'expired' subscription
+require('../services/deviceCleanup.service');
+
+describe('packet sequencer', () => {
+  const DEVICE_CLOCK_BEHIND_MS = 3_600_000;  // device clock an hour slow
+  let processed;
+  const handle = (payload, timing) => processed.push({ id: payload.id, ...timing });
+  const send = (id, deviceTimestamp) => submitPacket('seq-dev', { deviceId: 'seq-dev', id, timestamp: deviceTimestamp }, handle);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(10_000_000);
+    processed = [];
+  });
+
+  afterEach(() => {
+    clearDevice('seq-dev');
+    jest.useRealTimers();
+  });
+
+  test('reorders packets overtaken in the network', () => {
+    const t0 = Date.now() - DEVICE_CLOCK_BEHIND_MS;
+    send('b', t0 + 20);
+    jest.advanceTimersByTime(10);
+    send('a', t0);
+    jest.advanceTimersByTime(200);
+    expect(processed.map(p => p.id)).toEqual(['a', 'b']);
+  });
+
+  test('drops duplicates and packets that arrive after their slot', () => {
+    const t0 = Date.now() - DEVICE_CLOCK_BEHIND_MS;
+    send('a', t0);
+    expect(send('a-again', t0)).toBe('duplicate');
+    jest.advanceTimersByTime(200);
+    expect(send('stale', t0 - 50)).toBe('late');
+    expect(processed.map(p => p.id)).toEqual(['a']);
+    expect(getSequencerStats('seq-dev')).toMatchObject({ duplicates: 1, late: 1, processed: 1 });
+  });
+
+  test('maps device time onto the server clock, ignoring network jitter', () => {
+    const start = Date.now();
+    const deviceStart = start - DEVICE_CLOCK_BEHIND_MS;
+    const latencies = [40, 5, 120, 60, 10];  // sent every 100ms, received after varying delays
+    latencies.forEach((latency, i) => {
+      jest.setSystemTime(start + i * 100 + latency);
+      send(`p${i}`, deviceStart + i * 100);
+    });
+    jest.advanceTimersByTime(300);
+
+    // Offset = clock difference + the smallest latency seen (5ms)
+    expect(getSequencerStats('seq-dev').clockOffsetMs).toBe(DEVICE_CLOCK_BEHIND_MS + 5);
+    const times = processed.map(p => p.packetTime);
+    expect(times.slice(1).map((t, i) => t - times[i]).every(dt => dt === 100)).toBe(true);
+  });
+
+  test('processes packets without a device timestamp immediately', () => {
+    expect(submitPacket('seq-dev', { deviceId: 'seq-dev', id: 'x' }, handle)).toBe('processed');
+    expect(processed[0]).toMatchObject({ id: 'x', deviceTimestamp: null, packetTime: Date.now() });
+  });
+
+  test('keeps going when one packet fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failOnB = (payload, timing) => {
+      if (payload.id === 'b') throw new Error('bad packet');
+      handle(payload, timing);
+    };
+    const t0 = Date.now() - DEVICE_CLOCK_BEHIND_MS;
+    ['a', 'b', 'c'].forEach((id, i) => submitPacket('seq-dev', { deviceId: 'seq-dev', id, timestamp: t0 + i }, failOnB));
+    expect(() => jest.advanceTimersByTime(200)).not.toThrow();
+    expect(processed.map(p => p.id)).toEqual(['a', 'c']);
+    expect(console.error).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  test('forgets devices that expire from the device store', () => {
+    deviceStore.update('seq-dev', {});
+    send('a', Date.now() - DEVICE_CLOCK_BEHIND_MS);
+    jest.advanceTimersByTime(200);
+    expect(getSequencerStats('seq-dev')).not.toBeNull();
+
+    jest.setSystemTime(Date.now() + config.DEVICE_TTL_MS + 1);
+    deviceStore._pruneStaleDevices();
+    expect(getSequencerStats('seq-dev')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const { ParticleFilter } = require('../utils/particleFilter');
+const { parseFloorPlan, crossesWall } = require('../utils/floorPlan');
+
+// Deterministic uniform generator so particle clouds are reproducible
+function seededRng(seed) {
+  let t = seed;
+  return () => {
+    t = (t + 0x6d2b79f5) | 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A wall along x = 5 from y = -10 to y = 10
+const WALLS = parseFloorPlan({
+  type: 'FeatureCollection',
+  features: [{ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[5, -10], [5, 10]] } }],
+});
+
+describe('floor plan', () => {
+  test('parses line strings into segments', () => {
+    expect(WALLS).toEqual([{ x1: 5, y1: -10, x2: 5, y2: 10, floor: null }]);
+  });
+
+  test('detects moves across a wall', () => {
+    expect(crossesWall(WALLS, { x: 4, y: 0 }, { x: 6, y: 0 })).toBe(true);
+    expect(crossesWall(WALLS, { x: 4, y: 0 }, { x: 4, y: 3 })).toBe(false);
+    expect(crossesWall(WALLS, { x: 4, y: 12 }, { x: 6, y: 12 })).toBe(false);
+  });
+
+  test('rejects unsupported geometry', () => {
+    expect(() => parseFloorPlan({ type: 'Point', coordinates: [0, 0] })).toThrow(/unsupported/);
+  });
+});
+
+describe('ParticleFilter', () => {
+  test('particles cannot walk through a wall', () => {
+    const pf = new ParticleFilter({ count: 200, rng: seededRng(1) });
+    pf.initialize(3, 0, 0.5, WALLS);
+    // Walk east (heading 90°) towards the wall for 6 m
+    for (let i = 0; i < 6; i++) {
+      pf.propagate({ distance: 1, heading: Math.PI / 2, distanceSigma: 0.1, headingSigma: 0.05, walls: WALLS });
+    }
+    expect(pf.particles.every(p => p.x < 5)).toBe(true);
+  });
+
+  test('beacon ranges pull the cloud towards the true position', () => {
+    const pf = new ParticleFilter({ count: 500, rng: seededRng(7) });
+    pf.initialize(0, 0, 4);
+    const truth = { x: 1.5, y: -1 };
+    const beacons = [{ x: -5, y: -5 }, { x: 5, y: -5 }, { x: 0, y: 6 }]
+      .map(b => ({ ...b, dist: Math.hypot(truth.x - b.x, truth.y - b.y), sigma: 0.5 }));
+    pf.weightByRanges(beacons);
+    const est = pf.estimate();
+    expect(Math.hypot(est.x - truth.x, est.y - truth.y)).toBeLessThan(0.7);
+    expect(est.spreadM).toBeLessThan(2);
+  });
+});
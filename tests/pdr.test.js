@@ -0,0 +1,89 @@
+const config = require('../config/config');
+const { setUserHeight, estimateStepLength, processAccelSample, getWalkStats, clearDevice } = require('../services/pdr.service');
+const sensorFusion = require('../services/sensorFusion.service');
+
+const { PDR } = config;
+const G = 9.80665;
+const T0 = 1_700_000_000_000;
+// Phone lying flat; `extra` is acceleration on top of gravity along z
+const accel = extra => ({ x: 0, y: 0, z: G + extra });
+const PEAK = PDR.STEP_PEAK_THRESHOLD + 0.5;
+
+describe('step length', () => {
+  afterEach(() => clearDevice('pdr-h'));
+
+  test('scales with the registered height', () => {
+    expect(getWalkStats('pdr-h').heightM).toBe(PDR.DEFAULT_USER_HEIGHT_M);
+    setUserHeight('pdr-h', 1.8);
+    expect(getWalkStats('pdr-h').heightM).toBe(1.8);
+    expect(processAccelSample('pdr-h', accel(PEAK), T0).stepLengthM).toBeCloseTo(estimateStepLength(1.8));
+    expect(estimateStepLength(1.8)).toBeCloseTo(1.8 * PDR.STEP_LENGTH_HEIGHT_RATIO);
+  });
+
+  test('ignores implausible heights', () => {
+    setUserHeight('pdr-h', 1.6);
+    [PDR.MAX_USER_HEIGHT_M + 0.1, PDR.MIN_USER_HEIGHT_M - 0.1, 'tall', null, NaN].forEach(h => setUserHeight('pdr-h', h));
+    expect(getWalkStats('pdr-h').heightM).toBe(1.6);
+  });
+});
+
+describe('step detection', () => {
+  afterEach(() => clearDevice('pdr-s'));
+
+  test('counts a step on a peak and re-arms only below the reset threshold', () => {
+    expect(processAccelSample('pdr-s', accel(PDR.STEP_PEAK_THRESHOLD - 0.2), T0)).toBeNull();
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + 100)).not.toBeNull();
+    // Still high, then between the thresholds: the same step
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + 500)).toBeNull();
+    expect(processAccelSample('pdr-s', accel((PDR.STEP_PEAK_THRESHOLD + PDR.STEP_RESET_THRESHOLD) / 2), T0 + 600)).toBeNull();
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + 700)).toBeNull();
+
+    expect(processAccelSample('pdr-s', accel(0), T0 + 800)).toBeNull();
+    const step = processAccelSample('pdr-s', accel(PEAK), T0 + 900);
+    expect(step.cadenceSpeedMps).toBeCloseTo(step.stepLengthM / 0.8);
+    expect(getWalkStats('pdr-s')).toMatchObject({ stepCount: 2, distanceWalkedM: Math.round(2 * step.stepLengthM * 100) / 100 });
+  });
+
+  test('treats peaks closer than MIN_STEP_INTERVAL_MS as bounce', () => {
+    processAccelSample('pdr-s', accel(PEAK), T0);
+    processAccelSample('pdr-s', accel(0), T0 + 50);
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + PDR.MIN_STEP_INTERVAL_MS - 50)).toBeNull();
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + PDR.MIN_STEP_INTERVAL_MS)).not.toBeNull();
+    expect(getWalkStats('pdr-s').stepCount).toBe(2);
+  });
+
+  test('a step after a long pause says nothing about speed', () => {
+    processAccelSample('pdr-s', accel(PEAK), T0);
+    processAccelSample('pdr-s', accel(0), T0 + 100);
+    expect(processAccelSample('pdr-s', accel(PEAK), T0 + PDR.MAX_STEP_INTERVAL_MS + 1).cadenceSpeedMps).toBeNull();
+  });
+});
+
+describe('indoor dead reckoning', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => {
+    sensorFusion.clearDevice('pdr-walker');
+    jest.useRealTimers();
+  });
+
+  test('each step moves the indoor position along the heading', () => {
+    // A fix in building coordinates puts the device indoors
+    jest.setSystemTime(T0);
+    sensorFusion.applyPositionFix('pdr-walker', { frame: 'building', x: 0, y: 0, sigmaM: 0.5 });
+    const east = { x: 0, y: -30, z: -40 };  // flat phone with its top edge pointing east
+
+    let steps = 0;
+    for (let t = 0; t <= 4000; t += 250) {
+      const peak = t % 500 === 0;
+      jest.setSystemTime(T0 + t);
+      const fused = sensorFusion.fuseSensors('pdr-walker', { accelerometer: accel(peak ? PEAK : 0), magnetometer: east });
+      if (fused.stepDetected) steps += 1;
+    }
+
+    const estimate = sensorFusion.getPositionEstimate('pdr-walker');
+    expect(steps).toBe(9);
+    expect(estimate.heading).toBeCloseTo(90, 0);
+    expect(estimate.x).toBeCloseTo(steps * estimateStepLength(PDR.DEFAULT_USER_HEIGHT_M), 0);
+    expect(Math.abs(estimate.y)).toBeLessThan(0.5);
+  });
+});
@@ -0,0 +1,43 @@
+const { multilaterate } = require('../services/positioning.service');
+
+// Beacons on a 20m square plus interior stations, ranges measured from (7, 4)
+const TRUE_POS = { x: 7, y: 4 };
+const STATIONS = [
+  { deviceId: 'A', x: 0,  y: 0 },
+  { deviceId: 'B', x: 20, y: 0 },
+  { deviceId: 'C', x: 0,  y: 20 },
+  { deviceId: 'D', x: 20, y: 20 },
+  { deviceId: 'E', x: 10, y: 10 },
+  { deviceId: 'F', x: 5,  y: 15 },
+];
+const ranged = (stations, pos = TRUE_POS) =>
+  stations.map(s => ({ ...s, dist: Math.hypot(pos.x - s.x, pos.y - s.y), sigma: 1 }));
+
+describe('multilaterate', () => {
+  test('requires at least three beacons', () => {
+    expect(multilaterate(ranged(STATIONS.slice(0, 2)))).toBeNull();
+  });
+
+  test('uses every beacon and recovers the position', () => {
+    const fix = multilaterate(ranged(STATIONS));
+    expect(fix.x).toBeCloseTo(TRUE_POS.x, 3);
+    expect(fix.y).toBeCloseTo(TRUE_POS.y, 3);
+    expect(fix.usedBeacons).toHaveLength(STATIONS.length);
+    expect(fix.rejectedBeacons).toEqual([]);
+    expect(fix.accuracyM).toBeGreaterThan(0);
+    expect(fix.dop).toBeGreaterThan(0);
+  });
+
+  test('rejects an outlier beacon', () => {
+    const beacons = ranged(STATIONS);
+    beacons[3].dist += 12;  // D reads far too weak (e.g. body shadowing)
+    const fix = multilaterate(beacons);
+    expect(fix.rejectedBeacons).toEqual(['D']);
+    expect(Math.hypot(fix.x - TRUE_POS.x, fix.y - TRUE_POS.y)).toBeLessThan(0.5);
+  });
+
+  test('returns null for collinear beacons', () => {
+    const line = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }];
+    expect(multilaterate(ranged(line, { x: 3, y: 0 }))).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+const { closestApproach, assessRisk, RISK } = require('../services/proximity.service');
+const { localToGeo } = require('../utils/geo');
+
+const ORIGIN = { lat: 40.0, lng: -3.7 };
+const NOW = 1_700_000_000_000;
+const device = (x, y, heading, speedMps) => ({ ...localToGeo(ORIGIN, x, y), heading, speedMps, lastUpdate: NOW });
+
+describe('closest approach', () => {
+  test('head-on devices meet halfway', () => {
+    // 20m apart on the east-west axis, walking towards each other at 2 m/s each
+    const a = closestApproach(device(0, 0, 90, 2), device(20, 0, 270, 2), NOW);
+    expect(a.distanceM).toBeCloseTo(20, 1);
+    expect(a.tca).toBeCloseTo(5, 1);
+    expect(a.closestApproachM).toBeCloseTo(0, 1);
+    expect(a.closingSpeedMps).toBeCloseTo(4, 1);
+  });
+
+  test('diverging devices are closest now', () => {
+    const a = closestApproach(device(0, 0, 270, 2), device(20, 0, 90, 2), NOW);
+    expect(a.tca).toBe(0);
+    expect(a.closestApproachM).toBeCloseTo(20, 1);
+  });
+
+  test('projects stale positions forward to now', () => {
+    const stale = { ...device(0, 0, 90, 2), lastUpdate: NOW - 1000 };
+    const a = closestApproach(stale, device(20, 0, 0, 0), NOW);
+    expect(a.distanceM).toBeCloseTo(18, 1);
+  });
+});
+
+describe('risk grading', () => {
+  test('predicts danger before the devices are close', () => {
+    expect(assessRisk({ distanceM: 16, tca: 4, closestApproachM: 0.5 })).toBe(RISK.DANGER);
+    expect(assessRisk({ distanceM: 8, tca: 1.5, closestApproachM: 0.5 })).toBe(RISK.CRITICAL);
+    expect(assessRisk({ distanceM: 30, tca: 8, closestApproachM: 3 })).toBe(RISK.CAUTION);
+  });
+
+  test('passing wide of each other is safe', () => {
+    expect(assessRisk({ distanceM: 30, tca: 6, closestApproachM: 12 })).toBe(RISK.SAFE);
+  });
+
+  test('current distance alone still counts', () => {
+    expect(assessRisk({ distanceM: 1.5, tca: 0, closestApproachM: 1.5 })).toBe(RISK.CRITICAL);
+    expect(assessRisk({ distanceM: 4, tca: 0, closestApproachM: 4 })).toBe(RISK.DANGER);
+  });
+});
+
+describe('proximity scan', () => {
+  const deviceStore = require('../models/deviceStore');
+  const { scanProximity, scanProximityForDevice } = require('../services/proximity.service');
+  const ids = [];
+  const place = (id, x, y, heading, speedMps, floor = null) => {
+    ids.push(id);
+    const trackingMode = floor === null ? 'outdoor' : 'indoor';
+    deviceStore.update(id, { ...device(x, y, heading, speedMps), lastUpdate: Date.now(), floor, trackingMode });
+  };
+  const involving = (events, id) => events.filter(e => e.deviceA === id || e.deviceB === id);
+
+  afterAll(() => ids.forEach(id => deviceStore.remove(id)));
+
+  test('finds a fast approaching pair from far apart', () => {
+    place('prox-a', 0, 0, 90, 10);
+    place('prox-b', 150, 0, 270, 0);
+    expect(involving(scanProximity(), 'prox-a')).toHaveLength(0);  // 150m gap closes in 15s
+
+    place('prox-b', 90, 0, 270, 0);
+    const events = involving(scanProximity(), 'prox-a');
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ deviceA: 'prox-a', deviceB: 'prox-b' });
+    expect(involving(scanProximityForDevice('prox-b'), 'prox-a')).toHaveLength(1);
+  });
+
+  test('ignores devices on another floor', () => {
+    place('prox-f1', 500, 500, 0, 0, 1);
+    place('prox-f2', 501, 500, 0, 0, 2);
+    place('prox-fx', 500, 501, 0, 0);
+    const events = involving(scanProximity(), 'prox-f1');
+    expect(events.map(e => e.deviceB)).toEqual(['prox-fx']);
+  });
+
+  test('compares outdoor devices whatever floor they were last on', () => {
+    place('prox-o1', 700, 700, 0, 0);
+    deviceStore.update('prox-o2', { ...device(701, 700, 0, 0), lastUpdate: Date.now(), floor: 3, trackingMode: 'outdoor' });
+    ids.push('prox-o2');
+    expect(involving(scanProximity(), 'prox-o1').map(e => e.deviceB)).toEqual(['prox-o2']);
+  });
+});
+
+describe('indoor frames', () => {
+  const deviceStore = require('../models/deviceStore');
+  const buildingStore = require('../models/buildingStore');
+  const { scanProximity, pairOffset } = require('../services/proximity.service');
+  const { distanceBetween } = require('../services/positioning.service');
+  const ids = [];
+  const indoor = (id, buildingId, x, y, floor) => {
+    ids.push(id);
+    // lat/lng left at 0,0 as positioning does before any geo fix
+    deviceStore.update(id, {
+      lat: 0, lng: 0, hasGeoPosition: false, heading: 0, speedMps: 0, lastUpdate: Date.now(),
+      trackingMode: 'indoor', buildingId, floor, indoorPosition: { x, y, floor },
+    });
+  };
+  const involving = (events, id) => events.filter(e => e.deviceA === id || e.deviceB === id);
+
+  beforeAll(() => {
+    buildingStore.upsert('bld_prox_local', {});
+    buildingStore.upsert('bld_prox_geo', { anchor: { ...ORIGIN, rotationDeg: 90 } });
+  });
+  afterAll(() => {
+    ids.forEach(id => deviceStore.remove(id));
+    buildingStore.remove('bld_prox_local');
+    buildingStore.remove('bld_prox_geo');
+  });
+
+  test('compares devices in a building without a georeference in building meters', () => {
+    indoor('in-a', 'bld_prox_local', 0, 0, 0);
+    indoor('in-b', 'bld_prox_local', 50, 0, 0);
+    indoor('in-c', 'bld_prox_local', 1, 0, 0);
+    expect(distanceBetween(deviceStore.get('in-a'), deviceStore.get('in-b'))).toBeCloseTo(50);
+    expect(involving(scanProximity(), 'in-b')).toHaveLength(0);
+    expect(involving(scanProximity(), 'in-a').map(e => e.deviceB)).toEqual(['in-c']);
+  });
+
+  test('never compares across floors', () => {
+    indoor('in-up', 'bld_prox_local', 0, 0, 1);
+    expect(pairOffset(deviceStore.get('in-a'), deviceStore.get('in-up'))).toBeNull();
+    expect(involving(scanProximity(), 'in-up')).toHaveLength(0);
+  });
+
+  test('devices without a shared frame are not compared', () => {
+    ids.push('out-zero');
+    deviceStore.update('out-zero', { lat: 0, lng: 0, heading: 0, speedMps: 0, lastUpdate: Date.now() });
+    indoor('in-other', 'bld_prox_other', 0, 0, 0);
+    expect(involving(scanProximity(), 'out-zero')).toHaveLength(0);
+    expect(distanceBetween(deviceStore.get('in-a'), deviceStore.get('in-other'))).toBeNull();
+  });
+
+  test('converts positions in a georeferenced building to lat/lng for mixed pairs', () => {
+    // Building +y points east: building (0, 30) is 30m east of the anchor
+    indoor('in-geo', 'bld_prox_geo', 0, 30, 0);
+    ids.push('out-geo');
+    deviceStore.update('out-geo', { ...device(31, 0, 0, 0), lastUpdate: Date.now(), trackingMode: 'outdoor' });
+    expect(distanceBetween(deviceStore.get('in-geo'), deviceStore.get('out-geo'))).toBeCloseTo(1, 1);
+    expect(involving(scanProximity(), 'in-geo').map(e => e.deviceB)).toEqual(['out-geo']);
+  });
+});
@@ -0,0 +1,113 @@
+const { io: connect } = require('socket.io-client');
+const { httpServer } = require('../server');
+const zoneStore = require('../models/zoneStore');
+
+// A restricted yard around the GPS fix device B reports from
+const YARD = { lat: 40.4168, lng: -3.7038 };
+const d = 0.001;
+
+describe('targeted socket delivery', () => {
+  let url;
+  const sockets = [];
+
+  /** Connect and record every event the socket receives */
+  async function client() {
+    const socket = connect(url, { transports: ['websocket'], forceNew: true });
+    socket.received = [];
+    socket.onAny((event, payload) => socket.received.push({ event, payload }));
+    sockets.push(socket);
+    await new Promise(resolve => socket.once('connect', resolve));
+    return socket;
+  }
+
+  /** Emit and wait for the reply event */
+  const request = (socket, event, payload, reply) =>
+    new Promise(resolve => { socket.once(reply, resolve); socket.emit(event, payload); });
+
+  const waitFor = async (check, timeoutMs = 3000) => {
+    const start = Date.now();
+    while (!check()) {
+      if (Date.now() - start > timeoutMs) throw new Error('timed out waiting');
+      await new Promise(r => setTimeout(r, 10));
+    }
+  };
+
+  const packet = (deviceId, lat, lng) => ({
+    deviceId, gps: { lat, lng, accuracy: 3 },
+    accelerometer: { x: 0, y: 0, z: 9.81 }, gyroscope: { x: 0, y: 0, z: 0 }, magnetometer: { x: 20, y: 0, z: -40 },
+  });
+
+  beforeAll(async () => {
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}`;
+    zoneStore.upsert('sock-yard', {
+      name: 'Yard', type: 'restricted', frame: 'geo',
+      polygon: [[YARD.lng - d, YARD.lat - d], [YARD.lng + d, YARD.lat - d], [YARD.lng + d, YARD.lat + d], [YARD.lng - d, YARD.lat + d]],
+    });
+  });
+
+  afterAll(async () => {
+    sockets.forEach(s => s.disconnect());
+    zoneStore.remove('sock-yard');
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  test('devices only hear about themselves; monitors get what they subscribed to', async () => {
+    const a = await client();
+    const b = await client();
+    const zoneMonitor = await client();
+    const collisionMonitor = await client();
+    await request(a, 'register', { deviceId: 'sock-a' }, 'registered');
+    await request(b, 'register', { deviceId: 'sock-b' }, 'registered');
+    await request(zoneMonitor, 'join_monitors', { types: ['ZONE_ENTERED'] }, 'monitors:joined');
+    await request(collisionMonitor, 'join_monitors', { severities: ['collision'] }, 'monitors:joined');
+
+    a.emit('sensor:update', packet('sock-a', YARD.lat + 0.01, YARD.lng));
+    b.emit('sensor:update', packet('sock-b', YARD.lat, YARD.lng));
+
+    const alertsOf = socket => socket.received.filter(r => r.event === 'alert').map(r => r.payload);
+    const positionsOf = socket => socket.received.filter(r => r.event === 'position:update').map(r => r.payload.deviceId);
+    await waitFor(() => alertsOf(b).length && alertsOf(zoneMonitor).length && positionsOf(a).length);
+    await new Promise(r => setTimeout(r, 100));  // let anything misdirected arrive too
+
+    expect(alertsOf(b)).toEqual([expect.objectContaining({ type: 'ZONE_ENTERED', deviceId: 'sock-b' })]);
+    expect(alertsOf(zoneMonitor)).toEqual([expect.objectContaining({ type: 'ZONE_ENTERED', deviceId: 'sock-b' })]);
+    expect(alertsOf(a)).toEqual([]);
+    expect(alertsOf(collisionMonitor)).toEqual([]);
+
+    expect(positionsOf(a)).toEqual(['sock-a']);
+    expect(positionsOf(b)).toEqual(['sock-b']);
+    expect(positionsOf(zoneMonitor).sort()).toEqual(['sock-a', 'sock-b']);
+  });
+
+  test('calibration events without a payload fall back to the registered device', async () => {
+    const a = await client();
+    await request(a, 'register', { deviceId: 'sock-cal' }, 'registered');
+
+    const started = await request(a, 'calibration:start', null, 'calibration:progress');
+    expect(started).toMatchObject({ deviceId: 'sock-cal', status: 'collecting' });
+    const sampled = await request(a, 'calibration:sample', null, 'calibration:progress');
+    expect(sampled).toMatchObject({ deviceId: 'sock-cal', sampleCount: 0 });
+
+    const rejected = await request(a, 'calibration:sample', { samples: { x: 1, y: 2, z: 3 } }, 'calibration:error');
+    expect(rejected).toMatchObject({ deviceId: 'sock-cal', error: 'samples must be an array' });
+  });
+
+  test('guidance events without a payload fall back to the registered device', async () => {
+    const a = await client();
+    await request(a, 'register', { deviceId: 'sock-guide' }, 'registered');
+
+    const refused = await request(a, 'navigation:start', null, 'navigation:error');
+    expect(refused).toMatchObject({ deviceId: 'sock-guide' });
+    a.emit('navigation:stop', null);
+    // Still served afterwards
+    await request(a, 'register', { deviceId: 'sock-guide' }, 'registered');
+  });
+
+  test('register without a deviceId is refused', async () => {
+    const a = await client();
+    const refused = await request(a, 'register', { deviceClass: 'vehicle' }, 'register:error');
+    expect(refused).toEqual({ deviceId: null, error: 'deviceId is required' });
+    await request(a, 'register', null, 'register:error');
+  });
+});
@@ -0,0 +1,69 @@
+const config = require('../config/config');
+const deviceStore = require('../models/deviceStore');
+const { scanProximityForDevice } = require('../services/proximity.service');
+const { buildProximityAlerts, buildSpeedAlert, sweepStaleRisks } = require('../services/alert.service');
+const { listRiskStates } = require('../services/riskState.service');
+const { localToGeo } = require('../utils/geo');
+
+const ORIGIN = { lat: 40.0, lng: -3.7 };
+const T0 = Date.now();
+const { ALERTS } = config;
+
+describe('risk state machine', () => {
+  const ids = [];
+  const place = (id, x) => {
+    if (!ids.includes(id)) ids.push(id);
+    deviceStore.update(id, { ...localToGeo(ORIGIN, x, 0), heading: 0, speedMps: 0, lastUpdate: T0 });
+  };
+  // Move rs-b to x and run rs-b's scan at time t
+  const step = (x, t) => {
+    place('rs-b', x);
+    return buildProximityAlerts('rs-b', scanProximityForDevice('rs-b'), t).map(a => a.type);
+  };
+
+  afterAll(() => ids.forEach(id => deviceStore.remove(id)));
+
+  test('hovering on the collision boundary does not flap or repeat', () => {
+    place('rs-a', 0);
+    expect(step(1.9, T0)).toEqual(['COLLISION_WARNING']);
+    // 1.9 ↔ 2.1 m is inside the exit band of the 2 m collision distance
+    for (let i = 1; i <= 8; i++) expect(step(i % 2 ? 2.1 : 1.9, T0 + i * 500)).toEqual([]);
+  });
+
+  test('a long collision state is escalated to monitors once', () => {
+    const t = T0 + ALERTS.MONITOR_ESCALATION_SEC * 1000 + 1000;
+    const [persistent] = buildProximityAlerts('rs-b', scanProximityForDevice('rs-b'), t);
+    expect(persistent).toMatchObject({ type: 'COLLISION_PERSISTENT', audience: 'monitors' });
+    expect(step(1.9, t + 500)).toEqual([]);
+
+    const pair = listRiskStates().pairs.find(p => p.deviceIds.includes('rs-a') && p.deviceIds.includes('rs-b'));
+    expect(pair).toMatchObject({ riskLabel: 'CRITICAL', escalatedToMonitors: true });
+  });
+
+  test('escalates only upwards and clears once after the confirm time', () => {
+    const t = T0 + 60000;
+    expect(step(4, t)).toEqual([]);                              // silently down to DANGER
+    expect(step(1.5, t + 500)).toEqual(['COLLISION_WARNING']);   // back up is an escalation
+    expect(step(20, t + 1000)).toEqual([]);
+    const cleared = buildProximityAlerts('rs-b', scanProximityForDevice('rs-b'), t + 1000 + ALERTS.CLEAR_CONFIRM_MS);
+    expect(cleared).toHaveLength(1);
+    expect(cleared[0]).toMatchObject({ type: 'RISK_CLEARED', previousRiskLabel: 'CRITICAL' });
+    expect(cleared[0].resolvedAlertIds).toHaveLength(2);
+    expect(step(20, t + 5000)).toEqual([]);
+  });
+
+  test('speeding is raised once and cleared below the exit speed', () => {
+    const device = speedMps => ({ deviceId: 'rs-speed', deviceClass: 'robot', speedMps });
+    expect(buildSpeedAlert(device(2), T0)).toMatchObject({ type: 'SPEED_EXCEEDED' });
+    expect(buildSpeedAlert(device(2.2), T0 + 500)).toBeNull();
+    expect(buildSpeedAlert(device(1.45), T0 + 1000)).toBeNull();   // under the limit, above the exit speed
+    expect(buildSpeedAlert(device(1), T0 + 1500)).toBeNull();
+    expect(buildSpeedAlert(device(1), T0 + 1500 + ALERTS.CLEAR_CONFIRM_MS)).toMatchObject({ type: 'RISK_CLEARED', condition: 'speed' });
+  });
+
+  test('risks of devices that stopped reporting are cleared by the sweep', () => {
+    buildSpeedAlert({ deviceId: 'rs-gone', deviceClass: 'robot', speedMps: 3 }, T0);
+    const cleared = sweepStaleRisks(T0 + ALERTS.AUTO_RESOLVE_MS);
+    expect(cleared.map(a => a.deviceId)).toContain('rs-gone');
+  });
+});
@@ -0,0 +1,102 @@
+const navGraphStore = require('../models/navGraphStore');
+const deviceStore = require('../models/deviceStore');
+const { parseNavGraph } = require('../utils/navGraph');
+const { planRoute } = require('../services/routing.service');
+
+// Two floors: a corridor A–B with a café off B on the ground floor, stairs at B
+// and an elevator at A up to a meeting room between them on floor 1
+const GRAPH = {
+  nodes: [
+    { id: 'A', x: 0, y: 0, floor: 0, type: 'elevator' },
+    { id: 'B', x: 20, y: 0, floor: 0, type: 'stairs' },
+    { id: 'C', x: 20, y: 10, floor: 0, type: 'poi', name: 'Cafe' },
+    { id: 'A1', x: 0, y: 0, floor: 1, type: 'elevator' },
+    { id: 'B1', x: 20, y: 0, floor: 1, type: 'stairs' },
+    { id: 'D1', x: 10, y: 5, floor: 1, type: 'poi', name: 'Meeting room' },
+    { id: 'X', x: 50, y: 0, floor: 0 },
+  ],
+  edges: [
+    { from: 'A', to: 'B' },
+    { from: 'B', to: 'C', type: 'door' },
+    { from: 'B', to: 'B1', type: 'stairs' },
+    { from: 'A', to: 'A1', type: 'elevator' },
+    { from: 'A1', to: 'D1' },
+    { from: 'B1', to: 'D1' },
+    { from: 'X', to: 'B', oneWay: true },
+  ],
+};
+
+describe('navigation graph', () => {
+  test('rejects malformed graphs', () => {
+    expect(() => parseNavGraph({ nodes: [] })).toThrow(/edges/);
+    expect(() => parseNavGraph({ nodes: [{ id: 'a', x: 0, y: 0, floor: 0 }], edges: [{ from: 'a', to: 'z' }] }))
+      .toThrow(/unknown node/);
+    expect(() => parseNavGraph({ nodes: GRAPH.nodes, edges: [{ from: 'A', to: 'A1' }] })).toThrow(/change floor/);
+  });
+});
+
+describe('route planning', () => {
+  beforeAll(() => navGraphStore.set('bld_route', GRAPH));
+  afterAll(() => {
+    navGraphStore.remove('bld_route');
+    deviceStore.remove('route-walker');
+  });
+
+  const from = { buildingId: 'bld_route', x: 2, y: 1, floor: 0 };
+
+  test('joins the nearest corridor and walks to a point of interest by name', () => {
+    const route = planRoute({ from, to: 'cafe' });
+    expect(route.destination).toEqual({ nodeId: 'C', name: 'Cafe', floor: 0 });
+    expect(route.waypoints.map(w => w.nodeId ?? w.type)).toEqual(['start', 'join', 'B', 'C']);
+    expect(route.waypoints[1]).toMatchObject({ x: 2, y: 0, distanceFromStartM: 1 });
+    expect(route.distanceM).toBeCloseTo(29);
+    expect(route.etaSec).toBeCloseTo(29 / 1.2, 1);
+  });
+
+  test('takes the quicker stairs, or the elevator on a step-free route', () => {
+    const stairs = planRoute({ from, to: 'D1' });
+    expect(stairs.waypoints.map(w => w.via)).toEqual([null, 'corridor', 'corridor', 'stairs', 'corridor']);
+    expect(stairs.distanceM).toBeCloseTo(19 + 7 + Math.hypot(10, 5), 1);
+    expect(stairs.floors).toEqual([0, 1]);
+
+    const lift = planRoute({ from, to: 'D1', accessible: true });
+    expect(lift.waypoints.map(w => w.nodeId).filter(Boolean)).toEqual(['A', 'A1', 'D1']);
+    expect(lift.etaSec).toBeGreaterThan(stairs.etaSec);
+  });
+
+  test('starts from a device indoor position and its class', () => {
+    deviceStore.update('route-walker', {
+      buildingId: 'bld_route', deviceClass: 'wheelchair', indoorPosition: { x: 18, y: 1, floor: 0 },
+    });
+    const route = planRoute({ deviceId: 'route-walker', to: 'Meeting room' });
+    expect(route).toMatchObject({ deviceId: 'route-walker', accessible: true });
+    expect(route.waypoints.map(w => w.nodeId).filter(Boolean)).toEqual(['A', 'A1', 'D1']);
+  });
+
+  test('respects one-way edges and reports bad requests', () => {
+    expect(planRoute({ from: { buildingId: 'bld_route', nodeId: 'C' }, to: 'X' })).toBeNull();
+    expect(() => planRoute({ from, to: 'nowhere' })).toThrow(/unknown destination/);
+    expect(() => planRoute({ from: { buildingId: 'bld_none', x: 0, y: 0, floor: 0 }, to: 'C' })).toThrow(/no navigation graph/);
+  });
+
+  test('finds a quicker edge whose authored length is shorter than its ends are apart', () => {
+    // The tunnel T is far off the straight line but only 2 m long in total
+    navGraphStore.set('bld_tunnel', {
+      nodes: [
+        { id: 'S', x: 0, y: 0, floor: 0 },
+        { id: 'G', x: 100, y: 0, floor: 0 },
+        { id: 'T', x: 0, y: 300, floor: 0 },
+      ],
+      edges: [
+        { from: 'S', to: 'G' },
+        { from: 'S', to: 'T', lengthM: 1 },
+        { from: 'T', to: 'G', lengthM: 1 },
+      ],
+    });
+    const route = planRoute({ from: { buildingId: 'bld_tunnel', nodeId: 'S' }, to: 'G' });
+    expect(route.waypoints.map(w => w.nodeId)).toEqual(['S', 'T', 'G']);
+    expect(route.distanceM).toBe(2);
+    navGraphStore.remove('bld_tunnel');
+  });
+});
+
@@ -0,0 +1,175 @@
+const config = require('../config/config');
+const { fuseSensors, applyPositionFix, getPositionEstimate, clearDevice } = require('../services/sensorFusion.service');
+
+const { FUSION } = config;
+const G = 9.80665;
+const T0 = 1_700_000_000_000;
+const DEVICE = 'fusion-dev';
+
+/** Small repeatable noise in [-amplitude, amplitude] */
+function noise(amplitude) {
+  let seed = 42;
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return (seed / 2 ** 31 * 2 - 1) * amplitude;
+  };
+}
+
+describe('sensor fusion', () => {
+  // Packets are timed on the (fake) server clock
+  const fuse = (data, t) => {
+    jest.setSystemTime(T0 + t);
+    return fuseSensors(DEVICE, data);
+  };
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => {
+    clearDevice(DEVICE);
+    jest.useRealTimers();
+  });
+
+  test('a phone lying still reads no speed and is detected as stationary', () => {
+    const jitter = noise(0.05);
+    let fused;
+    for (let t = 0; t <= 3000; t += 50) {
+      fused = fuse({
+        accelerometer: { x: jitter(), y: jitter(), z: G + jitter() },
+        gyroscope:     { x: jitter() / 10, y: jitter() / 10, z: jitter() / 10 },
+      }, t);
+      expect(fused.speed).toBeLessThan(0.2);
+    }
+    expect(fused.stationary).toBe(true);
+    expect(fused.speed).toBeLessThan(0.05);
+  });
+
+  test('gravity does not leak into forward acceleration when the phone is tilted', () => {
+    // Top edge raised 40°: gravity has a large component along the device y axis
+    const tilt = (40 * Math.PI) / 180;
+    const still = { x: 0, y: G * Math.sin(tilt), z: G * Math.cos(tilt) };
+    let fused;
+    for (let t = 0; t <= 1000; t += 50) fused = fuse({ accelerometer: still }, t);
+    expect(fused.linearAccel).toBe(0);
+    expect(fused.speed).toBeLessThan(0.05);
+  });
+
+  test('forward acceleration is what remains after removing gravity', () => {
+    for (let t = 0; t <= 1000; t += 50) fuse({ accelerometer: { x: 0, y: 0, z: G } }, t);
+
+    // A sudden 1 m/s² push towards the top edge; the gravity estimate only drifts slowly towards it
+    const fused = fuse({ accelerometer: { x: 0, y: 1, z: G } }, 1050);
+    const lag = 0.05 / (FUSION.GRAVITY_TIME_CONSTANT_SEC + 0.05);
+    expect(fused.linearAccel).toBeCloseTo(1 - lag, 2);
+  });
+
+  test('zero-velocity updates bring the speed back down once the device stops', () => {
+    let fused;
+    for (let t = 0; t <= 1000; t += 50) fuse({ accelerometer: { x: 0, y: 0, z: G } }, t);
+    // Accelerate forwards for a second...
+    for (let t = 1050; t <= 2000; t += 50) fused = fuse({ accelerometer: { x: 0, y: 3, z: G } }, t);
+    expect(fused.speed).toBeGreaterThan(0.3);
+    expect(fused.stationary).toBe(false);
+
+    // ...then stand still
+    for (let t = 2050; t <= 5000; t += 50) fused = fuse({ accelerometer: { x: 0, y: 0, z: G } }, t);
+    expect(fused.stationary).toBe(true);
+    expect(fused.speed).toBeLessThan(0.1);
+  });
+
+  test('a reading with a missing axis is skipped instead of poisoning the filter', () => {
+    jest.setSystemTime(T0);
+    applyPositionFix(DEVICE, { frame: 'geo', lat: 51.5, lng: -0.12, sigmaM: 5 });
+    const flat = { x: 0, y: 0, z: G };
+    const north = { x: 30, y: 0, z: -40 };
+    let fused;
+    for (let t = 0; t <= 1000; t += 50) {
+      fused = fuse({ accelerometer: flat, magnetometer: t === 500 ? { x: 30, y: 0 } : north }, t);
+      expect(Number.isFinite(fused.heading)).toBe(true);
+      expect(Number.isFinite(fused.speed)).toBe(true);
+    }
+    fused = fuse({ accelerometer: { x: 0, y: 1 }, magnetometer: north }, 1050);
+    expect(Number.isFinite(fused.heading)).toBe(true);
+    expect(Number.isFinite(fused.speed)).toBe(true);
+
+    const estimate = getPositionEstimate(DEVICE);
+    expect(Number.isFinite(estimate.lat)).toBe(true);
+    expect(Number.isFinite(estimate.lng)).toBe(true);
+  });
+
+  test('a gyro reading without a z axis is skipped', () => {
+    let fused;
+    for (let t = 0; t <= 1000; t += 50) {
+      fused = fuse({ accelerometer: { x: 0, y: 0, z: G }, gyroscope: { x: 0, y: 0.2 } }, t);
+    }
+    expect(Number.isFinite(fused.heading)).toBe(true);
+    expect(Number.isFinite(fused.speed)).toBe(true);
+  });
+
+  test('gyro yaw is taken about the gravity axis however the phone is held', () => {
+    // Turning clockwise at 0.5 rad/s for one second, lying flat and held upright
+    let flat;
+    for (let t = 0; t <= 1000; t += 50) {
+      flat = fuse({ accelerometer: { x: 0, y: 0, z: G }, gyroscope: { x: 0, y: 0, z: -0.5 } }, t);
+    }
+    clearDevice(DEVICE);
+    let upright;
+    for (let t = 0; t <= 1000; t += 50) {
+      upright = fuse({ accelerometer: { x: 0, y: G, z: 0 }, gyroscope: { x: 0, y: -0.5, z: 0 } }, t);
+    }
+
+    const expected = 0.5 * 180 / Math.PI;
+    expect(flat.heading).toBeCloseTo(expected, 1);
+    expect(upright.heading).toBeCloseTo(expected, 1);
+  });
+});
+
+describe('magnetometer down-weighting', () => {
+  const flat = { x: 0, y: 0, z: G };
+  const north = { x: 30, y: 0, z: -40 };  // 50 µT
+  // Magnetic east with a horizontal component sized to give the requested field magnitude
+  const east = magnitude => ({ x: 0, y: -Math.sqrt(magnitude ** 2 - 40 ** 2), z: -40 });
+
+  /** Settle a device on a clean north field, then send one reading */
+  function headingAfter(deviceId, magnetometer) {
+    for (let t = 0; t <= 1000; t += 50) {
+      jest.setSystemTime(T0 + t);
+      fuseSensors(deviceId, { accelerometer: flat, magnetometer: north });
+    }
+    jest.setSystemTime(T0 + 1050);
+    return fuseSensors(deviceId, { accelerometer: flat, magnetometer });
+  }
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => {
+    ['mag-clean', 'mag-anomalous'].forEach(clearDevice);
+    jest.useRealTimers();
+  });
+
+  test('a field close to the reference magnitude corrects heading at full weight', () => {
+    const fused = headingAfter('mag-clean', east(50));
+    expect(fused.magneticDisturbance).toBe(false);
+    expect(fused.heading).toBeGreaterThan(5);
+  });
+
+  test('an anomalous field magnitude is flagged and pulls heading less', () => {
+    const clean = headingAfter('mag-clean', east(50));
+    const deviation = (FUSION.MAG_ANOMALY_TOLERANCE + FUSION.MAG_ANOMALY_REJECT) / 2;
+    const anomalous = headingAfter('mag-anomalous', east(50 * (1 + deviation)));
+
+    expect(anomalous.magneticDisturbance).toBe(true);
+    expect(anomalous.heading).toBeGreaterThan(0);
+    expect(anomalous.heading).toBeLessThan(clean.heading / 2);
+  });
+
+  test('beyond MAG_ANOMALY_REJECT the reading is ignored', () => {
+    const fused = headingAfter('mag-anomalous', east(50 * (1 + FUSION.MAG_ANOMALY_REJECT + 0.05)));
+    expect(fused.magneticDisturbance).toBe(true);
+    expect(fused.heading).toBeCloseTo(0, 5);
+  });
+
+  test('a field outside MAG_FIELD_RANGE_UT is ignored', () => {
+    const [, maxUt] = FUSION.MAG_FIELD_RANGE_UT;
+    const fused = headingAfter('mag-anomalous', { x: 0, y: -(maxUt + 10), z: 0 });
+    expect(fused.magneticDisturbance).toBe(true);
+    expect(fused.heading).toBeCloseTo(0, 5);
+  });
+});
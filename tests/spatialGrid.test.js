@@ -0,0 +1,40 @@
+const { SpatialGrid } = require('../utils/spatialGrid');
+
+describe('spatial grid', () => {
+  test('radius query matches a brute-force search', () => {
+    const grid = new SpatialGrid({ cellSize: 10 });
+    const points = [];
+    let seed = 7;
+    const rand = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+    for (let i = 0; i < 500; i++) {
+      const p = { id: `d${i}`, x: rand() * 400 - 200, y: rand() * 400 - 200 };
+      points.push(p);
+      grid.upsert(p.id, p.x, p.y, 'ground');
+    }
+
+    for (const [x, y, r] of [[0, 0, 25], [-150, 90, 60], [199, -199, 5]]) {
+      const expected = points.filter(p => Math.hypot(p.x - x, p.y - y) <= r).map(p => p.id).sort();
+      expect(grid.query(x, y, r).sort()).toEqual(expected);
+    }
+  });
+
+  test('moves and removes entries incrementally', () => {
+    const grid = new SpatialGrid({ cellSize: 10 });
+    grid.upsert('a', 1, 1, 'ground');
+    grid.upsert('a', 55, 55, 'ground');
+    expect(grid.query(0, 0, 5)).toEqual([]);
+    expect(grid.query(55, 55, 1)).toEqual(['a']);
+
+    grid.remove('a');
+    expect(grid.size).toBe(0);
+    expect(grid.cells.size).toBe(0);
+  });
+
+  test('layers are searched only when asked for', () => {
+    const grid = new SpatialGrid({ cellSize: 10 });
+    grid.upsert('f1', 0, 0, 'floor:1');
+    grid.upsert('f2', 0, 0, 'floor:2');
+    expect(grid.query(0, 0, 1, ['floor:1'])).toEqual(['f1']);
+    expect(grid.query(0, 0, 1).sort()).toEqual(['f1', 'f2']);
+  });
+});
@@ -0,0 +1,101 @@
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config/config');
+const webhookStore = require('../models/webhookStore');
+const { dispatchAlert, listDeliveries, listDeadLetters, retryDeadLetter, backoffMs } = require('../services/webhook.service');
+
+const SECRET = 'test-secret-0123456789';
+const waitFor = async (check, timeoutMs = 3000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('timed out waiting');
+    await new Promise(r => setTimeout(r, 10));
+  }
+};
+
+describe('webhook delivery', () => {
+  const saved = { ...config.WEBHOOKS };
+  const received = [];
+  let failing = false;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    Object.assign(config.WEBHOOKS, { INITIAL_BACKOFF_MS: 5, MAX_ATTEMPTS: 3 });
+    // Local stand-in for the incident tool
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = failing ? 503 : 204;
+        res.end();
+      });
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    Object.assign(config.WEBHOOKS, saved);
+    webhookStore.getAll().forEach(w => webhookStore.remove(w.webhookId));
+    await new Promise(r => server.close(r));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    failing = false;
+  });
+
+  test('delivers signed payloads only for subscribed alert types', async () => {
+    const hook = webhookStore.create({ url: `${baseUrl}/hook`, alertTypes: ['SPEED_EXCEEDED'], secret: SECRET });
+    expect(dispatchAlert({ alertId: 'x1', type: 'ZONE_ENTERED' }, 'created')).toHaveLength(0);
+    expect(dispatchAlert({ alertId: 'x1', type: 'SPEED_EXCEEDED' }, 'acknowledged')).toHaveLength(0);
+
+    dispatchAlert({ alertId: 'a1', type: 'SPEED_EXCEEDED', severity: 'warning' }, 'created');
+    await waitFor(() => received.length === 1);
+
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(body)).toMatchObject({ event: 'alert.created', data: { alert: { alertId: 'a1' } } });
+
+    await waitFor(() => listDeliveries(hook.webhookId)[0]?.status === 'delivered');
+    expect(listDeliveries(hook.webhookId)[0]).toMatchObject({ attempts: 1, lastStatusCode: 204 });
+    webhookStore.remove(hook.webhookId);
+  });
+
+  test('retries with backoff, then dead-letters, and can be retried by hand', async () => {
+    const hook = webhookStore.create({ url: `${baseUrl}/hook`, secret: SECRET });
+    failing = true;
+    const [delivery] = dispatchAlert({ alertId: 'a2', type: 'COLLISION_WARNING' }, 'created');
+
+    await waitFor(() => listDeadLetters().some(d => d.deliveryId === delivery.deliveryId));
+    expect(received).toHaveLength(3);
+    expect(listDeadLetters()[0]).toMatchObject({ status: 'dead', attempts: 3, lastError: 'HTTP 503' });
+
+    failing = false;
+    expect(retryDeadLetter(delivery.deliveryId)).toMatchObject({ status: 'pending' });
+    await waitFor(() => listDeliveries(hook.webhookId).some(d => d.deliveryId === delivery.deliveryId && d.status === 'delivered'));
+    expect(listDeadLetters().some(d => d.deliveryId === delivery.deliveryId)).toBe(false);
+    webhookStore.remove(hook.webhookId);
+  });
+
+  test('trims cancelled deliveries to the history limit', async () => {
+    config.WEBHOOKS.HISTORY_LIMIT = 2;
+    const hook = webhookStore.create({ url: `${baseUrl}/hook`, secret: SECRET });
+    ['c1', 'c2', 'c3'].forEach(alertId => dispatchAlert({ alertId, type: 'SPEED_EXCEEDED' }, 'created'));
+    webhookStore.remove(hook.webhookId);
+
+    await waitFor(() => listDeliveries(hook.webhookId).every(d => d.status === 'cancelled'));
+    expect(listDeliveries(hook.webhookId)).toHaveLength(2);
+    expect(received).toHaveLength(0);
+    config.WEBHOOKS.HISTORY_LIMIT = saved.HISTORY_LIMIT;
+  });
+
+  test('backoff grows exponentially up to the cap', () => {
+    expect(backoffMs(1)).toBe(config.WEBHOOKS.INITIAL_BACKOFF_MS);
+    expect(backoffMs(3)).toBe(config.WEBHOOKS.INITIAL_BACKOFF_MS * 4);
+    expect(backoffMs(50)).toBe(config.WEBHOOKS.MAX_BACKOFF_MS);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * ekf.js
+ * Extended Kalman filter tracking a single device's planar motion.
+ *
+ * State vector: [x, y, v, psi]
+ *   x, y - position in meters (east, north) in whatever frame the caller uses
+ *   v    - forward speed in m/s
+ *   psi  - heading in radians, clockwise from north
+ *
+ * The motion model integrates a measured forward acceleration and yaw rate
+ * (if any); unmodelled acceleration and turning are absorbed by the process
+ * noise. A measured yaw rate replaces the large turning noise with the much
+ * smaller gyro noise, so heading holds between magnetometer corrections.
+ */
+
+const { identity, diagonal, transpose, multiply, add, subtract, invert } = require('./matrix');
+
+const X = 0, Y = 1, V = 2, PSI = 3;
+
+/** Wrap an angle into [-PI, PI) */
+function wrapAngle(rad) {
+  return ((((rad + Math.PI) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)) - Math.PI;
+}
+
+class MotionEKF {
+  /**
+   * @param {object} opts
+   * @param {number} opts.accelNoise   - process noise on speed (m/s² std)
+   * @param {number} opts.yawRateNoise - process noise on heading (rad/s std)
+   * @param {number} [opts.gyroNoise=yawRateNoise] - heading noise when a measured yaw rate is given (rad/s std)
+   * @param {number} opts.initialPositionVar - position variance before the first fix (m²)
+   */
+  constructor({ accelNoise, yawRateNoise, gyroNoise = yawRateNoise, initialPositionVar }) {
+    this.accelNoise = accelNoise;
+    this.yawRateNoise = yawRateNoise;
+    this.gyroNoise = gyroNoise;
+    this.initialPositionVar = initialPositionVar;
+
+    this.x = [0, 0, 0, 0];
+    this.P = diagonal([initialPositionVar, initialPositionVar, 1, Math.PI ** 2]);
+    this.positionInitialized = false;
+    this.headingInitialized = false;
+  }
+
+  /**
+   * Propagate the state forward by dtSec.
+   * @param {number} dtSec
+   * @param {number} [accel=0] - forward linear acceleration in m/s² (gravity removed)
+   * @param {object} [opts]
+   * @param {boolean} [opts.movePosition=true] - false when position is advanced
+   *   by discrete steps (see advance) instead of speed integration
+   * @param {number|null} [opts.yawRate=null] - measured heading rate in rad/s, clockwise
+   */
+  predict(dtSec, accel = 0, { movePosition = true, yawRate = null } = {}) {
+    if (!(dtSec > 0)) return;
+
+    const [, , v, psi] = this.x;
+    const s = Math.sin(psi);
+    const c = Math.cos(psi);
+    const k = movePosition ? dtSec : 0;
+
+    this.x = [
+      this.x[X] + v * s * k,
+      this.x[Y] + v * c * k,
+      Math.max(0, v + accel * dtSec),
+      wrapAngle(psi + (yawRate ?? 0) * dtSec),
+    ];
+
+    // Jacobian of the motion model w.r.t. the state
+    const F = identity(4);
+    F[X][V] = s * k;
+    F[X][PSI] = v * c * k;
+    F[Y][V] = c * k;
+    F[Y][PSI] = -v * s * k;
+
+    const qv = (this.accelNoise * dtSec) ** 2;
+    const qpsi = ((yawRate === null ? this.yawRateNoise : this.gyroNoise) * dtSec) ** 2;
+    const qpos = qv * k ** 2 / 4;
+    const Q = diagonal([qpos, qpos, qv, qpsi]);
+
+    this.P = add(multiply(multiply(F, this.P), transpose(F)), Q);
+  }
+
+  /**
+   * Move the position a known distance along the current heading
+   * (pedestrian dead-reckoning step).
+   * @param {number} distance - meters
+   * @param {number} sigma - std of the distance in meters
+   */
+  advance(distance, sigma) {
+    const psi = this.x[PSI];
+    const s = Math.sin(psi);
+    const c = Math.cos(psi);
+
+    this.x[X] += distance * s;
+    this.x[Y] += distance * c;
+
+    const F = identity(4);
+    F[X][PSI] = distance * c;
+    F[Y][PSI] = -distance * s;
+
+    // Step-length error acts along the direction of travel
+    const q = sigma ** 2;
+    const Q = [
+      [q * s * s, q * s * c, 0, 0],
+      [q * s * c, q * c * c, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ];
+    this.P = add(multiply(multiply(F, this.P), transpose(F)), Q);
+  }
+
+  /**
+   * Generic linear(ised) measurement update.
+   * @param {number[]} innovation - z - h(x)
+   * @param {number[][]} H - measurement Jacobian
+   * @param {number[][]} R - measurement covariance
+   * @returns {boolean} false if the innovation covariance was singular
+   */
+  _update(innovation, H, R) {
+    const Ht = transpose(H);
+    const S = add(multiply(multiply(H, this.P), Ht), R);
+    const Sinv = invert(S);
+    if (!Sinv) return false;
+
+    const K = multiply(multiply(this.P, Ht), Sinv);
+    const dx = multiply(K, innovation.map(v => [v]));
+    this.x = this.x.map((v, i) => v + dx[i][0]);
+    this.x[PSI] = wrapAngle(this.x[PSI]);
+    if (this.x[V] < 0) this.x[V] = 0;
+
+    this.P = multiply(subtract(identity(4), multiply(K, H)), this.P);
+    return true;
+  }
+
+  /**
+   * Absolute heading measurement (e.g. tilt-compensated magnetometer).
+   * @param {number} psi - radians, clockwise from north
+   * @param {number} sigma - measurement std in radians
+   */
+  updateHeading(psi, sigma) {
+    if (!this.headingInitialized) {
+      this.x[PSI] = wrapAngle(psi);
+      this.P[PSI][PSI] = sigma ** 2;
+      this.headingInitialized = true;
+      return;
+    }
+    const H = [[0, 0, 0, 1]];
+    this._update([wrapAngle(psi - this.x[PSI])], H, [[sigma ** 2]]);
+  }
+
+  /**
+   * Direct speed measurement — used as a zero-velocity update while the
+   * device is detected stationary, which bleeds off integration drift.
+   * @param {number} speed - m/s
+   * @param {number} sigma - measurement std in m/s
+   */
+  updateSpeed(speed, sigma) {
+    const H = [[0, 0, 1, 0]];
+    this._update([speed - this.x[V]], H, [[sigma ** 2]]);
+  }
+
+  /**
+   * Absolute position measurement (GPS, beacon trilateration, ...).
+   * The first fix initialises the position instead of blending with it.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} sigma - measurement std in meters
+   */
+  updatePosition(x, y, sigma) {
+    if (!this.positionInitialized) {
+      this.resetPosition(x, y, sigma);
+      return;
+    }
+    const H = [[1, 0, 0, 0], [0, 1, 0, 0]];
+    this._update([x - this.x[X], y - this.x[Y]], H, diagonal([sigma ** 2, sigma ** 2]));
+  }
+
+  /**
+   * Snap the position to a fix, dropping any correlation with speed/heading.
+   * Used when the filter switches to a new reference frame.
+   */
+  resetPosition(x, y, sigma) {
+    this.x[X] = x;
+    this.x[Y] = y;
+    for (let i = 0; i < 4; i++) {
+      this.P[X][i] = this.P[i][X] = 0;
+      this.P[Y][i] = this.P[i][Y] = 0;
+    }
+    this.P[X][X] = this.P[Y][Y] = sigma ** 2;
+    this.positionInitialized = true;
+  }
+
+  /** 1-sigma position uncertainty in meters (RMS of the two axes) */
+  positionSigma() {
+    return Math.sqrt((this.P[X][X] + this.P[Y][Y]) / 2);
+  }
+
+  /** 1-sigma heading uncertainty in radians */
+  headingSigma() {
+    return Math.sqrt(this.P[PSI][PSI]);
+  }
+
+  get position() {
+    return { x: this.x[X], y: this.x[Y] };
+  }
+
+  get speed() {
+    return this.x[V];
+  }
+
+  get heading() {
+    return this.x[PSI];
+  }
+}
+
+module.exports = { MotionEKF, wrapAngle };
@@ -0,0 +1,111 @@
+/**
+ * floorPlan.js
+ * Floor plan geometry: wall segments loaded from GeoJSON and segment
+ * intersection tests used to keep indoor estimates from passing through walls.
+ *
+ * Coordinates are building-local meters ([x, y]), the same frame as base
+ * station knownPositions. A feature's `properties.floor` limits it to one
+ * floor; features without it apply to every floor.
+ */
+
+/**
+ * Parse GeoJSON (FeatureCollection, Feature or bare geometry) into wall segments.
+ * LineString, MultiLineString, Polygon and MultiPolygon are accepted — polygon
+ * rings are treated as closed walls.
+ * @param {object} geojson
+ * @returns {Array<{ x1, y1, x2, y2, floor }>} segments
+ * @throws {Error} if the input is not GeoJSON
+ */
+function parseFloorPlan(geojson) {
+  if (!geojson || typeof geojson !== 'object') throw new Error('floor plan must be a GeoJSON object');
+
+  const features =
+    geojson.type === 'FeatureCollection' ? geojson.features || [] :
+    geojson.type === 'Feature'           ? [geojson] :
+    [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  const segments = [];
+  for (const feature of features) {
+    const geometry = feature?.geometry;
+    if (!geometry) continue;
+    const floor = feature.properties?.floor ?? null;
+
+    const lines =
+      geometry.type === 'LineString'      ? [geometry.coordinates] :
+      geometry.type === 'MultiLineString' ? geometry.coordinates :
+      geometry.type === 'Polygon'         ? geometry.coordinates :
+      geometry.type === 'MultiPolygon'    ? geometry.coordinates.flat() :
+      null;
+    if (!lines) throw new Error(`unsupported geometry type: ${geometry.type}`);
+
+    for (const line of lines) {
+      for (let i = 1; i < line.length; i++) {
+        const [x1, y1] = line[i - 1];
+        const [x2, y2] = line[i];
+        if (![x1, y1, x2, y2].every(Number.isFinite)) throw new Error('wall coordinates must be numbers');
+        segments.push({ x1, y1, x2, y2, floor });
+      }
+    }
+  }
+  return segments;
+}
+
+/** Signed area test: >0 if c is left of a→b */
+function orient(ax, ay, bx, by, cx, cy) {
+  return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+}
+
+/**
+ * Does the move from a to b cross the wall segment?
+ * Touching counts as crossing — particles should not squeeze through the
+ * joint between two walls. Callers bounding-box filter first, which also
+ * keeps collinear, non-overlapping segments from matching.
+ */
+function segmentCrosses(a, b, wall) {
+  const d1 = orient(wall.x1, wall.y1, wall.x2, wall.y2, a.x, a.y);
+  const d2 = orient(wall.x1, wall.y1, wall.x2, wall.y2, b.x, b.y);
+  const d3 = orient(a.x, a.y, b.x, b.y, wall.x1, wall.y1);
+  const d4 = orient(a.x, a.y, b.x, b.y, wall.x2, wall.y2);
+  return d1 * d2 <= 0 && d3 * d4 <= 0;
+}
+
+/**
+ * Does the straight move from a to b cross any wall?
+ * @param {Array} walls - segments from parseFloorPlan
+ * @param {{ x, y }} a
+ * @param {{ x, y }} b
+ * @returns {boolean}
+ */
+function crossesWall(walls, a, b) {
+  const minX = Math.min(a.x, b.x);
+  const maxX = Math.max(a.x, b.x);
+  const minY = Math.min(a.y, b.y);
+  const maxY = Math.max(a.y, b.y);
+
+  for (const w of walls) {
+    // Cheap bounding-box reject before the orientation tests
+    if (Math.max(w.x1, w.x2) < minX || Math.min(w.x1, w.x2) > maxX) continue;
+    if (Math.max(w.y1, w.y2) < minY || Math.min(w.y1, w.y2) > maxY) continue;
+    if (segmentCrosses(a, b, w)) return true;
+  }
+  return false;
+}
+
+/**
+ * Is a point inside a polygon? Even-odd ray casting, so the ring may be
+ * given open or closed and in either winding order.
+ * @param {Array<[number, number]>} ring - vertices
+ * @param {{ x, y }} p
+ * @returns {boolean}
+ */
+function pointInPolygon(ring, p) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > p.y) !== (yj > p.y) && p.x < ((xj - xi) * (p.y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+module.exports = { parseFloorPlan, crossesWall, pointInPolygon };
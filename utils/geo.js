@@ -0,0 +1,76 @@
+/**
+ * geo.js
+ * Conversions between WGS84 lat/lng and a local tangent plane (east/north
+ * meters) around an origin. Accurate to centimeters over a few kilometers,
+ * which is all the per-device filters ever need.
+ *
+ * Buildings are georeferenced with an anchor { lat, lng, rotationDeg, scale }:
+ * building (0, 0) sits at lat/lng, the building +y axis points rotationDeg
+ * clockwise from true north, and one building unit is `scale` meters.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const toRad = deg => (deg * Math.PI) / 180;
+const toDeg = rad => (rad * 180) / Math.PI;
+
+/**
+ * Project a lat/lng onto the local plane around `origin`.
+ * @param {{ lat, lng }} origin
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{ x, y }} x = meters east, y = meters north
+ */
+function geoToLocal(origin, lat, lng) {
+  return {
+    x: toRad(lng - origin.lng) * EARTH_RADIUS_M * Math.cos(toRad(origin.lat)),
+    y: toRad(lat - origin.lat) * EARTH_RADIUS_M,
+  };
+}
+
+/**
+ * Inverse of geoToLocal.
+ * @param {{ lat, lng }} origin
+ * @param {number} x - meters east
+ * @param {number} y - meters north
+ * @returns {{ lat, lng }}
+ */
+function localToGeo(origin, x, y) {
+  return {
+    lat: origin.lat + toDeg(y / EARTH_RADIUS_M),
+    lng: origin.lng + toDeg(x / (EARTH_RADIUS_M * Math.cos(toRad(origin.lat)))),
+  };
+}
+
+/**
+ * Building-local coordinates to lat/lng.
+ * @param {{ lat, lng, rotationDeg, scale }} anchor
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ lat, lng }}
+ */
+function buildingToGeo(anchor, x, y) {
+  const theta = toRad(anchor.rotationDeg || 0);
+  const s = anchor.scale || 1;
+  const east = s * (x * Math.cos(theta) + y * Math.sin(theta));
+  const north = s * (-x * Math.sin(theta) + y * Math.cos(theta));
+  return localToGeo(anchor, east, north);
+}
+
+/**
+ * Inverse of buildingToGeo.
+ * @param {{ lat, lng, rotationDeg, scale }} anchor
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{ x, y }}
+ */
+function geoToBuilding(anchor, lat, lng) {
+  const theta = toRad(anchor.rotationDeg || 0);
+  const s = anchor.scale || 1;
+  const { x: east, y: north } = geoToLocal(anchor, lat, lng);
+  return {
+    x: (east * Math.cos(theta) - north * Math.sin(theta)) / s,
+    y: (east * Math.sin(theta) + north * Math.cos(theta)) / s,
+  };
+}
+
+module.exports = { EARTH_RADIUS_M, geoToLocal, localToGeo, buildingToGeo, geoToBuilding };
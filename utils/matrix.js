@@ -0,0 +1,132 @@
+/**
+ * matrix.js
+ * Minimal dense-matrix helpers for the small state estimators used by the
+ * fusion and positioning services. A matrix is a plain array of row arrays.
+ */
+
+/** Create a rows x cols matrix filled with zeros */
+function zeros(rows, cols) {
+  return Array.from({ length: rows }, () => new Array(cols).fill(0));
+}
+
+/** Create an n x n identity matrix */
+function identity(n) {
+  const I = zeros(n, n);
+  for (let i = 0; i < n; i++) I[i][i] = 1;
+  return I;
+}
+
+/** Create a square matrix with the given values on its diagonal */
+function diagonal(values) {
+  const D = zeros(values.length, values.length);
+  values.forEach((v, i) => { D[i][i] = v; });
+  return D;
+}
+
+function transpose(A) {
+  return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+function multiply(A, B) {
+  const rows = A.length;
+  const cols = B[0].length;
+  const inner = B.length;
+  const C = zeros(rows, cols);
+  for (let i = 0; i < rows; i++) {
+    for (let k = 0; k < inner; k++) {
+      const a = A[i][k];
+      if (a === 0) continue;
+      for (let j = 0; j < cols; j++) C[i][j] += a * B[k][j];
+    }
+  }
+  return C;
+}
+
+function add(A, B) {
+  return A.map((row, i) => row.map((v, j) => v + B[i][j]));
+}
+
+function subtract(A, B) {
+  return A.map((row, i) => row.map((v, j) => v - B[i][j]));
+}
+
+/**
+ * Invert a square matrix using Gauss-Jordan elimination with partial pivoting.
+ * @param {number[][]} A
+ * @returns {number[][] | null} inverse, or null if A is (numerically) singular
+ */
+function invert(A) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...identity(n)[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    const p = M[col][col];
+    for (let j = 0; j < 2 * n; j++) M[col][j] /= p;
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = M[r][col];
+      if (f === 0) continue;
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[col][j];
+    }
+  }
+
+  return M.map(row => row.slice(n));
+}
+
+/**
+ * Eigen-decomposition of a symmetric matrix (cyclic Jacobi rotations).
+ * @param {number[][]} A - symmetric
+ * @returns {{ values: number[], vectors: number[][] }} column j of vectors pairs with values[j]
+ */
+function symmetricEigen(A) {
+  const n = A.length;
+  const M = A.map(row => [...row]);
+  const V = identity(n);
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += M[p][q] ** 2;
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(M[p][q]) < 1e-30) continue;
+        const theta = (M[q][q] - M[p][p]) / (2 * M[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const mkp = M[k][p];
+          const mkq = M[k][q];
+          M[k][p] = c * mkp - s * mkq;
+          M[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k++) {
+          const mpk = M[p][k];
+          const mqk = M[q][k];
+          M[p][k] = c * mpk - s * mqk;
+          M[q][k] = s * mpk + c * mqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = V[k][p];
+          const vkq = V[k][q];
+          V[k][p] = c * vkp - s * vkq;
+          V[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: M.map((row, i) => row[i]), vectors: V };
+}
+
+module.exports = { zeros, identity, diagonal, transpose, multiply, add, subtract, invert, symmetricEigen };
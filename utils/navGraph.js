@@ -0,0 +1,136 @@
+/**
+ * navGraph.js
+ * Building navigation graphs: walkable nodes (corridor junctions, doors,
+ * stairs and elevator landings, points of interest) joined by edges, loaded
+ * from JSON, and an A* search over them.
+ *
+ * Coordinates are building-local ([x, y] plus an integer floor), the same
+ * frame as floor plans and base station knownPositions. Stairs and elevator
+ * edges are the only ones that change floor.
+ *
+ * JSON format:
+ * {
+ *   nodes: [{ id, x, y, floor, type?: 'junction' | 'door' | 'stairs' | 'elevator' | 'poi', name? }],
+ *   edges: [{ from, to, type?: 'corridor' | 'door' | 'stairs' | 'elevator', lengthM?, oneWay? }]
+ * }
+ */
+
+const NODE_TYPES = ['junction', 'door', 'stairs', 'elevator', 'poi'];
+const EDGE_TYPES = ['corridor', 'door', 'stairs', 'elevator'];
+const FLOOR_CHANGING = ['stairs', 'elevator'];
+
+/**
+ * Validate a navigation graph.
+ * @param {object} json - { nodes, edges }
+ * @returns {{ nodes: Array, edges: Array }} normalised copies
+ * @throws {Error} on malformed nodes or edges
+ */
+function parseNavGraph(json) {
+  if (!json || !Array.isArray(json.nodes) || !Array.isArray(json.edges)) {
+    throw new Error('navigation graph must have nodes and edges arrays');
+  }
+
+  const byId = new Map();
+  for (const n of json.nodes) {
+    if (typeof n?.id !== 'string' || !n.id) throw new Error('every node needs a string id');
+    if (byId.has(n.id)) throw new Error(`duplicate node id: ${n.id}`);
+    if (!Number.isFinite(n.x) || !Number.isFinite(n.y)) throw new Error(`node ${n.id} needs numeric x and y`);
+    if (!Number.isInteger(n.floor)) throw new Error(`node ${n.id} needs an integer floor`);
+    const type = n.type ?? 'junction';
+    if (!NODE_TYPES.includes(type)) throw new Error(`node type must be one of: ${NODE_TYPES.join(', ')}`);
+    byId.set(n.id, { id: n.id, x: n.x, y: n.y, floor: n.floor, type, name: n.name ?? null });
+  }
+
+  const edges = json.edges.map(e => {
+    const from = byId.get(e?.from);
+    const to = byId.get(e?.to);
+    if (!from || !to) throw new Error(`edge ${e?.from} → ${e?.to} references an unknown node`);
+    const type = e.type ?? 'corridor';
+    if (!EDGE_TYPES.includes(type)) throw new Error(`edge type must be one of: ${EDGE_TYPES.join(', ')}`);
+    if (FLOOR_CHANGING.includes(type) === (from.floor === to.floor)) {
+      throw new Error(`edge ${from.id} → ${to.id}: only stairs and elevator edges change floor, and they must`);
+    }
+    if (e.lengthM !== undefined && !(e.lengthM >= 0)) throw new Error(`edge ${from.id} → ${to.id}: lengthM must be >= 0`);
+    return { from: from.id, to: to.id, type, lengthM: e.lengthM ?? null, oneWay: !!e.oneWay };
+  });
+
+  return { nodes: Array.from(byId.values()), edges };
+}
+
+/**
+ * Outgoing edges per node, both directions unless the edge is one-way.
+ * @param {{ edges }} graph
+ * @returns {Map<string, Array<{ to, edge }>>}
+ */
+function adjacency(graph) {
+  const out = new Map();
+  const add = (from, to, edge) => {
+    if (!out.has(from)) out.set(from, []);
+    out.get(from).push({ to, edge });
+  };
+  for (const edge of graph.edges) {
+    add(edge.from, edge.to, edge);
+    if (!edge.oneWay) add(edge.to, edge.from, edge);
+  }
+  return out;
+}
+
+/**
+ * A* search from a virtual start to the nearest of one or more goal nodes.
+ * The open set is a plain array — building graphs are a few hundred nodes.
+ * @param {object} opts
+ * @param {Array<{ to, cost, edge }>} opts.starts - links from the start to the first nodes
+ * @param {Set<string>} opts.goals - goal node ids
+ * @param {function(string): Array<{ to, cost, edge }>} opts.neighbours
+ * @param {function(string): number} opts.heuristic - lower bound on the cost to the nearest goal
+ * @returns {{ nodeIds: string[], edges: object[], cost: number }|null} null if unreachable;
+ *   edges[i] leads to nodeIds[i] (edges[0] is the start link)
+ */
+function findPath({ starts, goals, neighbours, heuristic }) {
+  const best = new Map();  // nodeId => { cost, prev, edge }
+  const open = [];
+  const push = (nodeId, cost, prev, edge) => {
+    const known = best.get(nodeId);
+    if (known && known.cost <= cost) return;
+    best.set(nodeId, { cost, prev, edge });
+    open.push({ nodeId, cost, f: cost + heuristic(nodeId) });
+  };
+  for (const s of starts) push(s.to, s.cost, null, s.edge);
+
+  const closed = new Set();
+  while (open.length) {
+    let i = 0;
+    for (let j = 1; j < open.length; j++) if (open[j].f < open[i].f) i = j;
+    const { nodeId, cost } = open.splice(i, 1)[0];
+    if (closed.has(nodeId) || cost > best.get(nodeId).cost) continue;
+    closed.add(nodeId);
+
+    if (goals.has(nodeId)) {
+      const nodeIds = [];
+      const edges = [];
+      for (let id = nodeId; id !== null; id = best.get(id).prev) {
+        nodeIds.unshift(id);
+        edges.unshift(best.get(id).edge);
+      }
+      return { nodeIds, edges, cost };
+    }
+    for (const n of neighbours(nodeId)) {
+      if (!closed.has(n.to)) push(n.to, cost + n.cost, nodeId, n.edge);
+    }
+  }
+  return null;
+}
+
+/**
+ * Closest point to p on segment a–b.
+ * @returns {{ x, y, t }} t = 0 at a, 1 at b
+ */
+function projectOnSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+  return { x: a.x + t * dx, y: a.y + t * dy, t };
+}
+
+module.exports = { NODE_TYPES, EDGE_TYPES, parseNavGraph, adjacency, findPath, projectOnSegment };
@@ -0,0 +1,151 @@
+/**
+ * particleFilter.js
+ * 2D particle filter for indoor localization. Particles are propagated with
+ * the fused heading and travelled distance, killed when their move crosses a
+ * floor plan wall, and weighted by how well they explain beacon ranges.
+ */
+
+const { crossesWall } = require('./floorPlan');
+
+/** Standard normal sample (Box-Muller) */
+function gaussian(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+class ParticleFilter {
+  /**
+   * @param {object} opts
+   * @param {number} opts.count - number of particles
+   * @param {Function} [opts.rng=Math.random] - uniform [0, 1) generator
+   */
+  constructor({ count, rng = Math.random }) {
+    this.count = count;
+    this.rng = rng;
+    this.particles = [];  // [{ x, y, w }]
+  }
+
+  get initialized() {
+    return this.particles.length > 0;
+  }
+
+  /**
+   * Scatter particles around a point, avoiding positions that are separated
+   * from it by a wall.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} spreadM - 1-sigma scatter radius
+   * @param {Array} [walls]
+   */
+  initialize(x, y, spreadM, walls = []) {
+    const w = 1 / this.count;
+    const center = { x, y };
+    this.particles = Array.from({ length: this.count }, () => {
+      const p = { x: x + gaussian(this.rng) * spreadM, y: y + gaussian(this.rng) * spreadM, w };
+      return walls.length && crossesWall(walls, center, p) ? { ...center, w } : p;
+    });
+  }
+
+  /**
+   * Move every particle by a noisy step along a noisy heading.
+   * Particles whose move crosses a wall are removed.
+   * @param {object} motion
+   * @param {number} motion.distance      - meters travelled since the last call
+   * @param {number} motion.heading       - radians, clockwise from north
+   * @param {number} motion.distanceSigma - meters
+   * @param {number} motion.headingSigma  - radians
+   * @param {Array}  [motion.walls]       - segments from parseFloorPlan
+   * @returns {boolean} false if every particle hit a wall (filter needs re-initialising)
+   */
+  propagate({ distance, heading, distanceSigma, headingSigma, walls = [] }) {
+    const survivors = [];
+    for (const p of this.particles) {
+      const d = Math.max(0, distance + gaussian(this.rng) * distanceSigma);
+      const h = heading + gaussian(this.rng) * headingSigma;
+      const next = { x: p.x + d * Math.sin(h), y: p.y + d * Math.cos(h), w: p.w };
+      if (walls.length && crossesWall(walls, p, next)) continue;
+      survivors.push(next);
+    }
+
+    if (!survivors.length) return false;
+    this.particles = survivors;
+    this._normalize();
+    if (survivors.length < this.count) this._resample();
+    return true;
+  }
+
+  /**
+   * Re-weight particles by the likelihood of the measured beacon ranges.
+   * @param {Array<{ x, y, dist, sigma }>} beacons
+   */
+  weightByRanges(beacons) {
+    if (!beacons.length) return;
+
+    // Work in log space: products of many small likelihoods underflow
+    const logW = this.particles.map(p => {
+      let lw = Math.log(p.w);
+      for (const b of beacons) {
+        const err = Math.hypot(p.x - b.x, p.y - b.y) - b.dist;
+        lw -= (err * err) / (2 * b.sigma * b.sigma);
+      }
+      return lw;
+    });
+    const max = Math.max(...logW);
+    this.particles.forEach((p, i) => { p.w = Math.exp(logW[i] - max); });
+    this._normalize();
+
+    const effective = 1 / this.particles.reduce((acc, p) => acc + p.w * p.w, 0);
+    if (effective < this.count / 2) this._resample();
+  }
+
+  /**
+   * Weighted mean position and radial spread (1-sigma, DRMS).
+   * @returns {{ x, y, spreadM } | null}
+   */
+  estimate() {
+    if (!this.initialized) return null;
+
+    let x = 0;
+    let y = 0;
+    for (const p of this.particles) {
+      x += p.w * p.x;
+      y += p.w * p.y;
+    }
+    let variance = 0;
+    for (const p of this.particles) variance += p.w * ((p.x - x) ** 2 + (p.y - y) ** 2);
+
+    return { x, y, spreadM: Math.sqrt(variance) };
+  }
+
+  _normalize() {
+    const total = this.particles.reduce((acc, p) => acc + p.w, 0);
+    if (total > 0) {
+      for (const p of this.particles) p.w /= total;
+    } else {
+      for (const p of this.particles) p.w = 1 / this.particles.length;
+    }
+  }
+
+  /** Systematic resampling back to `count` equally weighted particles */
+  _resample() {
+    const step = 1 / this.count;
+    let u = this.rng() * step;
+    let cumulative = 0;
+    let i = -1;
+    const next = [];
+
+    for (let k = 0; k < this.count; k++) {
+      while (cumulative < u && i < this.particles.length - 1) {
+        i += 1;
+        cumulative += this.particles[i].w;
+      }
+      const p = this.particles[Math.max(i, 0)];
+      next.push({ x: p.x, y: p.y, w: step });
+      u += step;
+    }
+    this.particles = next;
+  }
+}
+
+module.exports = { ParticleFilter };
@@ -10,6 +10,7 @@ const registerDevice = {
   payload: {
     deviceId: 'device_android_001',
     isBaseStation: false,
+    deviceClass: 'pedestrian',  // speed limit and footprint; omitted = pedestrian
   },
 };
 
@@ -49,10 +50,37 @@ const sensorUpdate = {
   },
 };
 
-// 4. Dashboard client joining the monitor room
+// 4. Dashboard client joining the monitor room (omit the filters to get every alert)
 const joinMonitors = {
   event: 'join_monitors',
-  payload: {},
+  payload: {
+    types: ['COLLISION_WARNING', 'PROXIMITY_WARNING'],
+    severities: ['warning', 'collision'],
+  },
+};
+
+// 5. Device reporting a spill in a building (position in building meters)
+const hazardReport = {
+  event: 'hazard:report',
+  payload: {
+    type: 'spill',
+    description: 'Oil on the floor by dock 3',
+    buildingId: 'bld_warehouse',
+    position: { x: 12.5, y: 4 },
+    floor: 0,
+    radiusM: 2,
+    ttlSec: 1800,
+  },
+};
+
+// 6. Device asking to be guided to a point of interest (turn-by-turn instructions follow)
+const navigationStart = {
+  event: 'navigation:start',
+  payload: {
+    deviceId: 'device-001',
+    to: 'Loading dock',
+    accessible: false,
+  },
 };
 
-module.exports = { registerDevice, registerBaseStation, sensorUpdate, joinMonitors };
+module.exports = { registerDevice, registerBaseStation, sensorUpdate, joinMonitors, hazardReport, navigationStart };
@@ -0,0 +1,105 @@
+/**
+ * spatialGrid.js
+ * Uniform-grid spatial index over planar (meter) coordinates, split into
+ * layers (e.g. building floors) that are indexed independently. Entries move
+ * between cells incrementally as they are updated, so a radius query only
+ * touches the cells around the query point.
+ */
+
+class SpatialGrid {
+  /**
+   * @param {object} opts
+   * @param {number} opts.cellSize - cell edge in meters
+   */
+  constructor({ cellSize }) {
+    this.cellSize = cellSize;
+    this.cells = new Map();    // `${layer}|${cx}|${cy}` => Set<id>
+    this.entries = new Map();  // id => { x, y, layer, key }
+    this.layers = new Map();   // layer => entry count
+  }
+
+  _key(layer, cx, cy) {
+    return `${layer}|${cx}|${cy}`;
+  }
+
+  /**
+   * Insert or move an entry.
+   * @param {string} id
+   * @param {number} x
+   * @param {number} y
+   * @param {string} layer
+   */
+  upsert(id, x, y, layer) {
+    const key = this._key(layer, Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    const existing = this.entries.get(id);
+    if (existing && existing.key !== key) this.remove(id);
+
+    if (!existing || existing.key !== key) {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(id);
+      this.layers.set(layer, (this.layers.get(layer) || 0) + 1);
+    }
+    this.entries.set(id, { x, y, layer, key });
+  }
+
+  /** Remove an entry; unknown ids are ignored */
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    const cell = this.cells.get(entry.key);
+    cell.delete(id);
+    if (!cell.size) this.cells.delete(entry.key);
+
+    const count = this.layers.get(entry.layer) - 1;
+    if (count) this.layers.set(entry.layer, count);
+    else this.layers.delete(entry.layer);
+
+    this.entries.delete(id);
+  }
+
+  /**
+   * Ids within `radius` of (x, y) on the given layers.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius - meters
+   * @param {string[]|null} [layers] - null = every layer
+   * @returns {string[]}
+   */
+  query(x, y, radius, layers = null) {
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+    const searchLayers = (layers || [...this.layers.keys()]).filter(l => this.layers.has(l));
+
+    const found = [];
+    for (const layer of searchLayers) {
+      for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+          const cell = this.cells.get(this._key(layer, cx, cy));
+          if (!cell) continue;
+          for (const id of cell) {
+            const e = this.entries.get(id);
+            if (Math.hypot(e.x - x, e.y - y) <= radius) found.push(id);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  ids() {
+    return [...this.entries.keys()];
+  }
+}
+
+module.exports = { SpatialGrid };